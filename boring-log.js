@@ -3,55 +3,150 @@
  * Generates soil boring log diagrams with USCS-style patterns
  */
 
+// Unit helpers are a global in the browser (units.js); require them under Node
+const LogUnits = typeof Units !== 'undefined' ? Units : require('./units.js');
+// Lithology pattern registry (patterns.js)
+const LogPatterns = typeof Patterns !== 'undefined' ? Patterns : require('./patterns.js');
+// Headless element tree for rendering without a browser DOM (svg-document.js)
+const LogSvgDocument = typeof SvgDocument !== 'undefined' ? SvgDocument : require('./svg-document.js');
+// Header and footer templates (title-blocks.js)
+const LogTitleBlocks = typeof TitleBlocks !== 'undefined' ? TitleBlocks : require('./title-blocks.js');
+// Palettes and pattern treatment (themes.js)
+const LogThemes = typeof Themes !== 'undefined' ? Themes : require('./themes.js');
+// Soil classification helpers (uscs-classifier.js)
+const LogUscs = typeof UscsClassifier !== 'undefined' ? UscsClassifier : require('./uscs-classifier.js');
+
 class BoringLog {
   constructor(container, options = {}) {
     this.container = container;
     this.data = null;
+    // Build real DOM elements in the browser; a headless tree otherwise
+    this.svgDocument = options.headless || typeof document === 'undefined' ? LogSvgDocument : document;
 
     // Default configuration
     this.config = {
       width: 700,
-      headerHeight: 190,
+      headerHeight: 190, // used when the title block sets no header height
       footerHeight: 40,
       legendHeight: 140,
       wellPanelWidth: 150,
+      wellTableWidth: 140, // construction elevation table beside the well diagram (0 hides it)
       showLegend: true,
-      depthScale: 20, // pixels per unit depth
+      depthScale: null, // pixels per unit depth (null = unit system default: 20 px/ft, 60 px/m)
+      sheetDepth: null, // depth interval per sheet (null = single continuous sheet)
+      // Plotted SPT N-value column
+      showNValueGraph: false,
+      showN60: false, // energy-corrected N60 in the SPT column and N-value graph (needs a hammer energy ratio)
+      showN160: false, // overburden-corrected (N1)60 in the SPT column (needs layer unit weights)
+      nValueMin: 0,
+      nValueMax: 50, // values beyond the axis are clipped and annotated
+      nValueGridInterval: 10,
+      // RQD bar chart column for core runs
+      showRqdGraph: false,
+      // Abbreviations for core run weathering and hardness
+      weatheringAbbreviations: {
+        fresh: 'F',
+        slightly: 'SW',
+        moderately: 'MW',
+        highly: 'HW',
+        completely: 'CW',
+        residual: 'RS'
+      },
+      hardnessAbbreviations: {
+        'very soft': 'VS',
+        soft: 'S',
+        'medium hard': 'MH',
+        hard: 'H',
+        'very hard': 'VH'
+      },
+      // Moisture content / Atterberg limits column (shown when wc, ll or pl data exists)
+      atterbergMin: 0,
+      atterbergMax: 100,
+      atterbergGridInterval: 20,
       margins: { top: 20, right: 20, bottom: 20, left: 20 },
+      // Title block template: a TitleBlocks name (standard, firm, compact) or a template object
+      titleBlock: 'standard',
+      // Column layout profile: { name, columns: [...] } to reorder, hide, resize and
+      // relabel columns and add custom columns bound to data fields (null = default layout)
+      columnLayout: null,
+      // Browser preview: tooltips on hover, item selection on click and highlighting
+      interactive: true,
+      contactSnap: null, // depth increment when dragging contacts (null = unit system default: 0.5 ft, 0.1 m)
+      // Descriptions too long for their layer (see BoringLog.descriptionOverflowModes):
+      // 'footnote' continues the text in numbered notes below the log, 'shrink' steps the
+      // font down to descriptionMinFontSize, 'expand' lets the text run on below the layer
+      // with a leader line back to its contact. Text that still does not fit becomes a note.
+      descriptionOverflow: 'footnote',
+      descriptionMinFontSize: 7,
       // Base columns (always shown)
       baseColumns: {
-        depth: { width: 40, label: 'Depth' },
-        elevation: { width: 45, label: 'Elev.' },
+        depth: { width: 40, label: 'Depth', unit: 'depth' },
+        elevation: { width: 45, label: 'Elev.', unit: 'depth' },
         graphic: { width: 60, label: 'Soil' },
         uscs: { width: 45, label: 'USCS' },
         description: { width: 200, label: 'Description' },
         moisture: { width: 50, label: 'Moist.' },
         sample: { width: 50, label: 'Sample' },
         spt: { width: 70, label: 'SPT N' },
-        recovery: { width: 45, label: 'Rec.' }
+        recovery: { width: 45, label: 'Rec.', unit: 'recovery' }
       },
       // Conditional columns (shown only when data exists)
       conditionalColumns: {
+        water: { width: 55, label: 'Water' },
+        nGraph: { width: 110, label: 'N-Value' },
+        atterberg: { width: 110, label: 'PL |—●—| LL (%)' },
+        // Rock coring run columns (shown when coreRuns exist)
+        coreRun: { width: 35, label: 'Run' },
+        coreRecovery: { width: 40, label: 'REC %' },
+        rqd: { width: 40, label: 'RQD %' },
+        fractures: { width: 35, label: 'Frac.' },
+        weathering: { width: 40, label: 'Weath.' },
+        hardness: { width: 40, label: 'Hard.' },
+        rqdGraph: { width: 90, label: 'RQD (%)' },
         odor: { width: 55, label: 'Odor' },
-        pid: { width: 45, label: 'PID' }
+        pid: { width: 45, label: 'PID' },
+        // Depth-anchored notes (shown when remarks exist)
+        remarks: { width: 130, label: 'Remarks' }
+      },
+      // Groundwater observation types and their symbols
+      groundwaterTypes: {
+        encountered: { label: 'First encountered', short: 'Enc.', symbol: 'open' },
+        completion: { label: 'End of drilling', short: 'EOD', symbol: 'filled' },
+        stabilized: { label: 'Stabilized (24 hr)', short: '24 hr', symbol: 'stabilized' },
+        other: { label: 'Groundwater level', short: '', symbol: 'filled' }
       },
+      // Layer contact styles, drawn at the top of each layer (default sharp); `hachures`
+      // adds ticks below the line, on the eroded surface
+      contactTypes: {
+        sharp: { label: 'Sharp contact' },
+        gradational: { label: 'Gradational contact', dash: '1,3' },
+        inferred: { label: 'Inferred contact', dash: '6,4' },
+        irregular: { label: 'Irregular / erosional contact', wavy: true },
+        unconformable: { label: 'Unconformity', wavy: true, hachures: true }
+      },
+      // Sample types added to or replacing BoringLog.sampleTypes for this log,
+      // e.g. { MC: { label: 'Modified California', symbol: 'split-spoon', color: '#dde7f0' } }
+      sampleTypes: {},
       // Moisture options for structured data
       moistureOptions: ['dry', 'moist', 'wet', 'saturated'],
       // Odor options
       odorOptions: ['none', 'petroleum', 'chlorinated', 'organic', 'other'],
-      colors: {
-        border: '#333',
-        headerBg: '#f5f5f5',
-        gridLine: '#ccc',
-        groundwater: '#0066cc',
-        text: '#333',
-        wellCasing: '#666',
-        wellScreen: '#999',
-        wellSeal: '#8B4513',
-        wellFilter: '#F4A460'
-      },
+      theme: 'color', // theme name (themes.js) or theme object
+      colors: {}, // overrides for the theme's palette, e.g. { groundwater: '#06c' }
       ...options
     };
+
+    // Item event handlers by event name (see on())
+    this.listeners = {};
+    this.hoveredRef = null;
+    this.highlightedRef = null;
+    this.tooltip = null;
+    // Sheets from the last render, reused section by section (see renderSheet)
+    this.sheetCache = [];
+    this.patternDefs = null;
+    if (this.isInteractive()) {
+      this.attachInteraction();
+    }
   }
 
   setData(data) {
@@ -63,141 +158,813 @@ class BoringLog {
     return this.data;
   }
 
+  // Unit system for the current data (boring.units, default imperial)
+  getUnits() {
+    return LogUnits.getSystem(this.data?.boring?.units);
+  }
+
+  getTitleBlock() {
+    return LogTitleBlocks.get(this.config.titleBlock);
+  }
+
+  getTheme() {
+    return LogThemes.get(this.config.theme);
+  }
+
+  // Theme palette with any `colors` overrides applied
+  getColors() {
+    return { ...LogThemes.themes.color.colors, ...this.getTheme().colors, ...this.config.colors };
+  }
+
+  // Hatching colour: the theme's ink, or the pattern's own shade
+  patternInk(shade) {
+    return this.getTheme().ink || shade;
+  }
+
+  // Pattern tile scale: theme hatch density, times the code's own density where the theme uses it
+  getPatternDensity(definition) {
+    const theme = this.getTheme();
+    const codeDensity = theme.codeDensity ? definition.density || 1 : 1;
+    return (theme.hatchDensity || 1) * codeDensity;
+  }
+
+  // Header height including the 30px column header row
+  getHeaderHeight() {
+    const height = this.getTitleBlock().header.height;
+    return height ? height + 30 : this.config.headerHeight;
+  }
+
+  getDepthScale() {
+    return this.config.depthScale || this.getUnits().depthScale;
+  }
+
+  getContactSnap() {
+    return this.config.contactSnap || this.getUnits().contactSnap;
+  }
+
+  setOptions(options) {
+    this.config = { ...this.config, ...options };
+    this.render();
+  }
+
   render() {
     if (!this.data) return;
 
-    const { headerHeight, footerHeight, legendHeight, wellPanelWidth, showLegend, margins, depthScale, baseColumns, conditionalColumns } = this.config;
     const totalDepth = this.data.boring.totalDepth || 30;
-    const graphicHeight = totalDepth * depthScale;
-    const legendSpace = showLegend ? legendHeight : 0;
+    const ranges = this.getSheetRanges(totalDepth);
+
+    // Render each sheet as its own standalone SVG
+    this.sheets = ranges.map((range, index) => this.renderSheet(range, index, ranges.length));
+    this.sheetCache.length = ranges.length;
+    this.currentSheet = null;
+
+    // Headless renders have no container to fill
+    if (this.container) {
+      // Sheets kept from the last render stay in place; only rebuilt ones are swapped in
+      [...this.container.children].filter(child => !this.sheets.includes(child)).forEach(child => child.remove());
+      this.sheets.forEach((svg, index) => {
+        const current = this.container.children[index] || null;
+        if (current !== svg) this.container.insertBefore(svg, current);
+      });
+      this.applyHighlight();
+    }
+    this.emit('render', { sheets: this.sheets, units: this.getUnits() });
+  }
+
+  // Drop cached sheets and pattern definitions so the next render draws everything afresh
+  invalidate() {
+    this.sheetCache = [];
+    this.patternDefs = null;
+  }
+
+  createSvgElement(tagName) {
+    return this.svgDocument.createElementNS(LogSvgDocument.namespace, tagName);
+  }
+
+  // Rendered sheets as standalone SVG markup, one string per sheet
+  toSVGStrings() {
+    return this.getSheets().map(svg => {
+      if (svg instanceof LogSvgDocument.Element) return LogSvgDocument.serialize(svg);
+      return new XMLSerializer().serializeToString(svg);
+    });
+  }
+
+  /**
+   * Render a log to SVG markup without a DOM. Returns the first sheet;
+   * use renderToStrings when sheetDepth splits the log into sheets.
+   */
+  static renderToString(data, options = {}) {
+    return BoringLog.renderToStrings(data, options)[0];
+  }
+
+  static renderToStrings(data, options = {}) {
+    const log = new BoringLog(null, { ...options, headless: true });
+    log.setData(data);
+    return log.toSVGStrings();
+  }
+
+  // Why a graph axis { min, max, step } cannot be drawn, or null when it can
+  static getAxisError(axis) {
+    const { min, max, step } = axis || {};
+    if (![min, max, step].every(Number.isFinite)) return 'axis min, max and step must be numbers';
+    if (max <= min) return 'axis max must be greater than min';
+    if (step <= 0) return 'axis step must be greater than 0';
+    if ((max - min) / step > BoringLog.maxAxisTicks) return `axis step gives more than ${BoringLog.maxAxisTicks} ticks`;
+    return null;
+  }
+
+  // Problems with a column layout profile (empty when it can be applied): widths must be
+  // positive, custom fields must name a collection item path (BoringLog.customColumnCollections)
+  static getColumnLayoutErrors(layout) {
+    if (!Array.isArray(layout?.columns)) return ['Layout needs a "columns" array'];
+    const collections = BoringLog.customColumnCollections;
+    return layout.columns
+      .filter(entry => entry && typeof entry === 'object')
+      .flatMap(entry => {
+        const errors = [];
+        if (entry.width !== undefined && !(Number.isFinite(entry.width) && entry.width > 0)) {
+          errors.push('width must be a number greater than 0');
+        }
+        if (entry.field !== undefined) {
+          const match = typeof entry.field === 'string' && /^(\w+)\[\]\.\w[\w.]*$/.exec(entry.field);
+          if (!match || !collections.includes(match[1])) {
+            errors.push(`unknown field "${entry.field}" (use ${collections.map(name => `${name}[].<property>`).join(' or ')})`);
+          }
+        }
+        const axisError = entry.axis ? BoringLog.getAxisError(entry.axis) : null;
+        if (axisError) errors.push(axisError);
+        return errors.map(error => `column "${entry.key}": ${error}`);
+      });
+  }
+
+  // Problems with sample type definitions ({ CODE: { label, symbol, ... } }) read from a
+  // file, where a symbol can only be one of BoringLog.sampleSymbols
+  static getSampleTypeErrors(types) {
+    if (!types || typeof types !== 'object' || Array.isArray(types)) return ['Sample types must be an object keyed by code'];
+    return Object.entries(types).flatMap(([code, definition]) => {
+      if (!definition || typeof definition !== 'object') return [`sample type "${code}": must be an object`];
+      const errors = [];
+      if (definition.symbol !== undefined && typeof definition.symbol !== 'function' &&
+          !BoringLog.sampleSymbols.includes(definition.symbol)) {
+        errors.push(`sample type "${code}": unknown symbol "${definition.symbol}" (available: ${BoringLog.sampleSymbols.join(', ')})`);
+      }
+      const { drive } = definition;
+      if (drive !== undefined && !(drive && typeof drive === 'object' && Object.values(drive).every(length => length > 0))) {
+        errors.push(`sample type "${code}": drive must map recovery units to lengths greater than 0`);
+      }
+      return errors;
+    });
+  }
+
+  /**
+   * Subscribe to item events. Handlers receive { ref, item, event }, where ref
+   * identifies the data item ("layers[2]", "samples[0]", "coreRuns[1]",
+   * "well.screen") and item holds its fields.
+   *   hover    - pointer entered an item
+   *   hoverend - pointer left the item
+   *   select   - item was clicked
+   * and { index, above, depth, layers } for
+   *   contactchange - the contact at the top of layers[index] was dragged to depth;
+   *                   layers[above] is the layer ending at that contact
+   * and { sheets, units } for
+   *   render        - the log was drawn, in the current unit system
+   */
+  on(eventName, handler) {
+    (this.listeners[eventName] = this.listeners[eventName] || []).push(handler);
+    return this;
+  }
+
+  off(eventName, handler) {
+    this.listeners[eventName] = (this.listeners[eventName] || []).filter(h => h !== handler);
+    return this;
+  }
+
+  emit(eventName, detail) {
+    (this.listeners[eventName] || []).forEach(handler => handler(detail));
+  }
+
+  // Pointer interaction needs a live DOM container
+  isInteractive() {
+    return Boolean(this.config.interactive && this.container && this.svgDocument !== LogSvgDocument);
+  }
+
+  // Delegated pointer handlers on the container, which outlives each render
+  attachInteraction() {
+    const refOf = (e) => e.target.closest?.('[data-ref]')?.getAttribute('data-ref') || null;
+
+    this.container.addEventListener('mouseover', (e) => {
+      const ref = refOf(e);
+      if (ref === this.hoveredRef) return;
+      this.endHover();
+      if (!ref) return;
+      this.hoveredRef = ref;
+      const item = this.getRefItem(ref);
+      this.showTooltip(ref, item, e);
+      this.emit('hover', { ref, item, event: e });
+    });
+    this.container.addEventListener('mousemove', (e) => {
+      if (this.hoveredRef) this.positionTooltip(e);
+    });
+    this.container.addEventListener('mouseleave', () => this.endHover());
+    this.container.addEventListener('click', (e) => {
+      const ref = refOf(e);
+      if (ref) this.emit('select', { ref, item: this.getRefItem(ref), event: e });
+    });
+    this.container.addEventListener('pointerdown', (e) => {
+      const handle = e.target.closest?.('[data-contact]');
+      if (handle) this.startContactDrag(handle, e);
+    });
+  }
+
+  /**
+   * Drag the contact at the top of layers[index] (its handle's data-contact),
+   * snapping to the contact increment, with a guide line and depth readout.
+   * The layers on either side are updated on drop.
+   */
+  startContactDrag(handle, e) {
+    e.preventDefault();
+    this.endHover();
+
+    const index = Number(handle.getAttribute('data-contact'));
+    const above = this.data.layers[this.getLayerAbove(index)];
+    const below = this.data.layers[index];
+    const depthScale = this.getDepthScale();
+    const snap = this.getContactSnap();
+    const startDepth = below.depthTop;
+    const startY = Number(handle.getAttribute('y')) + Number(handle.getAttribute('height')) / 2;
+
+    // Screen pixels per SVG unit, for previews scaled to fit
+    const svg = handle.ownerSVGElement;
+    const bounds = svg.getBoundingClientRect();
+    const scale = bounds.height > 0 ? bounds.height / Number(svg.getAttribute('height')) : 1;
+
+    // The contact stays inside the layers on either side of it
+    const minDepth = Math.min(startDepth, above.depthTop + snap);
+    const maxDepth = Math.max(startDepth, below.depthBottom - snap);
+
+    const x = Number(handle.getAttribute('x'));
+    const width = Number(handle.getAttribute('width'));
+    const guide = this.createSvgElement('g');
+    guide.setAttribute('pointer-events', 'none');
+    const line = this.createSvgElement('line');
+    line.setAttribute('x1', x);
+    line.setAttribute('x2', x + width);
+    line.setAttribute('stroke', '#2563eb');
+    line.setAttribute('stroke-width', '2');
+    const readoutBg = this.createSvgElement('rect');
+    readoutBg.setAttribute('x', x + 2);
+    readoutBg.setAttribute('width', width - 4);
+    readoutBg.setAttribute('height', 12);
+    readoutBg.setAttribute('fill', 'white');
+    readoutBg.setAttribute('opacity', '0.9');
+    const readout = this.createText('', x + width / 2, 0, { fontSize: '9px', fontWeight: 'bold', textAnchor: 'middle', fill: '#2563eb' });
+    guide.appendChild(line);
+    guide.appendChild(readoutBg);
+    guide.appendChild(readout);
+    handle.parentNode.appendChild(guide);
+
+    let depth = startDepth;
+    const update = () => {
+      const y = startY + (depth - startDepth) * depthScale;
+      line.setAttribute('y1', y);
+      line.setAttribute('y2', y);
+      readoutBg.setAttribute('y', y - 15);
+      readout.setAttribute('y', y - 5);
+      readout.textContent = `${depth} ${this.getUnits().depth}`;
+    };
+    update();
+
+    const move = (ev) => {
+      const raw = startDepth + (ev.clientY - e.clientY) / (scale * depthScale);
+      const snapped = Math.round(Math.round(raw / snap) * snap * 1000) / 1000;
+      depth = Math.min(Math.max(snapped, minDepth), maxDepth);
+      update();
+    };
+    const drop = () => {
+      document.removeEventListener('pointermove', move);
+      document.removeEventListener('pointerup', drop);
+      guide.parentNode?.removeChild(guide);
+      if (depth !== startDepth) this.moveContact(index, depth);
+    };
+    document.addEventListener('pointermove', move);
+    document.addEventListener('pointerup', drop);
+  }
+
+  // Index of the layer ending where layers[index] starts, or -1; layers need not be
+  // listed in depth order
+  getLayerAbove(index) {
+    const { layers } = this.data;
+    return layers.findIndex((layer, i) => i !== index && layer.depthBottom === layers[index].depthTop);
+  }
+
+  // Move the contact at the top of layers[index]; the layer above ends where it now starts
+  moveContact(index, depth) {
+    const { layers } = this.data;
+    const above = this.getLayerAbove(index);
+    layers[index].depthTop = depth;
+    if (above !== -1) layers[above].depthBottom = depth;
+    this.render();
+    this.emit('contactchange', { index, above, depth, layers });
+  }
+
+  endHover() {
+    if (!this.hoveredRef) return;
+    const ref = this.hoveredRef;
+    this.hoveredRef = null;
+    if (this.tooltip) this.tooltip.style.display = 'none';
+    this.emit('hoverend', { ref, item: this.getRefItem(ref) });
+  }
+
+  // Data item behind an element reference; well parts collect their well.* fields
+  getRefItem(ref) {
+    const indexed = /^(well\.)?(\w+)\[(\d+)\]$/.exec(ref || '');
+    if (indexed) {
+      const owner = indexed[1] ? this.data?.well : this.data;
+      return owner?.[indexed[2]]?.[Number(indexed[3])] || null;
+    }
+    const part = /^well\.(\w+)$/.exec(ref || '');
+    if (part && this.data?.well) {
+      return Object.fromEntries(Object.entries(this.data.well).filter(([key]) => key.startsWith(part[1])));
+    }
+    return null;
+  }
+
+  // Element reference for a data path: "layers[2].uscs" -> "layers[2]", "well.screenTop" -> "well.screen",
+  // "well.annularFills[1].material" -> "well.annularFills[1]"
+  getRefForPath(path) {
+    const indexed = /^((?:well\.)?\w+\[\d+\])/.exec(path || '');
+    if (indexed) return indexed[1];
+    const field = /^well\.(\w+)/.exec(path || '');
+    const part = field && BoringLog.wellParts.find(name => field[1].startsWith(name));
+    return part ? `well.${part}` : null;
+  }
+
+  // Tooltip heading for an item
+  getRefLabel(ref, item) {
+    const [, collection, index] = /^((?:well\.)?\w+)\[(\d+)\]$/.exec(ref) || [];
+    const number = Number(index) + 1;
+    switch (collection) {
+      case 'layers':
+        return `Layer ${number}: ${item?.uscs || '?'}`;
+      case 'samples':
+        return `Sample ${item?.id || number}`;
+      case 'coreRuns':
+        return `Core Run ${item?.id || `R-${number}`}`;
+      case 'well.annularFills':
+        return `Annular fill: ${item?.material || number}`;
+      case 'well.casings':
+        return `Casing ${item?.label || number}`;
+      default:
+        return ref.startsWith('well.') ? `Well ${ref.slice(5)}` : ref;
+    }
+  }
+
+  showTooltip(ref, item, e) {
+    if (!this.tooltip) {
+      this.tooltip = document.createElement('div');
+      this.tooltip.className = 'log-tooltip';
+      this.tooltip.style.cssText = 'position:fixed;z-index:1000;pointer-events:none;max-width:280px;' +
+        'padding:6px 8px;border-radius:4px;background:rgba(31,41,55,0.95);color:#fff;' +
+        'font:11px/1.4 Arial, sans-serif;box-shadow:0 2px 6px rgba(0,0,0,0.3);';
+      document.body.appendChild(this.tooltip);
+    }
+
+    this.tooltip.innerHTML = '';
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.textContent = this.getRefLabel(ref, item);
+    this.tooltip.appendChild(title);
+
+    // Every field of the item, one per line; intervals (e.g. a casing's screens) as top-bottom
+    const format = value => value && typeof value === 'object'
+      ? (value.depthTop !== undefined ? `${value.depthTop}-${value.depthBottom}` : JSON.stringify(value))
+      : value;
+    Object.entries(item || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      const row = document.createElement('div');
+      const text = Array.isArray(value) ? value.map(format).join(', ') : format(value);
+      row.textContent = `${key}: ${text}`;
+      this.tooltip.appendChild(row);
+    });
+
+    this.tooltip.style.display = 'block';
+    this.positionTooltip(e);
+  }
+
+  positionTooltip(e) {
+    if (!this.tooltip) return;
+    this.tooltip.style.left = `${e.clientX + 12}px`;
+    this.tooltip.style.top = `${e.clientY + 12}px`;
+  }
+
+  // Highlight the elements of one item (null clears); kept across re-renders
+  highlight(ref) {
+    this.highlightedRef = ref || null;
+    this.applyHighlight();
+  }
+
+  applyHighlight() {
+    if (!this.isInteractive()) return;
+    this.container.querySelectorAll('[data-ref]').forEach(el => {
+      if (el.getAttribute('data-ref') === this.highlightedRef) {
+        el.setAttribute('filter', 'url(#item-highlight)');
+      } else {
+        el.removeAttribute('filter');
+      }
+    });
+  }
+
+  /**
+   * Group for one data item's elements, tagged with its reference (data-ref).
+   * In the interactive preview an optional invisible hit area makes the whole
+   * item, not just its strokes and text, respond to the pointer.
+   */
+  createItemGroup(parent, ref, hitArea = null, item = undefined) {
+    const group = this.createSvgElement('g');
+    group.setAttribute('data-ref', ref);
+    // Groups drawn from an item are remembered for reuseItemGroup on the next render
+    if (item !== undefined && this.currentSection) {
+      this.currentSection.items[ref] = { key: JSON.stringify(item), group };
+    }
+    if (hitArea && this.isInteractive()) {
+      const rect = this.createSvgElement('rect');
+      rect.setAttribute('x', hitArea.x);
+      rect.setAttribute('y', hitArea.y);
+      rect.setAttribute('width', hitArea.width);
+      rect.setAttribute('height', hitArea.height);
+      rect.setAttribute('fill', 'none');
+      rect.setAttribute('pointer-events', 'all');
+      group.appendChild(rect);
+    }
+    parent.appendChild(group);
+    return group;
+  }
 
-    // Determine which conditional columns to show
-    this.activeColumns = { ...baseColumns };
+  /**
+   * Move an item's group from the last render of this section into parent
+   * when the item is unchanged. Returns the group, or null when the item
+   * has to be drawn again.
+   */
+  reuseItemGroup(parent, ref, item) {
+    const section = this.currentSection;
+    const previous = section?.previous[ref];
+    if (!previous || previous.key !== JSON.stringify(item)) return null;
+    parent.appendChild(previous.group);
+    section.items[ref] = previous;
+    return previous.group;
+  }
+
+  /**
+   * Draw one part of the current sheet into its own group, or keep the group
+   * from the last render when the data it draws from (key) is unchanged.
+   * Returns the draw function's result, cached alongside the group.
+   */
+  renderSection(name, key, draw) {
+    const sheet = this.currentSheet;
+    const keyText = JSON.stringify(key);
+    const previous = sheet.sections[name];
+    if (previous && previous.key === keyText) return previous.result;
+
+    const group = this.createSvgElement('g');
+    group.setAttribute('data-section', name);
+    this.currentSection = { items: {}, previous: previous ? previous.items : {} };
+    const result = draw(group);
+    sheet.sections[name] = { key: keyText, group, result, items: this.currentSection.items };
+    this.currentSection = null;
+
+    if (previous) {
+      sheet.mainGroup.insertBefore(group, previous.group);
+      sheet.mainGroup.removeChild(previous.group);
+    } else {
+      sheet.mainGroup.appendChild(group);
+    }
+    return result;
+  }
+
+  // Columns with data to show, in default order, with the column layout applied
+  getActiveColumns() {
+    const { baseColumns, conditionalColumns } = this.config;
+    let columns = { ...baseColumns };
+    if (this.getGroundwaterObservations().length > 0) {
+      // Water levels sit beside the soil graphic
+      columns = this.insertColumnAfter(columns, 'graphic', 'water', conditionalColumns.water);
+    }
+    if (this.getAtterbergPoints().length > 0) {
+      const { atterbergMin, atterbergMax, atterbergGridInterval } = this.config;
+      columns = this.insertColumnAfter(columns, 'moisture', 'atterberg', {
+        ...conditionalColumns.atterberg,
+        axis: this.getAxis({ min: atterbergMin, max: atterbergMax, step: atterbergGridInterval }, BoringLog.defaultAxes.atterberg)
+      });
+    }
+    if (this.config.showNValueGraph && this.data.samples?.some(sample => this.isPlottedSpt(sample))) {
+      const { nValueMin, nValueMax, nValueGridInterval } = this.config;
+      columns = this.insertColumnAfter(columns, 'spt', 'nGraph', {
+        ...conditionalColumns.nGraph,
+        label: this.config.showN60 ? 'N (●) / N60 (○)' : conditionalColumns.nGraph.label,
+        axis: this.getAxis({ min: nValueMin, max: nValueMax, step: nValueGridInterval }, BoringLog.defaultAxes.nGraph)
+      });
+    }
+    if (this.data.coreRuns?.length > 0) {
+      // Coring run columns follow the sample columns
+      const runColumns = ['coreRun', 'coreRecovery', 'rqd', 'fractures', 'weathering', 'hardness'];
+      if (this.config.showRqdGraph) runColumns.push('rqdGraph');
+      let after = 'recovery';
+      runColumns.forEach(key => {
+        const column = key === 'rqdGraph'
+          ? { ...conditionalColumns.rqdGraph, axis: BoringLog.defaultAxes.rqdGraph }
+          : conditionalColumns[key];
+        columns = this.insertColumnAfter(columns, after, key, column);
+        after = key;
+      });
+    }
     const hasOdorData = this.data.layers?.some(l => l.odor && l.odor !== 'none');
     const hasPidData = this.data.layers?.some(l => l.pid !== undefined && l.pid !== null);
 
     if (hasOdorData) {
-      this.activeColumns.odor = conditionalColumns.odor;
+      columns.odor = conditionalColumns.odor;
     }
     if (hasPidData) {
-      this.activeColumns.pid = conditionalColumns.pid;
+      columns.pid = conditionalColumns.pid;
+    }
+    if (this.getRemarks().length > 0) {
+      columns.remarks = conditionalColumns.remarks;
+    }
+
+    return this.applyColumnLayout(columns);
+  }
+
+  /**
+   * Apply the column layout profile. Listed columns come in layout order with
+   * their overrides; unlisted columns keep their default place after their
+   * predecessor. Entries with a `field` define custom columns, and `after`
+   * places an entry right after another column.
+   */
+  applyColumnLayout(columns) {
+    const layout = this.config.columnLayout;
+    if (!layout?.columns?.length) return columns;
+
+    const entries = layout.columns.map(entry => typeof entry === 'string' ? { key: entry } : entry);
+    const listed = new Set(entries.map(entry => entry.key));
+    // Axes that cannot be drawn keep the column's own axis (setColumnLayout rejects them)
+    const resolve = ({ key, hidden, after, ...overrides }) => {
+      if (overrides.field) {
+        const column = { ...BoringLog.customColumnDefaults, label: key, ...overrides };
+        if (column.renderer === 'graph') column.axis = this.getAxis(column.axis, BoringLog.defaultAxes.custom);
+        return column;
+      }
+      if (!columns[key]) return null;
+      const column = { ...columns[key], ...overrides };
+      if (overrides.axis && columns[key].axis) column.axis = this.getAxis(overrides.axis, columns[key].axis);
+      return column;
+    };
+
+    let result = {};
+    entries.forEach(entry => {
+      if (entry.hidden || entry.after) return;
+      const column = resolve(entry);
+      if (column) result[entry.key] = column;
+    });
+
+    let previous = null;
+    for (const [key, column] of Object.entries(columns)) {
+      if (!listed.has(key)) {
+        result = previous ? this.insertColumnAfter(result, previous, key, column) : { [key]: column, ...result };
+      }
+      if (result[key]) previous = key;
+    }
+
+    entries.forEach(entry => {
+      if (entry.hidden || !entry.after) return;
+      const column = resolve(entry);
+      if (!column) return;
+      result = result[entry.after]
+        ? this.insertColumnAfter(result, entry.after, entry.key, column)
+        : { ...result, [entry.key]: column };
+    });
+
+    return result;
+  }
+
+  // A graph axis that can be drawn, else the fallback (see BoringLog.getAxisError)
+  getAxis(axis, fallback) {
+    return BoringLog.getAxisError(axis) ? fallback : { min: axis.min, max: axis.max, step: axis.step };
+  }
+
+  // Current column layout as a reusable profile: the configured one, or the default column order
+  getColumnLayout() {
+    if (this.config.columnLayout) return this.config.columnLayout;
+    return { name: 'Default', columns: Object.keys(this.activeColumns || this.config.baseColumns) };
+  }
+
+  // Apply a column layout profile (null for the default layout); throws on an invalid profile
+  setColumnLayout(layout) {
+    const errors = layout ? BoringLog.getColumnLayoutErrors(layout) : [];
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    this.setOptions({ columnLayout: layout });
+  }
+
+  // Insert a column right after another one, keeping the rest in order
+  insertColumnAfter(columns, afterKey, key, column) {
+    const result = {};
+    for (const [name, col] of Object.entries(columns)) {
+      result[name] = col;
+      if (name === afterKey) result[key] = column;
+    }
+    return result;
+  }
+
+  // Split the boring into depth intervals, one per sheet, each at least one depth tick deep
+  getSheetRanges(totalDepth) {
+    const { sheetDepth } = this.config;
+    if (!sheetDepth || sheetDepth <= 0 || sheetDepth >= totalDepth) {
+      return [{ top: 0, bottom: totalDepth, last: true }];
+    }
+
+    const interval = Math.max(sheetDepth, LogUnits.getTickInterval(totalDepth, this.getUnits()));
+    const ranges = [];
+    for (let top = 0; top < totalDepth; top += interval) {
+      const bottom = Math.min(top + interval, totalDepth);
+      ranges.push({ top, bottom, last: bottom >= totalDepth });
     }
+    return ranges;
+  }
+
+  // Rendered sheets (one SVG element per page), for export
+  getSheets() {
+    return this.sheets || [];
+  }
+
+  /**
+   * Render one sheet. Sheets are kept between renders: while the layout
+   * (options, columns, sheet interval, theme and registries) is unchanged,
+   * each section is redrawn only when the data it draws from changes, and
+   * layers and samples reuse the groups of items that did not change.
+   */
+  renderSheet(range, index, count) {
+    const { footerHeight, legendHeight, showLegend, margins } = this.config;
+    const headerHeight = this.getHeaderHeight();
+    const depthScale = this.getDepthScale();
+    const graphicHeight = (range.bottom - range.top) * depthScale;
+    // Legend is drawn once, on the last sheet
+    const showSheetLegend = showLegend && range.last;
+    const { boring, layers, samples, groundwater } = this.data;
+
+    // Determine which columns to show, then apply any user column layout
+    this.activeColumns = this.getActiveColumns();
 
     // Calculate total columns width
     const columnsWidth = Object.values(this.activeColumns).reduce((sum, col) => sum + col.width, 0);
 
     // Check for well data
     const hasWellData = this.data.well && Object.keys(this.data.well).length > 0;
-    const wellSpace = hasWellData ? wellPanelWidth + 10 : 0;
+    const wellSpace = hasWellData ? this.getWellPanelWidth() + 10 : 0;
 
     // Calculate total width
     const width = columnsWidth + wellSpace + margins.left + margins.right;
-    const height = headerHeight + graphicHeight + footerHeight + legendSpace + margins.top + margins.bottom;
-
-    // Clear container
-    this.container.innerHTML = '';
-
-    // Create SVG
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.style.fontFamily = 'Arial, sans-serif';
-
-    // Add pattern definitions
-    const defs = this.createPatternDefs();
-    svg.appendChild(defs);
-
-    // Create main group with margins
-    const mainGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    mainGroup.setAttribute('transform', `translate(${margins.left}, ${margins.top})`);
-
-    // Render components
-    this.renderHeader(mainGroup, columnsWidth + wellSpace);
-    this.renderColumnHeaders(mainGroup, headerHeight - 30, hasWellData);
-    this.renderDepthScale(mainGroup, headerHeight, graphicHeight, totalDepth);
-    this.renderSoilLayers(mainGroup, headerHeight, graphicHeight, totalDepth);
-    this.renderSamples(mainGroup, headerHeight, totalDepth);
-    this.renderGroundwater(mainGroup, headerHeight, totalDepth);
+
+    // Start a new sheet when anything that moves or restyles its sections changed
+    const defs = this.getPatternDefs();
+    const layoutKey = JSON.stringify([
+      this.config, this.getTitleBlock(), range, count, this.activeColumns, wellSpace,
+      boring.units, boring.totalDepth, defs.key, BoringLog.sampleTypes, this.data.sampleTypes
+    ]);
+    let sheet = this.sheetCache[index];
+    if (!sheet || sheet.layoutKey !== layoutKey) {
+      // Create SVG (height is set once the legend size is known)
+      const svg = this.createSvgElement('svg');
+      svg.setAttribute('data-sheet', index + 1);
+      svg.setAttribute('font-family', 'Arial, sans-serif');
+      svg.appendChild(defs.defs.cloneNode(true));
+
+      // Create main group with margins
+      const mainGroup = this.createSvgElement('g');
+      mainGroup.setAttribute('transform', `translate(${margins.left}, ${margins.top})`);
+      svg.appendChild(mainGroup);
+
+      sheet = { layoutKey, svg, mainGroup, sections: {} };
+      this.sheetCache[index] = sheet;
+    }
+    this.currentSheet = sheet;
+
+    // Render components, each keyed by the data it draws
+    this.renderSection('header', [boring, groundwater], group => {
+      this.renderHeader(group, columnsWidth + wellSpace, { number: index + 1, count });
+    });
+    this.renderSection('columnHeaders', [], group => this.renderColumnHeaders(group, headerHeight - 30, hasWellData));
+    this.renderSection('depthScale', [boring.elevation], group => this.renderDepthScale(group, headerHeight, graphicHeight, range));
+    const descriptionNotes = this.renderSection('layers', this.getSheetItems(layers, range), group => {
+      return this.renderSoilLayers(group, headerHeight, graphicHeight, range);
+    });
+    const sptKey = this.getSptKey();
+    this.renderSection('samples', [this.getSheetItems(samples, range), sptKey], group => this.renderSamples(group, headerHeight, range, sptKey));
+    if (this.activeColumns.nGraph) {
+      this.renderSection('nGraph', [samples, sptKey], group => this.renderNValueGraph(group, headerHeight, range));
+    }
+    if (this.activeColumns.atterberg) {
+      this.renderSection('atterberg', [samples, layers], group => this.renderAtterbergGraph(group, headerHeight, range));
+    }
+    if (this.data.coreRuns?.length > 0) {
+      this.renderSection('coreRuns', [this.data.coreRuns], group => this.renderCoreRuns(group, headerHeight, range));
+    }
+    const customValues = Object.values(this.activeColumns).filter(col => col.field).map(col => this.getCustomColumnValues(col.field));
+    if (customValues.length > 0) {
+      this.renderSection('customColumns', customValues, group => this.renderCustomColumns(group, headerHeight, range));
+    }
+    let remarkNotes = [];
+    if (this.activeColumns.remarks) {
+      remarkNotes = this.renderSection('remarks', [this.data.remarks, descriptionNotes.length], group => {
+        return this.renderRemarks(group, headerHeight, graphicHeight, range, descriptionNotes.length + 1);
+      });
+    }
+    const notes = [...descriptionNotes, ...remarkNotes];
+    this.renderSection('groundwater', [groundwater], group => this.renderGroundwater(group, headerHeight, range));
 
     // Render well construction panel if data exists
     if (hasWellData) {
-      this.renderWellPanel(mainGroup, columnsWidth + 10, headerHeight, graphicHeight, totalDepth);
+      this.renderSection('well', [this.data.well, boring.elevation], group => {
+        this.renderWellPanel(group, columnsWidth + 10, headerHeight, graphicHeight, range);
+      });
     }
 
-    if (showLegend) {
-      this.renderLegend(mainGroup, headerHeight + graphicHeight + footerHeight, columnsWidth + wellSpace);
-    }
-    this.renderBorder(mainGroup, columnsWidth + wellSpace, height - margins.top - margins.bottom);
+    // General remarks, legend and title block footer stack below the log and set the sheet height
+    const legendKey = {
+      layers: (layers || []).map(layer => [layer.uscs, layer.depthTop > 0 && layer.contactType]),
+      samples: this.getSampleLegendEntries().map(entry => [entry.code, entry.shaded, entry.crossed]),
+      coreRuns: this.getCoreRunLegendText()
+    };
+    this.renderSection('bottom', [boring, groundwater, legendKey, notes], group => {
+      // Continued descriptions and remarks from this sheet
+      let notesSpace = 0;
+      if (notes.length > 0) {
+        notesSpace = this.renderDescriptionNotes(group, headerHeight + graphicHeight + footerHeight, columnsWidth + wellSpace, notes);
+      }
+
+      // General remarks block below the log, on the last sheet
+      let remarksSpace = 0;
+      if (range.last && boring.generalRemarks) {
+        remarksSpace = this.renderGeneralRemarks(group, headerHeight + graphicHeight + footerHeight + notesSpace, columnsWidth + wellSpace);
+      }
+
+      let legendSpace = 0;
+      if (showSheetLegend) {
+        const legendY = headerHeight + graphicHeight + footerHeight + notesSpace + remarksSpace;
+        const renderedLegendHeight = this.renderLegend(group, legendY, columnsWidth + wellSpace);
+        legendSpace = Math.max(legendHeight, renderedLegendHeight);
+      }
 
-    svg.appendChild(mainGroup);
-    this.container.appendChild(svg);
+      // Title block footer (sign-off, disclaimer) closes every sheet
+      const blockFooterY = headerHeight + graphicHeight + footerHeight + notesSpace + remarksSpace + legendSpace;
+      const blockFooterSpace = this.renderFooter(group, blockFooterY, columnsWidth + wellSpace);
+
+      const height = blockFooterY + blockFooterSpace + margins.top + margins.bottom;
+      sheet.svg.setAttribute('width', width);
+      sheet.svg.setAttribute('height', height);
+      sheet.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+      this.renderBorder(group, columnsWidth + wellSpace, height - margins.top - margins.bottom);
+    });
+
+    return sheet.svg;
+  }
+
+  // Items reaching into a sheet's interval, by position (others null), so edits elsewhere leave the sheet alone
+  getSheetItems(items, range) {
+    return (items || []).map(item => {
+      const top = item.depthTop ?? item.depth;
+      const bottom = item.depthBottom ?? item.depth;
+      return bottom >= range.top && top <= range.bottom ? item : null;
+    });
+  }
+
+  // Pattern definitions, built once and rebuilt only when the theme, palette or pattern registry changes
+  getPatternDefs() {
+    const theme = this.getTheme();
+    const key = JSON.stringify([
+      LogPatterns.codes, LogPatterns.fallback, theme, String(theme.fill || ''), this.getColors(),
+      BoringLog.annularFillMaterials
+    ]);
+    if (!this.patternDefs || this.patternDefs.key !== key) {
+      this.patternDefs = { key, defs: this.createPatternDefs() };
+    }
+    return this.patternDefs;
   }
 
   createPatternDefs() {
-    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-
-    // USCS Pattern definitions
-    const patterns = {
-      // Gravels - circles
-      'GW': { type: 'gravel', fill: '#d4a574' },
-      'GP': { type: 'gravel', fill: '#c9956a' },
-      'GM': { type: 'gravel-silt', fill: '#bfae8e' },
-      'GC': { type: 'gravel-clay', fill: '#a89070' },
-
-      // Sands - dots
-      'SW': { type: 'sand', fill: '#f4e4bc' },
-      'SP': { type: 'sand', fill: '#edd9a8' },
-      'SM': { type: 'sand-silt', fill: '#e6d5a8' },
-      'SC': { type: 'sand-clay', fill: '#d9c494' },
-
-      // Silts - horizontal lines
-      'ML': { type: 'silt', fill: '#c4d4c4' },
-      'MH': { type: 'silt', fill: '#a8c4a8' },
-
-      // Clays - diagonal lines
-      'CL': { type: 'clay', fill: '#8fbc8f' },
-      'CH': { type: 'clay-heavy', fill: '#6b8e6b' },
-
-      // Organics
-      'OL': { type: 'organic', fill: '#8b7355' },
-      'OH': { type: 'organic', fill: '#6b5344' },
-
-      // Peat
-      'PT': { type: 'peat', fill: '#4a3728' },
-
-      // === Non-USCS / Extended Codes ===
-      // Topsoil
-      'TS': { type: 'topsoil', fill: '#5d4e37' },
-      'TOPSOIL': { type: 'topsoil', fill: '#5d4e37' },
-
-      // Fill material
-      'FILL': { type: 'fill', fill: '#9e9e9e' },
-
-      // Rock types
-      'QUA': { type: 'rock', fill: '#d4d4d4' },  // Quartz
-      'ARG': { type: 'rock', fill: '#b8a090' },  // Argillite
-      'ROCK': { type: 'rock', fill: '#c0c0c0' },
-      'BR': { type: 'rock', fill: '#a0a0a0' },   // Bedrock
-
-      // Other common codes
-      'ORGANICS': { type: 'organic', fill: '#6b5344' },
-      'MK': { type: 'silt', fill: '#a8c4a8' },   // Micaceous silt
-
-      // Default for unknown codes
-      'DEFAULT': { type: 'default', fill: '#e0e0e0' }
-    };
+    const defs = this.createSvgElement('defs');
 
-    // Store patterns for dynamic lookup
-    this.knownPatterns = new Set(Object.keys(patterns));
+    // Lithology patterns from the registry, plus the fallback for unknown codes
+    for (const [code, definition] of Object.entries(LogPatterns.codes)) {
+      defs.appendChild(this.createUSCSPattern(code, definition));
+    }
+    defs.appendChild(this.createUSCSPattern('DEFAULT', LogPatterns.fallback));
 
-    for (const [uscs, config] of Object.entries(patterns)) {
-      const pattern = this.createUSCSPattern(uscs, config);
-      defs.appendChild(pattern);
+    // Well annular fills: palette colour with hatching, so materials differ in print
+    for (const [key, material] of Object.entries(BoringLog.annularFillMaterials)) {
+      defs.appendChild(this.createWellFillPattern(key, material));
     }
 
     // Groundwater marker
-    const gwMarker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+    const gwMarker = this.createSvgElement('marker');
     gwMarker.setAttribute('id', 'groundwater-triangle');
     gwMarker.setAttribute('viewBox', '0 0 10 10');
     gwMarker.setAttribute('refX', '5');
@@ -206,53 +973,93 @@ class BoringLog {
     gwMarker.setAttribute('markerHeight', '8');
     gwMarker.setAttribute('orient', 'auto');
 
-    const triangle = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    const triangle = this.createSvgElement('path');
     triangle.setAttribute('d', 'M 0 10 L 5 0 L 10 10 Z');
-    triangle.setAttribute('fill', this.config.colors.groundwater);
+    triangle.setAttribute('fill', this.getColors().groundwater);
     gwMarker.appendChild(triangle);
     defs.appendChild(gwMarker);
 
+    // Glow around the highlighted item (interactive preview only)
+    if (this.isInteractive()) {
+      const highlight = this.createSvgElement('filter');
+      highlight.setAttribute('id', 'item-highlight');
+      highlight.setAttribute('x', '-20%');
+      highlight.setAttribute('y', '-20%');
+      highlight.setAttribute('width', '140%');
+      highlight.setAttribute('height', '140%');
+      const shadow = this.createSvgElement('feDropShadow');
+      shadow.setAttribute('dx', '0');
+      shadow.setAttribute('dy', '0');
+      shadow.setAttribute('stdDeviation', '2');
+      shadow.setAttribute('flood-color', '#2563eb');
+      shadow.setAttribute('flood-opacity', '0.9');
+      highlight.appendChild(shadow);
+      defs.appendChild(highlight);
+    }
+
     return defs;
   }
 
   createUSCSPattern(uscs, config) {
-    const pattern = document.createElementNS('http://www.w3.org/2000/svg', 'pattern');
+    const size = config.tile ? config.size || LogPatterns.tileSize : LogPatterns.tileSize;
+    const pattern = this.createSvgElement('pattern');
     pattern.setAttribute('id', `pattern-${uscs}`);
     pattern.setAttribute('patternUnits', 'userSpaceOnUse');
-    pattern.setAttribute('width', '16');
-    pattern.setAttribute('height', '16');
-
-    // Background
-    const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    bg.setAttribute('width', '16');
-    bg.setAttribute('height', '16');
-    bg.setAttribute('fill', config.fill);
+    pattern.setAttribute('width', size);
+    pattern.setAttribute('height', size);
+    const density = this.getPatternDensity(config);
+    if (density !== 1) {
+      pattern.setAttribute('patternTransform', `scale(${1 / density})`);
+    }
+
+    // Background, recoloured by the theme (e.g. gray or white for print)
+    const theme = this.getTheme();
+    const bg = this.createSvgElement('rect');
+    bg.setAttribute('width', size);
+    bg.setAttribute('height', size);
+    bg.setAttribute('fill', theme.fill ? theme.fill(config.fill) : config.fill);
+    pattern.appendChild(bg);
+
+    // Raw SVG tile, or pattern primitives drawn over the fill
+    if (config.tile) {
+      this.appendSvgMarkup(pattern, config.tile);
+    } else {
+      [].concat(config.pattern || []).forEach(primitive => this.addPatternPrimitive(pattern, primitive));
+    }
+
+    return pattern;
+  }
+
+  createWellFillPattern(key, material) {
+    const size = LogPatterns.tileSize;
+    const pattern = this.createSvgElement('pattern');
+    pattern.setAttribute('id', `pattern-well-${key}`);
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+    pattern.setAttribute('width', size);
+    pattern.setAttribute('height', size);
+    const density = this.getPatternDensity({});
+    if (density !== 1) {
+      pattern.setAttribute('patternTransform', `scale(${1 / density})`);
+    }
+
+    const bg = this.createSvgElement('rect');
+    bg.setAttribute('width', size);
+    bg.setAttribute('height', size);
+    bg.setAttribute('fill', this.getColors()[material.color] || material.color);
     pattern.appendChild(bg);
+    if (material.pattern) this.addPatternPrimitive(pattern, material.pattern);
+
+    return pattern;
+  }
 
-    // Pattern overlay based on type
-    switch (config.type) {
+  addPatternPrimitive(pattern, primitive) {
+    switch (primitive) {
       case 'gravel':
         this.addGravelPattern(pattern);
         break;
-      case 'gravel-silt':
-        this.addGravelPattern(pattern);
-        this.addSiltLines(pattern);
-        break;
-      case 'gravel-clay':
-        this.addGravelPattern(pattern);
-        this.addClayLines(pattern);
-        break;
       case 'sand':
         this.addSandDots(pattern);
         break;
-      case 'sand-silt':
-        this.addSandDots(pattern);
-        this.addSiltLines(pattern);
-        break;
-      case 'sand-clay':
-        this.addSandDots(pattern);
-        this.addClayLines(pattern);
-        break;
       case 'silt':
         this.addSiltLines(pattern);
         break;
@@ -277,30 +1084,48 @@ class BoringLog {
       case 'rock':
         this.addRockPattern(pattern);
         break;
+      case 'shale':
+        this.addShalePattern(pattern);
+        break;
+      case 'till':
+        this.addTillPattern(pattern);
+        break;
       case 'default':
         this.addDefaultPattern(pattern);
         break;
     }
+  }
 
-    return pattern;
+  // Parse raw SVG markup (a registered pattern tile) into children of parent
+  appendSvgMarkup(parent, markup) {
+    if (this.svgDocument === LogSvgDocument) {
+      parent.appendChild(LogSvgDocument.createRaw(markup));
+      return;
+    }
+    const parsed = new DOMParser().parseFromString(
+      `<svg xmlns="${LogSvgDocument.namespace}">${markup}</svg>`, 'image/svg+xml');
+    if (parsed.getElementsByTagName('parsererror').length > 0) return;
+    [...parsed.documentElement.childNodes].forEach(node => {
+      parent.appendChild(this.svgDocument.importNode(node, true));
+    });
   }
 
   addGravelPattern(pattern) {
-    const circle1 = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    const circle1 = this.createSvgElement('circle');
     circle1.setAttribute('cx', '4');
     circle1.setAttribute('cy', '4');
     circle1.setAttribute('r', '3');
     circle1.setAttribute('fill', 'none');
-    circle1.setAttribute('stroke', '#333');
+    circle1.setAttribute('stroke', this.patternInk('#333'));
     circle1.setAttribute('stroke-width', '1');
     pattern.appendChild(circle1);
 
-    const circle2 = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    const circle2 = this.createSvgElement('circle');
     circle2.setAttribute('cx', '12');
     circle2.setAttribute('cy', '12');
     circle2.setAttribute('r', '3');
     circle2.setAttribute('fill', 'none');
-    circle2.setAttribute('stroke', '#333');
+    circle2.setAttribute('stroke', this.patternInk('#333'));
     circle2.setAttribute('stroke-width', '1');
     pattern.appendChild(circle2);
   }
@@ -308,23 +1133,23 @@ class BoringLog {
   addSandDots(pattern) {
     const dots = [[4, 4], [12, 4], [8, 8], [4, 12], [12, 12]];
     dots.forEach(([cx, cy]) => {
-      const dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      const dot = this.createSvgElement('circle');
       dot.setAttribute('cx', cx);
       dot.setAttribute('cy', cy);
       dot.setAttribute('r', '1');
-      dot.setAttribute('fill', '#333');
+      dot.setAttribute('fill', this.patternInk('#333'));
       pattern.appendChild(dot);
     });
   }
 
   addSiltLines(pattern) {
     for (let y = 4; y <= 12; y += 8) {
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const line = this.createSvgElement('line');
       line.setAttribute('x1', '0');
       line.setAttribute('y1', y);
       line.setAttribute('x2', '16');
       line.setAttribute('y2', y);
-      line.setAttribute('stroke', '#333');
+      line.setAttribute('stroke', this.patternInk('#333'));
       line.setAttribute('stroke-width', '0.5');
       pattern.appendChild(line);
     }
@@ -333,22 +1158,22 @@ class BoringLog {
   addClayLines(pattern, heavy = false) {
     const spacing = heavy ? 4 : 8;
     for (let i = -16; i <= 32; i += spacing) {
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const line = this.createSvgElement('line');
       line.setAttribute('x1', i);
       line.setAttribute('y1', '0');
       line.setAttribute('x2', i + 16);
       line.setAttribute('y2', '16');
-      line.setAttribute('stroke', '#333');
+      line.setAttribute('stroke', this.patternInk('#333'));
       line.setAttribute('stroke-width', '0.5');
       pattern.appendChild(line);
     }
   }
 
   addOrganicPattern(pattern) {
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    const path = this.createSvgElement('path');
     path.setAttribute('d', 'M2,8 Q8,2 14,8 Q8,14 2,8');
     path.setAttribute('fill', 'none');
-    path.setAttribute('stroke', '#222');
+    path.setAttribute('stroke', this.patternInk('#222'));
     path.setAttribute('stroke-width', '0.5');
     pattern.appendChild(path);
   }
@@ -356,12 +1181,12 @@ class BoringLog {
   addPeatPattern(pattern) {
     // Grass-like vertical lines
     for (let x = 2; x <= 14; x += 4) {
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const line = this.createSvgElement('line');
       line.setAttribute('x1', x);
       line.setAttribute('y1', '16');
       line.setAttribute('x2', x);
       line.setAttribute('y2', '4');
-      line.setAttribute('stroke', '#1a1a1a');
+      line.setAttribute('stroke', this.patternInk('#1a1a1a'));
       line.setAttribute('stroke-width', '1');
       pattern.appendChild(line);
     }
@@ -371,18 +1196,18 @@ class BoringLog {
     // Root-like organic pattern with dots
     const dots = [[3, 5], [8, 3], [13, 6], [5, 11], [10, 13]];
     dots.forEach(([cx, cy]) => {
-      const dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      const dot = this.createSvgElement('circle');
       dot.setAttribute('cx', cx);
       dot.setAttribute('cy', cy);
       dot.setAttribute('r', '1.5');
-      dot.setAttribute('fill', '#3d3225');
+      dot.setAttribute('fill', this.patternInk('#3d3225'));
       pattern.appendChild(dot);
     });
     // Wavy line for organic material
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    const path = this.createSvgElement('path');
     path.setAttribute('d', 'M0,8 Q4,6 8,8 Q12,10 16,8');
     path.setAttribute('fill', 'none');
-    path.setAttribute('stroke', '#3d3225');
+    path.setAttribute('stroke', this.patternInk('#3d3225'));
     path.setAttribute('stroke-width', '0.5');
     pattern.appendChild(path);
   }
@@ -396,10 +1221,10 @@ class BoringLog {
       'M11,11 L14,10 L15,14 L11,14 Z'
     ];
     shapes.forEach(d => {
-      const shape = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      const shape = this.createSvgElement('path');
       shape.setAttribute('d', d);
       shape.setAttribute('fill', 'none');
-      shape.setAttribute('stroke', '#555');
+      shape.setAttribute('stroke', this.patternInk('#555'));
       shape.setAttribute('stroke-width', '0.5');
       pattern.appendChild(shape);
     });
@@ -408,59 +1233,95 @@ class BoringLog {
   addRockPattern(pattern) {
     // Brick-like pattern for rock
     for (let y = 0; y <= 16; y += 8) {
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const line = this.createSvgElement('line');
       line.setAttribute('x1', '0');
       line.setAttribute('y1', y);
       line.setAttribute('x2', '16');
       line.setAttribute('y2', y);
-      line.setAttribute('stroke', '#666');
+      line.setAttribute('stroke', this.patternInk('#666'));
       line.setAttribute('stroke-width', '0.5');
       pattern.appendChild(line);
     }
     // Vertical lines offset
     const vLines = [[8, 0, 8], [0, 8, 8], [16, 8, 8]];
     vLines.forEach(([x, y1, h]) => {
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const line = this.createSvgElement('line');
       line.setAttribute('x1', x);
       line.setAttribute('y1', y1);
       line.setAttribute('x2', x);
       line.setAttribute('y2', y1 + h);
-      line.setAttribute('stroke', '#666');
+      line.setAttribute('stroke', this.patternInk('#666'));
       line.setAttribute('stroke-width', '0.5');
       pattern.appendChild(line);
     });
   }
 
+  addShalePattern(pattern) {
+    // Short staggered dashes for fissile rock
+    const dashes = [[1, 4, 7], [9, 4, 15], [5, 12, 11], [13, 12, 16], [0, 12, 3]];
+    dashes.forEach(([x1, y, x2]) => {
+      const line = this.createSvgElement('line');
+      line.setAttribute('x1', x1);
+      line.setAttribute('y1', y);
+      line.setAttribute('x2', x2);
+      line.setAttribute('y2', y);
+      line.setAttribute('stroke', this.patternInk('#444'));
+      line.setAttribute('stroke-width', '0.8');
+      pattern.appendChild(line);
+    });
+  }
+
+  addTillPattern(pattern) {
+    // Unsorted clasts: small triangles among dots
+    ['M2,6 L5,2 L7,6 Z', 'M10,14 L12,10 L15,13 Z'].forEach(d => {
+      const clast = this.createSvgElement('path');
+      clast.setAttribute('d', d);
+      clast.setAttribute('fill', 'none');
+      clast.setAttribute('stroke', this.patternInk('#333'));
+      clast.setAttribute('stroke-width', '0.6');
+      pattern.appendChild(clast);
+    });
+    [[12, 4], [4, 12], [8, 9]].forEach(([cx, cy]) => {
+      const dot = this.createSvgElement('circle');
+      dot.setAttribute('cx', cx);
+      dot.setAttribute('cy', cy);
+      dot.setAttribute('r', '0.8');
+      dot.setAttribute('fill', this.patternInk('#333'));
+      pattern.appendChild(dot);
+    });
+  }
+
   addDefaultPattern(pattern) {
     // Simple cross-hatch for unknown soil types
     for (let i = 0; i <= 16; i += 8) {
-      const line1 = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const line1 = this.createSvgElement('line');
       line1.setAttribute('x1', i);
       line1.setAttribute('y1', '0');
       line1.setAttribute('x2', i);
       line1.setAttribute('y2', '16');
-      line1.setAttribute('stroke', '#999');
+      line1.setAttribute('stroke', this.patternInk('#999'));
       line1.setAttribute('stroke-width', '0.3');
       pattern.appendChild(line1);
 
-      const line2 = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const line2 = this.createSvgElement('line');
       line2.setAttribute('x1', '0');
       line2.setAttribute('y1', i);
       line2.setAttribute('x2', '16');
       line2.setAttribute('y2', i);
-      line2.setAttribute('stroke', '#999');
+      line2.setAttribute('stroke', this.patternInk('#999'));
       line2.setAttribute('stroke-width', '0.3');
       pattern.appendChild(line2);
     }
   }
 
-  renderHeader(parent, width) {
-    const { boring, groundwater } = this.data;
-    const { colors, headerHeight } = this.config;
-    const headerContentHeight = headerHeight - 30; // Leave room for column headers
+  renderHeader(parent, width, sheet = { number: 1, count: 1 }) {
+    const colors = this.getColors();
+    const { header } = this.getTitleBlock();
+    const headerContentHeight = this.getHeaderHeight() - 30; // Leave room for column headers
+    const context = this.getTitleBlockContext(sheet);
 
     // Header background
-    const headerBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const headerBg = this.createSvgElement('rect');
     headerBg.setAttribute('x', '0');
     headerBg.setAttribute('y', '0');
     headerBg.setAttribute('width', width);
@@ -469,162 +1330,154 @@ class BoringLog {
     headerBg.setAttribute('stroke', colors.border);
     parent.appendChild(headerBg);
 
-    // Divide header into 3 columns
-    const col1X = 10;
-    const col2X = width / 3;
-    const col3X = (width / 3) * 2;
-    const lineHeight = 13;
-    let y = 16;
-
-    // === Column 1: Project & Site Info ===
-    const title = this.createText(`BORING LOG: ${boring.id}`, col1X, y, { fontWeight: 'bold', fontSize: '13px' });
-    parent.appendChild(title);
-    y += lineHeight + 2;
-
-    const project = this.createText(`Project: ${boring.project}`, col1X, y, { fontSize: '10px' });
-    parent.appendChild(project);
-    y += lineHeight;
-
-    if (boring.client) {
-      const client = this.createText(`Client: ${boring.client}`, col1X, y, { fontSize: '10px' });
-      parent.appendChild(client);
-      y += lineHeight;
+    // Sheet number (or other corner text) in the top-right corner
+    const cornerText = header.corner && LogTitleBlocks.interpolate(header.corner, this.data, context);
+    if (cornerText) {
+      const corner = this.createText(cornerText, width - 10, 16, {
+        fontSize: '10px',
+        fontWeight: 'bold',
+        textAnchor: 'end'
+      });
+      parent.appendChild(corner);
     }
 
-    if (boring.location) {
-      const locText = `Location: ${boring.location.coords.join(', ')} (${boring.location.system})`;
-      const location = this.createText(locText, col1X, y, { fontSize: '9px' });
-      parent.appendChild(location);
-      y += lineHeight;
-    }
+    this.renderTitleBlockColumns(parent, header.columns, 0, width, context);
+  }
 
-    if (boring.elevation !== undefined) {
-      const elevation = this.createText(`Surface Elev: ${boring.elevation} ft`, col1X, y, { fontSize: '10px' });
-      parent.appendChild(elevation);
-      y += lineHeight;
+  // Placeholder values that depend on the sheet and rendering options
+  getTitleBlockContext(sheet = { number: 1, count: 1 }) {
+    const units = this.getUnits();
+    const { groundwater } = this.data;
+    const observations = this.getGroundwaterObservations();
+    let groundwaterText = null;
+    if (observations.length > 0) {
+      const levels = observations.map(obs => {
+        const short = this.getGroundwaterType(obs.type).short;
+        return `${obs.depth} ${units.depth}${short ? ` ${short}` : ''}`;
+      });
+      groundwaterText = `${levels.join(', ')}${groundwater.note ? ` (${groundwater.note})` : ''}`;
     }
+    return { units: units.depth, sheet: sheet.number, sheets: sheet.count, groundwater: groundwaterText, hammer: this.getHammerText() };
+  }
 
-    const totalDepthText = this.createText(`Total Depth: ${boring.totalDepth} ft`, col1X, y, { fontSize: '10px' });
-    parent.appendChild(totalDepthText);
+  // Draw title block columns of text, image and gap items starting at y
+  renderTitleBlockColumns(parent, columns, top, width, context) {
+    const colors = this.getColors();
+    (columns || []).forEach(column => {
+      const x = column.x * width + (column.inset || 0);
+      let y = top + 16;
+
+      column.items.forEach(item => {
+        if (!LogTitleBlocks.isShown(item, this.data, context)) return;
+
+        if (item.gap) {
+          y += item.gap;
+          return;
+        }
+
+        if (item.image) {
+          const href = LogTitleBlocks.interpolate(item.image, this.data, context);
+          if (!href) return;
+          const image = this.createSvgElement('image');
+          image.setAttribute('href', href);
+          image.setAttribute('x', x);
+          image.setAttribute('y', y - 10);
+          image.setAttribute('width', item.width);
+          image.setAttribute('height', item.height);
+          image.setAttribute('preserveAspectRatio', 'xMinYMid meet');
+          parent.appendChild(image);
+          y += item.height;
+          return;
+        }
+
+        const text = LogTitleBlocks.interpolate(item.text, this.data, context, item.blank ?? null);
+        if (!text) return;
+        const style = LogTitleBlocks.styles[item.style] || LogTitleBlocks.styles.text;
+        // Multi-line values (e.g. an address) take one line each
+        text.split(/\r?\n/).forEach(line => {
+          const label = this.createText(line, x, y, {
+            fontSize: `${style.fontSize}px`,
+            fontWeight: style.fontWeight,
+            fill: colors[item.color] || item.color
+          });
+          parent.appendChild(label);
+          y += style.lineHeight;
+        });
+      });
+    });
+  }
 
-    if (groundwater && groundwater.depth !== undefined) {
-      y += lineHeight;
-      const gwText = `GW Depth: ${groundwater.depth} ft${groundwater.note ? ` (${groundwater.note})` : ''}`;
-      const gw = this.createText(gwText, col1X, y, { fontSize: '10px', fill: colors.groundwater });
-      parent.appendChild(gw);
+  /**
+   * Title block footer at the bottom of a sheet: sign-off columns and the
+   * disclaimer wrapped across the sheet. Returns its height (0 when the
+   * template has no footer and the data no disclaimer).
+   */
+  renderFooter(parent, startY, width) {
+    const colors = this.getColors();
+    const footer = this.getTitleBlock().footer || {};
+    const disclaimer = this.data.boring.disclaimer || footer.disclaimer;
+    if (!footer.columns && !disclaimer) return 0;
+
+    const context = this.getTitleBlockContext();
+    const group = this.createSvgElement('g');
+    parent.appendChild(group);
+    this.renderTitleBlockColumns(group, footer.columns, startY, width, context);
+
+    // Disclaimer in fine print below the sign-off row
+    const fine = LogTitleBlocks.styles.fine;
+    let lineY = startY + (footer.columns ? 32 : 14);
+    if (disclaimer) {
+      const words = String(disclaimer).split(/\s+/);
+      let line = '';
+      words.forEach(word => {
+        const testLine = line ? `${line} ${word}` : word;
+        if (this.measureText(testLine, fine.fontSize) > width - 20 && line) {
+          group.appendChild(this.createText(line, 10, lineY, { fontSize: `${fine.fontSize}px`, fill: colors.mutedText }));
+          line = word;
+          lineY += fine.lineHeight;
+        } else {
+          line = testLine;
+        }
+      });
+      if (line) group.appendChild(this.createText(line, 10, lineY, { fontSize: `${fine.fontSize}px`, fill: colors.mutedText }));
     }
 
-    // === Column 2: Consultant & Drilling Info ===
-    y = 16;
-    if (boring.consultant) {
-      const consultantLabel = this.createText('CONSULTANT', col2X, y, { fontWeight: 'bold', fontSize: '10px' });
-      parent.appendChild(consultantLabel);
-      y += lineHeight;
-
-      if (boring.consultant.company) {
-        const company = this.createText(boring.consultant.company, col2X, y, { fontSize: '10px' });
-        parent.appendChild(company);
-        y += lineHeight;
-      }
-      if (boring.consultant.contact) {
-        const contact = this.createText(boring.consultant.contact, col2X, y, { fontSize: '10px' });
-        parent.appendChild(contact);
-        y += lineHeight;
-      }
-      if (boring.consultant.phone) {
-        const phone = this.createText(boring.consultant.phone, col2X, y, { fontSize: '10px' });
-        parent.appendChild(phone);
-        y += lineHeight;
-      }
-    }
-
-    // Drilling info below consultant
-    y += 4;
-    if (boring.drillingMethod) {
-      const method = this.createText(`Method: ${boring.drillingMethod}`, col2X, y, { fontSize: '9px' });
-      parent.appendChild(method);
-      y += lineHeight;
-    }
-    if (boring.equipment) {
-      const equip = this.createText(`Equipment: ${boring.equipment}`, col2X, y, { fontSize: '9px' });
-      parent.appendChild(equip);
-      y += lineHeight;
-    }
-    if (boring.loggedBy) {
-      const logged = this.createText(`Logged By: ${boring.loggedBy}`, col2X, y, { fontSize: '9px' });
-      parent.appendChild(logged);
-    }
-
-    // === Column 3: Driller & Date Info ===
-    y = 16;
-    const drillerLabel = this.createText('DRILLER', col3X, y, { fontWeight: 'bold', fontSize: '10px' });
-    parent.appendChild(drillerLabel);
-    y += lineHeight;
-
-    // Handle both old string format and new object format for driller
-    if (typeof boring.driller === 'object') {
-      if (boring.driller.company) {
-        const drillerCo = this.createText(boring.driller.company, col3X, y, { fontSize: '10px' });
-        parent.appendChild(drillerCo);
-        y += lineHeight;
-      }
-      if (boring.driller.name) {
-        const drillerName = this.createText(boring.driller.name, col3X, y, { fontSize: '10px' });
-        parent.appendChild(drillerName);
-        y += lineHeight;
-      }
-      if (boring.driller.license) {
-        const license = this.createText(`License: ${boring.driller.license}`, col3X, y, { fontSize: '9px' });
-        parent.appendChild(license);
-        y += lineHeight;
-      }
-    } else if (boring.driller) {
-      const drillerText = this.createText(boring.driller, col3X, y, { fontSize: '10px' });
-      parent.appendChild(drillerText);
-      y += lineHeight;
-    }
-
-    y += 4;
-    // Support both single date and start/complete dates
-    if (boring.dateStart && boring.dateComplete) {
-      const startDate = this.createText(`Start: ${boring.dateStart}`, col3X, y, { fontSize: '10px' });
-      parent.appendChild(startDate);
-      y += lineHeight;
-      const completeDate = this.createText(`Complete: ${boring.dateComplete}`, col3X, y, { fontSize: '10px' });
-      parent.appendChild(completeDate);
-    } else {
-      const dateText = boring.time ? `${boring.date} ${boring.time}` : boring.date;
-      const date = this.createText(`Date: ${dateText}`, col3X, y, { fontSize: '10px' });
-      parent.appendChild(date);
-    }
-
-    if (boring.weather) {
-      y += lineHeight;
-      const weather = this.createText(`Weather: ${boring.weather}`, col3X, y, { fontSize: '10px' });
-      parent.appendChild(weather);
-    }
-  }
+    const height = Math.max(footer.height || 0, lineY - startY + 8);
+    const background = this.createSvgElement('rect');
+    background.setAttribute('x', '0');
+    background.setAttribute('y', startY);
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', colors.headerBg);
+    background.setAttribute('stroke', colors.border);
+    group.insertBefore(background, group.firstChild);
+
+    return height;
+  }
 
   renderColumnHeaders(parent, y, hasWellData = false) {
-    const { colors, wellPanelWidth } = this.config;
+    const { panelWidth: wellPanelWidth, tableWidth } = this.getWellLayout();
+    const wellTableWidth = hasWellData ? tableWidth : 0;
+    const colors = this.getColors();
+    const units = this.getUnits();
     const columns = this.activeColumns;
     let x = 0;
     const columnsWidth = Object.values(columns).reduce((sum, col) => sum + col.width, 0);
-    const totalWidth = columnsWidth + (hasWellData ? wellPanelWidth + 10 : 0);
+    const totalWidth = columnsWidth + (hasWellData ? wellPanelWidth + wellTableWidth + 10 : 0);
 
     // Header row background
-    const headerRow = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const headerRow = this.createSvgElement('rect');
     headerRow.setAttribute('x', '0');
     headerRow.setAttribute('y', y);
     headerRow.setAttribute('width', totalWidth);
     headerRow.setAttribute('height', '30');
-    headerRow.setAttribute('fill', '#e8e8e8');
+    headerRow.setAttribute('fill', colors.columnHeaderBg);
     headerRow.setAttribute('stroke', colors.border);
     parent.appendChild(headerRow);
 
     for (const [key, col] of Object.entries(columns)) {
       // Column separator
-      const sep = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const sep = this.createSvgElement('line');
       sep.setAttribute('x1', x);
       sep.setAttribute('y1', y);
       sep.setAttribute('x2', x);
@@ -632,21 +1485,41 @@ class BoringLog {
       sep.setAttribute('stroke', colors.border);
       parent.appendChild(sep);
 
-      // Column label
-      const label = this.createText(col.label, x + col.width / 2, y + 20, {
+      // Column label, with the unit on a second line for measured columns
+      const label = this.createText(col.label, x + col.width / 2, col.unit || col.axis ? y + 13 : y + 20, {
         fontSize: '9px',
         fontWeight: 'bold',
         textAnchor: 'middle'
       });
       parent.appendChild(label);
 
+      if (col.unit) {
+        const unitLabel = this.createText(`(${units[col.unit]})`, x + col.width / 2, y + 24, {
+          fontSize: '7px',
+          textAnchor: 'middle'
+        });
+        parent.appendChild(unitLabel);
+      }
+
+      // Graph columns show their axis scale under the label
+      if (col.axis) {
+        const { min, max, step } = col.axis;
+        for (let v = min; v <= max; v += step) {
+          const tickLabel = this.createText(String(v), this.getAxisX(col, x, v), y + 26, {
+            fontSize: '6px',
+            textAnchor: 'middle'
+          });
+          parent.appendChild(tickLabel);
+        }
+      }
+
       x += col.width;
     }
 
     // Well column header if well data exists
     if (hasWellData) {
       const wellX = columnsWidth + 10;
-      const sep = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      const sep = this.createSvgElement('line');
       sep.setAttribute('x1', wellX);
       sep.setAttribute('y1', y);
       sep.setAttribute('x2', wellX);
@@ -654,89 +1527,125 @@ class BoringLog {
       sep.setAttribute('stroke', colors.border);
       parent.appendChild(sep);
 
-      const label = this.createText('Well', wellX + wellPanelWidth / 2, y + 20, {
+      // Centred over the panel, moved clear of a diagram widened for nested casings
+      const label = this.createText('Well', wellX + wellPanelWidth / 2 + (wellPanelWidth - this.config.wellPanelWidth), y + 20, {
         fontSize: '9px',
         fontWeight: 'bold',
         textAnchor: 'middle'
       });
       parent.appendChild(label);
+
+      // Elevation table: depth and elevation right-aligned over their values
+      if (wellTableWidth > 0) {
+        const tableX = wellX + wellPanelWidth;
+        const tableSep = this.createSvgElement('line');
+        tableSep.setAttribute('x1', tableX);
+        tableSep.setAttribute('y1', y);
+        tableSep.setAttribute('x2', tableX);
+        tableSep.setAttribute('y2', y + 30);
+        tableSep.setAttribute('stroke', colors.border);
+        parent.appendChild(tableSep);
+
+        const tableColumns = this.getWellTableColumns(tableX, wellTableWidth);
+        [['Depth', tableColumns.depth], ['Elev.', tableColumns.elevation]].forEach(([text, x]) => {
+          parent.appendChild(this.createText(text, x, y + 13, { fontSize: '9px', fontWeight: 'bold', textAnchor: 'end' }));
+          parent.appendChild(this.createText(`(${units.depth})`, x, y + 24, { fontSize: '7px', textAnchor: 'end' }));
+        });
+      }
     }
   }
 
-  renderDepthScale(parent, startY, height, totalDepth) {
-    const { colors, depthScale } = this.config;
+  renderDepthScale(parent, startY, height, range) {
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
     const columns = this.activeColumns;
-    const depthColWidth = columns.depth.width;
-    const elevColWidth = columns.elevation.width;
     const surfaceElevation = this.data.boring.elevation;
+    const depthX = columns.depth ? this.getColumnX('depth') : null;
+    const elevX = columns.elevation ? this.getColumnX('elevation') : null;
+
+    // Depth and elevation column backgrounds
+    ['depth', 'elevation'].forEach(key => {
+      if (!columns[key]) return;
+      const bg = this.createSvgElement('rect');
+      bg.setAttribute('x', this.getColumnX(key));
+      bg.setAttribute('y', startY);
+      bg.setAttribute('width', columns[key].width);
+      bg.setAttribute('height', height);
+      bg.setAttribute('fill', colors.background);
+      bg.setAttribute('stroke', colors.border);
+      parent.appendChild(bg);
+    });
 
-    // Depth column background
-    const depthBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    depthBg.setAttribute('x', '0');
-    depthBg.setAttribute('y', startY);
-    depthBg.setAttribute('width', depthColWidth);
-    depthBg.setAttribute('height', height);
-    depthBg.setAttribute('fill', 'white');
-    depthBg.setAttribute('stroke', colors.border);
-    parent.appendChild(depthBg);
-
-    // Elevation column background
-    const elevBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    elevBg.setAttribute('x', depthColWidth);
-    elevBg.setAttribute('y', startY);
-    elevBg.setAttribute('width', elevColWidth);
-    elevBg.setAttribute('height', height);
-    elevBg.setAttribute('fill', 'white');
-    elevBg.setAttribute('stroke', colors.border);
-    parent.appendChild(elevBg);
-
-    // Depth and elevation markers
-    const interval = totalDepth <= 20 ? 2 : 5;
-    for (let d = 0; d <= totalDepth; d += interval) {
-      const y = startY + d * depthScale;
-
-      // Tick mark for depth
-      const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      tick.setAttribute('x1', depthColWidth - 10);
-      tick.setAttribute('y1', y);
-      tick.setAttribute('x2', depthColWidth);
-      tick.setAttribute('y2', y);
-      tick.setAttribute('stroke', colors.border);
-      parent.appendChild(tick);
-
-      // Depth label
-      const depthLabel = this.createText(d.toString(), depthColWidth - 15, y + 4, {
-        fontSize: '9px',
-        textAnchor: 'end'
-      });
-      parent.appendChild(depthLabel);
+    // Grid lines run across the data columns, skipping the scale columns
+    const gridSpans = [];
+    let x = 0;
+    for (const [key, col] of Object.entries(columns)) {
+      const last = gridSpans[gridSpans.length - 1];
+      if (key !== 'depth' && key !== 'elevation') {
+        if (last && last.x2 === x) last.x2 = x + col.width;
+        else gridSpans.push({ x1: x, x2: x + col.width });
+      }
+      x += col.width;
+    }
+
+    // Depth and elevation markers (interval based on the whole boring so sheets match)
+    const totalDepth = this.data.boring.totalDepth || 30;
+    const interval = LogUnits.getTickInterval(totalDepth, this.getUnits());
+    const firstTick = Math.ceil(range.top / interval) * interval;
+    for (let d = firstTick; d <= range.bottom; d += interval) {
+      const y = startY + (d - range.top) * depthScale;
+      // Labels at the sheet's top and bottom depths stay inside it
+      const labelY = Math.min(Math.max(y + 4, startY + 10), startY + height - 2);
+
+      if (depthX !== null) {
+        const depthColWidth = columns.depth.width;
+
+        // Tick mark for depth
+        const tick = this.createSvgElement('line');
+        tick.setAttribute('x1', depthX + depthColWidth - 10);
+        tick.setAttribute('y1', y);
+        tick.setAttribute('x2', depthX + depthColWidth);
+        tick.setAttribute('y2', y);
+        tick.setAttribute('stroke', colors.border);
+        parent.appendChild(tick);
+
+        // Depth label
+        const depthLabel = this.createText(d.toString(), depthX + depthColWidth - 15, labelY, {
+          fontSize: '9px',
+          textAnchor: 'end'
+        });
+        parent.appendChild(depthLabel);
+      }
 
       // Elevation label (if surface elevation is known)
-      if (surfaceElevation != null) {
+      if (elevX !== null && surfaceElevation != null) {
         const elev = (surfaceElevation - d).toFixed(1);
-        const elevLabel = this.createText(elev, depthColWidth + elevColWidth / 2, y + 4, {
+        const elevLabel = this.createText(elev, elevX + columns.elevation.width / 2, labelY, {
           fontSize: '8px',
           textAnchor: 'middle'
         });
         parent.appendChild(elevLabel);
       }
 
-      // Grid line across all columns
-      if (d > 0 && d < totalDepth) {
-        const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        gridLine.setAttribute('x1', depthColWidth + elevColWidth);
-        gridLine.setAttribute('y1', y);
-        gridLine.setAttribute('x2', Object.values(columns).reduce((sum, col) => sum + col.width, 0));
-        gridLine.setAttribute('y2', y);
-        gridLine.setAttribute('stroke', colors.gridLine);
-        gridLine.setAttribute('stroke-dasharray', '2,2');
-        parent.appendChild(gridLine);
+      // Grid line across the data columns
+      if (d > range.top && d < range.bottom) {
+        gridSpans.forEach(span => {
+          const gridLine = this.createSvgElement('line');
+          gridLine.setAttribute('x1', span.x1);
+          gridLine.setAttribute('y1', y);
+          gridLine.setAttribute('x2', span.x2);
+          gridLine.setAttribute('y2', y);
+          gridLine.setAttribute('stroke', colors.gridLine);
+          gridLine.setAttribute('stroke-dasharray', '2,2');
+          parent.appendChild(gridLine);
+        });
       }
     }
   }
 
-  renderSoilLayers(parent, startY, height, totalDepth) {
-    const { colors, depthScale } = this.config;
+  renderSoilLayers(parent, startY, height, range) {
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
     const columns = this.activeColumns;
     const { layers } = this.data;
 
@@ -748,33 +1657,76 @@ class BoringLog {
       x += col.width;
     }
 
-    for (const layer of layers) {
-      const y1 = startY + layer.depthTop * depthScale;
-      const y2 = startY + layer.depthBottom * depthScale;
+    // Column backgrounds (drawn first so labels stay on top); the scale columns
+    // draw their own, and the graphic and description are filled per layer
+    const ownBackground = ['depth', 'elevation', 'graphic', 'description'];
+    Object.keys(colPositions).filter(colName => !ownBackground.includes(colName)).forEach(colName => {
+      const bg = this.createSvgElement('rect');
+      bg.setAttribute('x', colPositions[colName].x);
+      bg.setAttribute('y', startY);
+      bg.setAttribute('width', colPositions[colName].width);
+      bg.setAttribute('height', height);
+      bg.setAttribute('fill', colors.background);
+      bg.setAttribute('stroke', colors.border);
+      parent.appendChild(bg);
+    });
+
+    // Layer boundaries span the soil graphic, classification and description columns
+    const layerSpan = ['graphic', 'water', 'uscs', 'description'].filter(key => colPositions[key]);
+    const boundaryX1 = Math.min(...layerSpan.map(key => colPositions[key].x));
+    const boundaryX2 = Math.max(...layerSpan.map(key => colPositions[key].x + colPositions[key].width));
+
+    // Where each description goes on this sheet, and notes for text that does not fit
+    const descriptions = colPositions.description
+      ? this.layoutDescriptions(startY, height, range, colPositions.description.width - 6)
+      : { placements: [], notes: [] };
+
+    for (const [index, layer] of layers.entries()) {
+      // Skip layers outside this sheet and clip the rest to the sheet interval
+      if (layer.depthBottom <= range.top || layer.depthTop >= range.bottom) continue;
+      const continued = layer.depthTop < range.top;
+      const y1 = startY + (Math.max(layer.depthTop, range.top) - range.top) * depthScale;
+      const y2 = startY + (Math.min(layer.depthBottom, range.bottom) - range.top) * depthScale;
       const layerHeight = y2 - y1;
       const centerY = y1 + layerHeight / 2 + 4;
 
+      const description = descriptions.placements[index];
+
+      // All of the layer's elements share a group tagged with its reference; unchanged layers keep theirs
+      if (this.reuseItemGroup(parent, `layers[${index}]`, [layer, description])) continue;
+      const hitArea = layerSpan.length > 0 ? { x: boundaryX1, y: y1, width: boundaryX2 - boundaryX1, height: layerHeight } : null;
+      const group = this.createItemGroup(parent, `layers[${index}]`, hitArea, [layer, description]);
+
       // Soil graphic pattern
-      const patternId = this.getPatternId(layer.uscs);
-      const graphic = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-      graphic.setAttribute('x', colPositions.graphic.x);
-      graphic.setAttribute('y', y1);
-      graphic.setAttribute('width', colPositions.graphic.width);
-      graphic.setAttribute('height', layerHeight);
-      graphic.setAttribute('fill', `url(#${patternId})`);
-      graphic.setAttribute('stroke', colors.border);
-      parent.appendChild(graphic);
+      if (colPositions.graphic) {
+        const patternId = this.getPatternId(layer.uscs);
+        const graphic = this.createSvgElement('rect');
+        graphic.setAttribute('x', colPositions.graphic.x);
+        graphic.setAttribute('y', y1);
+        graphic.setAttribute('width', colPositions.graphic.width);
+        graphic.setAttribute('height', layerHeight);
+        graphic.setAttribute('fill', `url(#${patternId})`);
+        graphic.setAttribute('stroke', colors.border);
+        group.appendChild(graphic);
+      }
 
       // USCS label
-      const uscsLabel = this.createText(layer.uscs, colPositions.uscs.x + colPositions.uscs.width / 2, centerY, {
-        fontSize: '9px',
-        fontWeight: 'bold',
-        textAnchor: 'middle'
-      });
-      parent.appendChild(uscsLabel);
+      if (colPositions.uscs) {
+        const uscsLabel = this.createText(layer.uscs, colPositions.uscs.x + colPositions.uscs.width / 2, centerY, {
+          fontSize: '9px',
+          fontWeight: 'bold',
+          textAnchor: 'middle'
+        });
+        group.appendChild(uscsLabel);
+      }
 
-      // Description (with text wrapping)
-      this.renderWrappedText(parent, layer.description, colPositions.description.x + 3, y1 + 12, colPositions.description.width - 6, layerHeight - 8);
+      // Description lines as placed by layoutDescriptions
+      if (description) {
+        description.lines.forEach((line, lineIndex) => {
+          const lineY = description.top + 2 + description.fontSize + lineIndex * description.lineHeight;
+          group.appendChild(this.createText(line, colPositions.description.x + 3, lineY, { fontSize: `${description.fontSize}px` }));
+        });
+      }
 
       // Moisture
       if (layer.moisture && colPositions.moisture) {
@@ -782,7 +1734,7 @@ class BoringLog {
           fontSize: '8px',
           textAnchor: 'middle'
         });
-        parent.appendChild(moistLabel);
+        group.appendChild(moistLabel);
       }
 
       // Odor (conditional column)
@@ -793,9 +1745,9 @@ class BoringLog {
         const odorLabel = this.createText(odorText, colPositions.odor.x + colPositions.odor.width / 2, centerY, {
           fontSize: '8px',
           textAnchor: 'middle',
-          fill: layer.odor !== 'none' ? '#c00' : colors.text
+          fill: layer.odor !== 'none' ? colors.alert : colors.text
         });
-        parent.appendChild(odorLabel);
+        group.appendChild(odorLabel);
       }
 
       // PID (conditional column)
@@ -803,42 +1755,192 @@ class BoringLog {
         const pidLabel = this.createText(layer.pid.toFixed(1), colPositions.pid.x + colPositions.pid.width / 2, centerY, {
           fontSize: '8px',
           textAnchor: 'middle',
-          fill: layer.pid > 50 ? '#c00' : colors.text
+          fill: layer.pid > 50 ? colors.alert : colors.text
         });
-        parent.appendChild(pidLabel);
+        group.appendChild(pidLabel);
       }
 
-      // Layer boundary line
-      if (layer.depthTop > 0) {
-        const boundary = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        boundary.setAttribute('x1', colPositions.graphic.x);
-        boundary.setAttribute('y1', y1);
-        boundary.setAttribute('x2', colPositions.description.x + colPositions.description.width);
-        boundary.setAttribute('y2', y1);
-        boundary.setAttribute('stroke', colors.border);
-        boundary.setAttribute('stroke-width', '1.5');
-        parent.appendChild(boundary);
+      // Layer boundary in the layer's contact style (the sheet edge already bounds continued layers)
+      if (layer.depthTop > range.top && layerSpan.length > 0) {
+        if (description && description.top > y1) {
+          this.renderDisplacedContact(group, boundaryX1, boundaryX2, y1, description.top, colPositions.description, this.getContactType(layer));
+        } else {
+          this.renderContact(group, boundaryX1, boundaryX2, y1, this.getContactType(layer));
+        }
       }
     }
 
-    // Column backgrounds (for columns after description)
-    const bgColumns = ['uscs', 'moisture', 'odor', 'pid', 'sample', 'spt', 'recovery'];
-    bgColumns.forEach(colName => {
-      if (colPositions[colName]) {
-        const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        bg.setAttribute('x', colPositions[colName].x);
-        bg.setAttribute('y', startY);
-        bg.setAttribute('width', colPositions[colName].width);
-        bg.setAttribute('height', height);
-        bg.setAttribute('fill', 'white');
-        bg.setAttribute('stroke', colors.border);
-        parent.appendChild(bg);
+    // Drag handles for the contacts between layers, on top of everything in the soil graphic
+    if (this.isInteractive() && colPositions.graphic) {
+      layers.forEach((layer, index) => {
+        if (layer.depthTop <= range.top || layer.depthTop >= range.bottom || this.getLayerAbove(index) === -1) return;
+        const handle = this.createSvgElement('rect');
+        handle.setAttribute('x', colPositions.graphic.x);
+        handle.setAttribute('y', startY + (layer.depthTop - range.top) * depthScale - 4);
+        handle.setAttribute('width', colPositions.graphic.width);
+        handle.setAttribute('height', 8);
+        handle.setAttribute('fill', 'none');
+        handle.setAttribute('pointer-events', 'all');
+        handle.setAttribute('cursor', 'ns-resize');
+        handle.setAttribute('data-contact', index);
+        parent.appendChild(handle);
+      });
+    }
+
+    return descriptions.notes;
+  }
+
+  /**
+   * Place the layer descriptions on a sheet using the descriptionOverflow
+   * mode. Returns a placement per layer (null when off the sheet) with the
+   * top of its text, font size and lines, and the numbered notes holding
+   * text that did not fit.
+   */
+  layoutDescriptions(startY, height, range, width) {
+    const { descriptionOverflow } = this.config;
+    const depthScale = this.getDepthScale();
+    const units = this.getUnits();
+    const expand = descriptionOverflow === 'expand';
+    const sheetBottom = startY + height;
+    const notes = [];
+    let nextTop = startY;
+
+    const placements = (this.data.layers || []).map(layer => {
+      if (layer.depthBottom <= range.top || layer.depthTop >= range.bottom) return null;
+      const continued = layer.depthTop < range.top;
+      const y1 = startY + (Math.max(layer.depthTop, range.top) - range.top) * depthScale;
+      const y2 = startY + (Math.min(layer.depthBottom, range.bottom) - range.top) * depthScale;
+      const description = layer.description || '';
+      const text = continued && description ? `(cont.) ${description}` : description;
+
+      // Expanded text starts below the previous layer's and may run on to the bottom of the sheet
+      let top = y1;
+      let bottom = y2;
+      if (expand && Math.max(y1, nextTop) + 20 <= sheetBottom) {
+        top = Math.max(y1, nextTop);
+        bottom = sheetBottom;
+      }
+
+      const number = notes.length + 1;
+      const fit = this.fitDescription(text, width, bottom - top - 8, ` …[${number}]`, descriptionOverflow === 'shrink');
+      if (fit.rest) {
+        const interval = `${layer.depthTop}-${layer.depthBottom} ${units.depth}${layer.uscs ? ` (${layer.uscs})` : ''}`;
+        notes.push({ number, text: `${interval}: …${fit.rest}` });
       }
+      nextTop = Math.max(y2, top + fit.lines.length * fit.lineHeight + 8);
+      return { top, fontSize: fit.fontSize, lineHeight: fit.lineHeight, lines: fit.lines, note: fit.rest ? number : null };
     });
+
+    return { placements, notes };
+  }
+
+  /**
+   * Lines of a description that fit in maxHeight, stepping the font down to
+   * descriptionMinFontSize first when shrinking. Text that still does not
+   * fit is returned as `rest`, and the last line drawn ends with the marker
+   * pointing to its note.
+   */
+  fitDescription(text, maxWidth, maxHeight, marker, shrink = false) {
+    const minFontSize = this.config.descriptionMinFontSize;
+    const lineHeightFor = size => size * 1.2;
+    const fits = (lines, size) => lines.length * lineHeightFor(size) <= maxHeight + 0.01;
+
+    let fontSize = 10;
+    let lines = this.wrapText(text, maxWidth, fontSize);
+    while (shrink && !fits(lines, fontSize) && fontSize > minFontSize) {
+      fontSize = Math.max(minFontSize, fontSize - 0.5);
+      lines = this.wrapText(text, maxWidth, fontSize);
+    }
+    const lineHeight = lineHeightFor(fontSize);
+    if (fits(lines, fontSize)) return { fontSize, lineHeight, lines, rest: null };
+
+    // Too thin for a line of text: the marker alone, in the smallest font
+    const count = Math.floor((maxHeight + 0.01) / lineHeight);
+    if (count < 1) {
+      return { fontSize: minFontSize, lineHeight: lineHeightFor(minFontSize), lines: [marker.trim()], rest: String(text) };
+    }
+
+    // Keep the lines that fit, moving words off the last one until its marker fits too
+    const kept = lines.slice(0, count);
+    const rest = lines.slice(count);
+    let last = kept.pop();
+    while (last.includes(' ') && this.measureText(last + marker, fontSize) > maxWidth) {
+      const cut = last.lastIndexOf(' ');
+      rest.unshift(last.slice(cut + 1));
+      last = last.slice(0, cut);
+    }
+    kept.push(last + marker);
+    return { fontSize, lineHeight, lines: kept, rest: rest.join(' ') };
+  }
+
+  // Contact style for the top of a layer; erosional reads as irregular
+  getContactType(layer) {
+    const { contactTypes } = this.config;
+    const aliases = { erosional: 'irregular', unconformity: 'unconformable' };
+    const key = String(layer.contactType || 'sharp').toLowerCase().trim();
+    return contactTypes[aliases[key] || key] || contactTypes.sharp;
+  }
+
+  /**
+   * Contact for a layer whose description was pushed down (expand overflow):
+   * the line stops at the description column, where it continues at the top
+   * of the description, joined to the true depth by a leader line.
+   */
+  renderDisplacedContact(parent, x1, x2, y, descriptionY, column, type) {
+    const colors = this.getColors();
+    const columnX2 = column.x + column.width;
+    if (column.x > x1) this.renderContact(parent, x1, column.x, y, type);
+    if (x2 > columnX2) this.renderContact(parent, columnX2, x2, y, type);
+
+    const leader = this.createSvgElement('polyline');
+    leader.setAttribute('points', `${column.x},${y} ${column.x + 6},${descriptionY}`);
+    leader.setAttribute('fill', 'none');
+    leader.setAttribute('stroke', colors.annotation);
+    leader.setAttribute('stroke-width', '0.75');
+    parent.appendChild(leader);
+
+    this.renderContact(parent, column.x + 6, columnX2, descriptionY, type);
+  }
+
+  // Horizontal contact line from x1 to x2: solid, dashed/dotted, or wavy, with any hachures
+  renderContact(parent, x1, x2, y, type) {
+    const colors = this.getColors();
+    let contact;
+    if (type.wavy) {
+      let d = `M ${x1} ${y}`;
+      for (let x = x1; x < x2; x += 8) {
+        const step = Math.min(8, x2 - x);
+        d += ` q ${step / 4},-3 ${step / 2},0 q ${step / 4},3 ${step / 2},0`;
+      }
+      contact = this.createSvgElement('path');
+      contact.setAttribute('d', d);
+      contact.setAttribute('fill', 'none');
+    } else {
+      contact = this.createSvgElement('line');
+      contact.setAttribute('x1', x1);
+      contact.setAttribute('y1', y);
+      contact.setAttribute('x2', x2);
+      contact.setAttribute('y2', y);
+      if (type.dash) contact.setAttribute('stroke-dasharray', type.dash);
+    }
+    contact.setAttribute('stroke', colors.border);
+    contact.setAttribute('stroke-width', '1.5');
+    parent.appendChild(contact);
+
+    if (type.hachures) {
+      let d = '';
+      for (let x = x1 + 6; x <= x2; x += 6) d += ` M ${x} ${y + 2} l -3 4`;
+      const hachures = this.createSvgElement('path');
+      hachures.setAttribute('d', d.trim());
+      hachures.setAttribute('stroke', colors.border);
+      hachures.setAttribute('stroke-width', '0.75');
+      parent.appendChild(hachures);
+    }
   }
 
-  renderSamples(parent, startY, totalDepth) {
-    const { colors, depthScale } = this.config;
+  renderSamples(parent, startY, range, sptKey = this.getSptKey()) {
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
     const columns = this.activeColumns;
     const { samples } = this.data;
 
@@ -852,316 +1954,1574 @@ class BoringLog {
       x += col.width;
     }
 
-    const sampleX = colPositions.sample.x;
-    const sptX = colPositions.spt.x;
-    const recoveryX = colPositions.recovery.x;
+    const sampleX = colPositions.sample?.x;
+    const sptX = colPositions.spt?.x;
+    const recoveryX = colPositions.recovery?.x;
 
-    for (const sample of samples) {
+    for (const [index, sample] of samples.entries()) {
       // Support both single depth and depth range
       const hasRange = sample.depthTop !== undefined && sample.depthBottom !== undefined;
       const depthTop = hasRange ? sample.depthTop : sample.depth;
       const depthBottom = hasRange ? sample.depthBottom : sample.depth;
       const centerDepth = hasRange ? (depthTop + depthBottom) / 2 : sample.depth;
-      const y = startY + centerDepth * depthScale;
-
-      // Sample marker and ID
-      const markerHeight = hasRange ? Math.max(16, (depthBottom - depthTop) * depthScale) : 16;
-      const markerY = hasRange ? startY + depthTop * depthScale : y - 8;
-
-      const marker = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-      marker.setAttribute('x', sampleX + 3);
-      marker.setAttribute('y', markerY);
-      marker.setAttribute('width', colPositions.sample.width - 6);
-      marker.setAttribute('height', markerHeight);
-      marker.setAttribute('fill', sample.type === 'SPT' ? '#fff3cd' : '#d4edda');
-      marker.setAttribute('stroke', colors.border);
-      marker.setAttribute('rx', '2');
-      parent.appendChild(marker);
-
-      // Sample ID with optional depth range
-      let idText = sample.id;
-      if (hasRange) {
-        idText = `${sample.id}\n(${depthTop}-${depthBottom})`;
+
+      // Skip samples outside this sheet
+      if (depthBottom < range.top || depthTop > range.bottom) continue;
+      if (!hasRange && !this.isOnSheet(centerDepth, range)) continue;
+
+      const toY = depth => startY + (depth - range.top) * depthScale;
+      const y = toY(centerDepth);
+      // Markers and labels stay inside the sheet, `above`/`below` px from its top and bottom
+      const clampY = (value, above, below) => Math.min(Math.max(value, startY + above), toY(range.bottom) - below);
+
+      // Sample marker and ID (range markers are clipped at the sheet edges)
+      const visibleTop = Math.max(depthTop, range.top);
+      const visibleBottom = Math.min(depthBottom, range.bottom);
+      const markerHeight = hasRange ? Math.max(16, (visibleBottom - visibleTop) * depthScale) : 16;
+      const markerY = hasRange ? toY(visibleTop) : clampY(y - 8, 0, 16);
+      // Items are redrawn when their SPT corrections change (energy ratio, unit weights)
+      const itemKey = [sample, sptKey];
+      if (this.reuseItemGroup(parent, `samples[${index}]`, itemKey)) continue;
+      const group = this.createItemGroup(parent, `samples[${index}]`, null, itemKey);
+
+      if (colPositions.sample) {
+        // Shade the recovered length, measured down from the top of the drive, over the visible part
+        const [, type] = this.getSampleType(sample.type);
+        const recovery = this.getRecoveryRatio(sample);
+        let shaded = 1;
+        if (recovery !== null && hasRange && visibleBottom > visibleTop) {
+          const recoveredBottom = depthTop + recovery * (depthBottom - depthTop);
+          shaded = Math.min(Math.max((recoveredBottom - visibleTop) / (visibleBottom - visibleTop), 0), 1);
+        } else if (recovery !== null && !hasRange) {
+          shaded = recovery;
+        }
+        const box = { x: sampleX + 3, y: markerY, width: colPositions.sample.width - 6, height: markerHeight };
+        this.renderSampleSymbol(group, box, type, { shaded, crossed: recovery === 0 });
       }
 
+      // Labels go on the sheet holding the sample's center; other sheets only show the marker
+      if (!this.isOnSheet(centerDepth, range)) continue;
+
       // For range display, show ID and range on separate lines
-      if (hasRange) {
-        const idLabel = this.createText(sample.id, sampleX + colPositions.sample.width / 2, markerY + markerHeight / 2 - 3, {
-          fontSize: '7px',
+      if (colPositions.sample) {
+        if (hasRange) {
+          const idLabel = this.createText(sample.id, sampleX + colPositions.sample.width / 2, markerY + markerHeight / 2 - 3, {
+            fontSize: '7px',
+            textAnchor: 'middle'
+          });
+          group.appendChild(idLabel);
+
+          const rangeLabel = this.createText(`(${depthTop}-${depthBottom})`, sampleX + colPositions.sample.width / 2, markerY + markerHeight / 2 + 7, {
+            fontSize: '6px',
+            textAnchor: 'middle',
+            fill: colors.annotation
+          });
+          group.appendChild(rangeLabel);
+        } else {
+          const idLabel = this.createText(sample.id, sampleX + colPositions.sample.width / 2, markerY + 12, {
+            fontSize: '7px',
+            textAnchor: 'middle'
+          });
+          group.appendChild(idLabel);
+        }
+      }
+
+      // SPT N-value: "N=23", a partial drive as blows over penetration ("50/3\""), REF on refusal
+      const spt = this.getSpt(sample);
+      if (spt && colPositions.spt) {
+        const sptCenter = sptX + colPositions.spt.width / 2;
+        let nText = spt.partial || spt.n === null ? spt.text : `N=${spt.n}`;
+        if (spt.refusal && !spt.partial && spt.n !== null) nText += ' REF';
+
+        // Blows, then the corrected values that are turned on, one line each
+        const lines = [];
+        if (spt.blowsText) lines.push({ text: `(${spt.blowsText})`, fill: colors.annotation });
+        if (this.config.showN60 && spt.n60 !== null) lines.push({ text: `N60=${spt.n60}`, fill: colors.mutedText });
+        const corrected = this.config.showN160 ? this.getN160(sample) : null;
+        if (corrected) lines.push({ text: `(N1)60=${corrected.n160}`, fill: colors.mutedText });
+        const sptY = clampY(y, 10, 3 + lines.length * 8);
+
+        const nLabel = this.createText(nText, sptCenter, sptY - 2, {
+          fontSize: '9px',
+          fontWeight: 'bold',
           textAnchor: 'middle'
         });
-        parent.appendChild(idLabel);
-
-        const rangeLabel = this.createText(`(${depthTop}-${depthBottom})`, sampleX + colPositions.sample.width / 2, markerY + markerHeight / 2 + 7, {
-          fontSize: '6px',
-          textAnchor: 'middle',
-          fill: '#666'
+        group.appendChild(nLabel);
+
+        lines.forEach((line, lineIndex) => {
+          const label = this.createText(line.text, sptCenter, sptY + 9 + lineIndex * 8, {
+            fontSize: '7px',
+            textAnchor: 'middle',
+            fill: line.fill
+          });
+          group.appendChild(label);
         });
-        parent.appendChild(rangeLabel);
-      } else {
-        const idLabel = this.createText(sample.id, sampleX + colPositions.sample.width / 2, y + 4, {
-          fontSize: '7px',
+      }
+
+      // Recovery
+      if (sample.recovery !== undefined && colPositions.recovery) {
+        const recLabel = this.createText(sample.recovery.toString(), recoveryX + colPositions.recovery.width / 2, clampY(y, 4, 0) + 4, {
+          fontSize: '9px',
           textAnchor: 'middle'
         });
-        parent.appendChild(idLabel);
+        group.appendChild(recLabel);
       }
 
-      // SPT N-value
-      if (sample.blows && sample.blows.length === 3) {
-        const nValue = sample.blows[1] + sample.blows[2];
-        const blowsText = sample.blows.join('-');
+      // Depth indicator line (at center of sample) from the soil graphic to the sample marker
+      if (colPositions.sample) {
+        const depthLineY = hasRange ? toY(visibleTop) : y;
+        const depthLine = this.createSvgElement('line');
+        depthLine.setAttribute('x1', colPositions.graphic ? colPositions.graphic.x : 0);
+        depthLine.setAttribute('y1', depthLineY);
+        depthLine.setAttribute('x2', sampleX);
+        depthLine.setAttribute('y2', depthLineY);
+        depthLine.setAttribute('stroke', colors.indicator);
+        depthLine.setAttribute('stroke-dasharray', '1,2');
+        group.appendChild(depthLine);
+      }
+    }
+  }
 
-        const nLabel = this.createText(`N=${nValue}`, sptX + colPositions.spt.width / 2, y - 2, {
-          fontSize: '9px',
-          fontWeight: 'bold',
-          textAnchor: 'middle'
+  // Sample type registry with this log's config.sampleTypes, then the data file's
+  // sampleTypes, applied; keyed by upper-case code
+  getSampleTypes() {
+    const types = { ...BoringLog.sampleTypes };
+    [this.config.sampleTypes, this.data?.sampleTypes].forEach(added => {
+      Object.entries(added || {}).forEach(([code, definition]) => {
+        types[code.toUpperCase().trim()] = { ...types.OTHER, ...definition };
+      });
+    });
+    return types;
+  }
+
+  // [code, definition] for a sample type; aliases (SS, ST, ...) resolve to their type and
+  // unknown codes keep their own code with the OTHER definition
+  getSampleType(type) {
+    const types = this.getSampleTypes();
+    const code = String(type || '').toUpperCase().trim() || 'OTHER';
+    if (types[code]) return [code, types[code]];
+    const alias = Object.entries(types).find(([, definition]) => (definition.aliases || []).includes(code));
+    return alias || [code, types.OTHER];
+  }
+
+  // Recovered fraction (0-1) of a sample's drive length, or null when it cannot be told.
+  // Recovery is in the recovery unit (in, mm) and the drive length in the depth unit;
+  // samples at a single depth use their type's nominal drive (e.g. 18 in for SPT).
+  getRecoveryRatio(sample) {
+    if (sample.recovery === undefined || sample.recovery === null || sample.recovery === '') return null;
+    const recovery = Number(sample.recovery);
+    if (!Number.isFinite(recovery)) return null;
+    if (recovery <= 0) return 0;
+    const units = this.getUnits();
+    const interval = sample.depthBottom - sample.depthTop;
+    const drive = interval > 0
+      ? LogUnits.convertLength(interval, units.depth, units.recovery)
+      : this.getSampleType(sample.type)[1].drive?.[units.recovery];
+    if (!(drive > 0)) return null;
+    return Math.min(recovery / drive, 1);
+  }
+
+  /**
+   * Sample symbol in a box ({ x, y, width, height }): the type's fill over the `shaded`
+   * fraction from the top, then the marks of its symbol (BoringLog.sampleSymbols, or a
+   * function (log, parent, box, colors) for user-defined types). `crossed` (no recovery)
+   * and the "none" symbol cross the box out.
+   */
+  renderSampleSymbol(parent, box, definition, { shaded = 1, crossed = false } = {}) {
+    const colors = this.getColors();
+    const { x, y, width, height } = box;
+    const fill = colors[definition.color] || definition.color || colors.sample;
+    const symbol = definition.symbol;
+    if (symbol === 'none') crossed = true;
+    if (crossed) shaded = 0;
+
+    const addLine = (points, strokeWidth = 0.75, dash = null) => {
+      const line = this.createSvgElement('polyline');
+      line.setAttribute('points', points.map(point => point.join(',')).join(' '));
+      line.setAttribute('fill', 'none');
+      line.setAttribute('stroke', colors.border);
+      line.setAttribute('stroke-width', strokeWidth);
+      if (dash) line.setAttribute('stroke-dasharray', dash);
+      parent.appendChild(line);
+    };
+
+    const marker = this.createSvgElement('rect');
+    marker.setAttribute('x', x);
+    marker.setAttribute('y', y);
+    marker.setAttribute('width', width);
+    marker.setAttribute('height', height);
+    marker.setAttribute('fill', shaded >= 1 ? fill : colors.background);
+    marker.setAttribute('stroke', colors.border);
+    marker.setAttribute('rx', '2');
+    parent.appendChild(marker);
+
+    // Recovered portion, inset so the outline stays visible
+    if (shaded > 0 && shaded < 1) {
+      const recovered = this.createSvgElement('rect');
+      recovered.setAttribute('x', x + 0.5);
+      recovered.setAttribute('y', y + 0.5);
+      recovered.setAttribute('width', width - 1);
+      recovered.setAttribute('height', Math.max(height * shaded - 0.5, 0));
+      recovered.setAttribute('fill', fill);
+      parent.appendChild(recovered);
+    }
+
+    if (typeof symbol === 'function') {
+      symbol(this, parent, box, colors);
+    } else if (symbol === 'split-spoon') {
+      // Split barrel: a seam down the middle
+      addLine([[x + width / 2, y], [x + width / 2, y + height]], 0.5);
+    } else if (symbol === 'tube') {
+      // Thin-walled tube: heavy end caps
+      addLine([[x, y + 1], [x + width, y + 1]], 2);
+      addLine([[x, y + height - 1], [x + width, y + height - 1]], 2);
+    } else if (symbol === 'core') {
+      // Core barrel: inner barrel walls
+      addLine([[x + 3, y], [x + 3, y + height]], 0.5);
+      addLine([[x + width - 3, y], [x + width - 3, y + height]], 0.5);
+    } else if (symbol === 'liner') {
+      // Direct-push liner: dashed sleeve inside the outline
+      const inset = Math.min(2, width / 4, height / 4);
+      addLine([
+        [x + inset, y + inset], [x + width - inset, y + inset], [x + width - inset, y + height - inset],
+        [x + inset, y + height - inset], [x + inset, y + inset]
+      ], 0.5, '2,1.5');
+    } else if (symbol === 'bag') {
+      // Grab or bulk: a single diagonal
+      addLine([[x, y + height], [x + width, y]], 0.5);
+    } else if (symbol === 'auger') {
+      // Auger cuttings: flight zigzag down the middle
+      const points = [];
+      const amplitude = Math.min(width / 4, 4);
+      for (let step = 0; step * 4 <= height; step++) {
+        points.push([x + width / 2 + (step % 2 ? amplitude : -amplitude), y + step * 4]);
+      }
+      if (points.length > 1) addLine(points, 0.5);
+    }
+
+    if (crossed) {
+      addLine([[x, y], [x + width, y + height]]);
+      addLine([[x, y + height], [x + width, y]]);
+    }
+  }
+
+  /**
+   * Sample legend entries: each sample type used, in order of first use, then keys for
+   * partial recovery shading and for no recovery when the data show them
+   */
+  getSampleLegendEntries() {
+    const entries = [];
+    const seen = new Set();
+    let partial = null;
+    let crossed = false;
+    (this.data.samples || []).forEach(sample => {
+      const [code, definition] = this.getSampleType(sample.type);
+      if (!seen.has(code)) {
+        seen.add(code);
+        entries.push({ code, definition, label: definition.label || code, shaded: 1, crossed: false });
+      }
+      const recovery = this.getRecoveryRatio(sample);
+      if (recovery === 0 && definition.symbol !== 'none') crossed = true;
+      if (recovery > 0 && recovery < 1 && !partial) partial = definition;
+    });
+    if (partial) {
+      entries.push({ code: null, definition: partial, label: 'Recovered length shaded', shaded: 0.5, crossed: false });
+    }
+    if (crossed && !entries.some(entry => entry.definition.symbol === 'none')) {
+      const [, definition] = this.getSampleType('OTHER');
+      entries.push({ code: null, definition, label: 'No recovery', shaded: 0, crossed: true });
+    }
+    return entries;
+  }
+
+  // Groundwater observations as a list; the legacy single { depth } reads as one untyped level
+  getGroundwaterObservations() {
+    const { groundwater } = this.data;
+    if (!groundwater) return [];
+    if (Array.isArray(groundwater.observations)) {
+      return groundwater.observations.filter(obs => obs.depth !== undefined && obs.depth !== null && obs.depth !== '');
+    }
+    if (groundwater.depth !== undefined) {
+      return [{ depth: groundwater.depth, type: 'other' }];
+    }
+    return [];
+  }
+
+  getGroundwaterType(type) {
+    const { groundwaterTypes } = this.config;
+    return groundwaterTypes[type] || groundwaterTypes.other;
+  }
+
+  /**
+   * Blow counts as increments ({ blows, penetration }), or null when they are not a
+   * valid record. Each entry is a count for a full 6" (150 mm) increment or, for the
+   * increment where the drive stopped, "blows/penetration" such as "50/3" (penetration
+   * in the recovery unit). Complete drives have 3 or 4 increments.
+   */
+  parseBlows(blows) {
+    if (!Array.isArray(blows)) return null;
+    const isEmpty = value => value === null || value === undefined || value === '';
+    const values = [...blows];
+    while (values.length > 0 && isEmpty(values[values.length - 1])) values.pop();
+
+    const { sptIncrement } = this.getUnits();
+    const increments = [];
+    for (const value of values) {
+      const match = /^\s*(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+(?:\.\d+)?)\s*(?:"|in|mm)?)?\s*$/i.exec(isEmpty(value) ? '' : String(value));
+      // Nothing can follow an incomplete increment
+      if (!match || increments.some(increment => increment.penetration !== null)) return null;
+      const penetration = match[2] !== undefined ? Number(match[2]) : null;
+      increments.push({ blows: Number(match[1]), penetration: penetration !== null && penetration < sptIncrement ? penetration : null });
+    }
+
+    const stopped = increments.some(increment => increment.penetration !== null);
+    if (increments.length > 4 || (!stopped && increments.length < 3)) return null;
+    return increments;
+  }
+
+  /**
+   * SPT result for a sample, or null without blow counts or refusal:
+   *   n        - N, the blows for the second and third increments (null for a partial drive)
+   *   text     - N as reported: "23", or blows over penetration for a partial drive ("50/3\"")
+   *   blowsText, partial, refusal - increments as written; refusal also follows sample.refusal
+   *   n60      - N x ER / 60 from the hammer energy ratio (see getEnergyRatio)
+   */
+  getSpt(sample) {
+    const increments = this.parseBlows(sample.blows);
+    const flagged = sample.refusal === true;
+    if (!increments) {
+      return flagged
+        ? { increments: [], blowsText: '', n: null, text: 'REF', partial: false, refusal: true, n60: null }
+        : null;
+    }
+
+    const { recovery, sptIncrement } = this.getUnits();
+    const suffix = recovery === 'in' ? '"' : ` ${recovery}`;
+    const round = value => Math.round(value * 10) / 10;
+    const blowsText = increments
+      .map(({ blows, penetration }) => (penetration === null ? `${blows}` : `${blows}/${penetration}${suffix}`))
+      .join('-');
+
+    // A drive stopping in the 4th increment still has a complete N
+    const stop = increments.findIndex(increment => increment.penetration !== null);
+    const partial = stop !== -1 && stop < 3;
+    let n = null;
+    let text;
+    if (!partial) {
+      n = increments[1].blows + increments[2].blows;
+      text = `${n}`;
+    } else if (stop === 0) {
+      text = `${increments[0].blows}/${increments[0].penetration}${suffix}`;
+    } else {
+      const counted = increments.slice(1, stop + 1);
+      const blows = counted.reduce((sum, increment) => sum + increment.blows, 0);
+      text = `${blows}/${round((stop - 1) * sptIncrement + increments[stop].penetration)}${suffix}`;
+    }
+
+    const energyRatio = this.getEnergyRatio();
+    return {
+      increments,
+      blowsText,
+      n,
+      text,
+      partial,
+      refusal: stop !== -1 || flagged,
+      n60: n !== null && energyRatio ? Math.round(n * energyRatio / 60) : null
+    };
+  }
+
+  // SPT N-value, or null when the sample has no complete N
+  getNValue(sample) {
+    return this.getSpt(sample)?.n ?? null;
+  }
+
+  // Samples the N-value graph plots: a complete N, or a partial drive drawn as refusal
+  isPlottedSpt(sample) {
+    const spt = this.getSpt(sample);
+    return Boolean(spt) && (spt.n !== null || spt.partial);
+  }
+
+  // Energy-corrected N60 from the hammer energy ratio (percent)
+  getN60(sample) {
+    return this.getSpt(sample)?.n60 ?? null;
+  }
+
+  // Hammer energy ratio (percent): boring.energyRatio, else the typical value for boring.hammerType
+  getEnergyRatio() {
+    const { energyRatio, hammerType } = this.data.boring;
+    if (energyRatio > 0) return Number(energyRatio);
+    return this.getHammerType(hammerType)?.energyRatio || null;
+  }
+
+  getHammerType(type) {
+    return BoringLog.hammerTypes[String(type || '').toLowerCase().trim()] || null;
+  }
+
+  // Hammer summary for the title block ("Automatic, 140 lb / 30 in, ER 80% (typical)"), or null
+  getHammerText() {
+    const { hammerType, hammerWeight, hammerDrop, energyRatio } = this.data.boring;
+    const units = this.getUnits();
+    const parts = [];
+    if (hammerType) parts.push(this.getHammerType(hammerType)?.label || hammerType);
+    const weight = hammerWeight ? `${hammerWeight} ${units.hammerWeight}` : null;
+    const drop = hammerDrop ? `${hammerDrop} ${units.hammerDrop}` : null;
+    if (weight || drop) parts.push([weight, drop].filter(Boolean).join(' / '));
+    const ratio = this.getEnergyRatio();
+    if (ratio) parts.push(`ER ${ratio}%${energyRatio > 0 ? '' : ' (typical)'}`);
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
+  // Groundwater depth for pore pressure: the stabilized level, else end of drilling, else first encountered
+  getDesignGroundwaterDepth() {
+    const priority = ['stabilized', 'completion', 'encountered'];
+    const rank = obs => (priority.includes(obs.type) ? priority.indexOf(obs.type) : priority.length);
+    const [observation] = [...this.getGroundwaterObservations()].sort((a, b) => rank(a) - rank(b));
+    const depth = Number(observation?.depth);
+    return observation && Number.isFinite(depth) ? depth : null;
+  }
+
+  /**
+   * Vertical effective stress (psf or kPa) at a depth, from the total unit weights of
+   * the layers above it (layer.unitWeight, pcf or kN/m³) less hydrostatic pore pressure
+   * below the groundwater level. Null unless layers with unit weights reach the depth
+   * without gaps.
+   */
+  getEffectiveStress(depth) {
+    const units = this.getUnits();
+    const layers = [...(this.data.layers || [])].sort((a, b) => a.depthTop - b.depthTop);
+    let stress = 0;
+    let reached = 0;
+    for (const layer of layers) {
+      if (layer.depthTop >= depth) break;
+      if (Math.abs(layer.depthTop - reached) > 1e-6 || !(layer.unitWeight > 0)) return null;
+      const bottom = Math.min(layer.depthBottom, depth);
+      stress += layer.unitWeight * (bottom - layer.depthTop);
+      reached = bottom;
+    }
+    if (reached < depth - 1e-6) return null;
+
+    const water = this.getDesignGroundwaterDepth();
+    if (water !== null && depth > water) stress -= units.waterUnitWeight * (depth - water);
+    return stress > 0 ? stress : null;
+  }
+
+  /**
+   * Overburden correction CN = (Pa / σ'v)^0.5, capped at 1.7 (Liao and Whitman, as
+   * used by Youd et al. 2001), and (N1)60 = CN x N60 at the sample's center depth
+   */
+  getN160(sample) {
+    const n60 = this.getN60(sample);
+    if (n60 === null) return null;
+    const stress = this.getEffectiveStress(this.getSampleDepth(sample));
+    if (stress === null) return null;
+    const cn = Math.min(Math.sqrt(this.getUnits().atmosphericPressure / stress), 1.7);
+    return { n160: Math.round(cn * n60), cn: Math.round(cn * 100) / 100, stress: Math.round(stress * 10) / 10 };
+  }
+
+  // SPT results of every sample with blow counts or refusal, for tables and export
+  getSptResults() {
+    return (this.data.samples || []).map((sample, index) => {
+      const spt = this.getSpt(sample);
+      if (!spt) return null;
+      const corrected = this.getN160(sample);
+      return {
+        ref: `samples[${index}]`,
+        id: sample.id,
+        depthTop: sample.depthTop ?? sample.depth,
+        depthBottom: sample.depthBottom ?? sample.depth,
+        blows: spt.blowsText,
+        n: spt.n,
+        nReported: spt.text,
+        refusal: spt.refusal,
+        energyRatio: this.getEnergyRatio(),
+        n60: spt.n60,
+        effectiveStress: corrected ? corrected.stress : null,
+        cn: corrected ? corrected.cn : null,
+        n160: corrected ? corrected.n160 : null
+      };
+    }).filter(Boolean);
+  }
+
+  // What the SPT column draws besides the sample itself, for section and item reuse
+  getSptKey() {
+    const { showN160 } = this.config;
+    return [
+      this.getEnergyRatio(),
+      showN160 ? (this.data.layers || []).map(layer => [layer.depthTop, layer.depthBottom, layer.unitWeight]) : null,
+      showN160 ? this.getDesignGroundwaterDepth() : null
+    ];
+  }
+
+  // X position of a value on a graph column's axis
+  getAxisX(col, colX, value) {
+    const { min, max } = col.axis;
+    const padding = 8;
+    return colX + padding + (value - min) / (max - min) * (col.width - padding * 2);
+  }
+
+  // Left edge of an active column
+  getColumnX(columnKey) {
+    let x = 0;
+    for (const [key, column] of Object.entries(this.activeColumns)) {
+      if (key === columnKey) break;
+      x += column.width;
+    }
+    return x;
+  }
+
+  // Vertical gridlines at each axis step of a graph column
+  renderGraphGrid(parent, columnKey, startY, height) {
+    const colors = this.getColors();
+    const col = this.activeColumns[columnKey];
+    const colX = this.getColumnX(columnKey);
+    const { min, max, step } = col.axis;
+
+    for (let v = min; v <= max; v += step) {
+      const gridX = this.getAxisX(col, colX, v);
+      const grid = this.createSvgElement('line');
+      grid.setAttribute('x1', gridX);
+      grid.setAttribute('y1', startY);
+      grid.setAttribute('x2', gridX);
+      grid.setAttribute('y2', startY + height);
+      grid.setAttribute('stroke', colors.gridLine);
+      grid.setAttribute('stroke-dasharray', '2,2');
+      parent.appendChild(grid);
+    }
+  }
+
+  // Center depth of a sample (single depth or depth range)
+  getSampleDepth(sample) {
+    return (sample.depthTop !== undefined && sample.depthBottom !== undefined)
+      ? (sample.depthTop + sample.depthBottom) / 2
+      : sample.depth;
+  }
+
+  renderNValueGraph(parent, startY, range) {
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
+    const col = this.activeColumns.nGraph;
+    const colX = this.getColumnX('nGraph');
+    const { min, max } = col.axis;
+
+    this.renderGraphGrid(parent, 'nGraph', startY, (range.bottom - range.top) * depthScale);
+
+    const sampleDepth = sample => this.getSampleDepth(sample);
+    const plotted = (this.data.samples || [])
+      .filter(sample => this.isPlottedSpt(sample) && this.isOnSheet(sampleDepth(sample), range))
+      .sort((a, b) => sampleDepth(a) - sampleDepth(b));
+
+    // Partial drives plot off-scale, labelled as reported ("50/3\"")
+    const series = [{ getValue: sample => (this.getSpt(sample).partial ? Infinity : this.getNValue(sample)), filled: true }];
+    if (this.config.showN60) {
+      series.push({ getValue: sample => this.getN60(sample), filled: false });
+    }
+
+    series.forEach(({ getValue, filled }) => {
+      const points = plotted
+        .filter(sample => getValue(sample) !== null)
+        .map(sample => {
+          const value = getValue(sample);
+          const clipped = value > max;
+          return {
+            x: this.getAxisX(col, colX, Math.max(min, Math.min(value, max))),
+            y: startY + (sampleDepth(sample) - range.top) * depthScale,
+            label: Number.isFinite(value) ? `${value}` : this.getSpt(sample).text,
+            clipped
+          };
         });
-        parent.appendChild(nLabel);
+      if (points.length === 0) return;
+
+      // Connecting line
+      const line = this.createSvgElement('polyline');
+      line.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+      line.setAttribute('fill', 'none');
+      line.setAttribute('stroke', colors.text);
+      line.setAttribute('stroke-width', '1');
+      if (!filled) line.setAttribute('stroke-dasharray', '3,2');
+      parent.appendChild(line);
+
+      points.forEach(point => {
+        if (point.clipped) {
+          // Refusal / off-scale value: arrow at the axis limit with the actual value
+          const arrow = this.createSvgElement('polygon');
+          arrow.setAttribute('points', `${point.x + 4},${point.y} ${point.x - 2},${point.y - 3} ${point.x - 2},${point.y + 3}`);
+          arrow.setAttribute('fill', filled ? colors.text : colors.background);
+          arrow.setAttribute('stroke', colors.text);
+          parent.appendChild(arrow);
+
+          // Below the point when there is no room above it on the sheet
+          const labelY = point.y - 11 < startY ? point.y + 10 : point.y - 4;
+          const valueLabel = this.createText(point.label, point.x - 4, labelY, {
+            fontSize: '7px',
+            textAnchor: 'end'
+          });
+          parent.appendChild(valueLabel);
+        } else {
+          const marker = this.createSvgElement('circle');
+          marker.setAttribute('cx', point.x);
+          marker.setAttribute('cy', point.y);
+          marker.setAttribute('r', '2.5');
+          marker.setAttribute('fill', filled ? colors.text : colors.background);
+          marker.setAttribute('stroke', colors.text);
+          parent.appendChild(marker);
+        }
+      });
+    });
+  }
+
+  // Moisture content and Atterberg limits (percent) from samples and layers, with their depth
+  getAtterbergPoints() {
+    const hasValue = item => ['wc', 'll', 'pl'].some(key => item[key] !== undefined && item[key] !== null && item[key] !== '');
+    const toPoint = (item, depth) => ({ depth, wc: item.wc, ll: item.ll, pl: item.pl });
+
+    const fromSamples = (this.data.samples || [])
+      .filter(hasValue)
+      .map(sample => toPoint(sample, this.getSampleDepth(sample)));
+    const fromLayers = (this.data.layers || [])
+      .filter(hasValue)
+      .map(layer => toPoint(layer, (layer.depthTop + layer.depthBottom) / 2));
+    return [...fromSamples, ...fromLayers];
+  }
+
+  // Classic PL |—●—| LL plot: limits as a bar with end ticks, natural moisture as a dot
+  renderAtterbergGraph(parent, startY, range) {
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
+    const col = this.activeColumns.atterberg;
+    const colX = this.getColumnX('atterberg');
+    const { min, max } = col.axis;
+
+    this.renderGraphGrid(parent, 'atterberg', startY, (range.bottom - range.top) * depthScale);
+
+    const isSet = value => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+    const toX = value => this.getAxisX(col, colX, Math.max(min, Math.min(value, max)));
+
+    for (const point of this.getAtterbergPoints()) {
+      if (!this.isOnSheet(point.depth, range)) continue;
+      const y = startY + (point.depth - range.top) * depthScale;
+
+      // Bar between plastic and liquid limits
+      if (isSet(point.pl) && isSet(point.ll)) {
+        const bar = this.createSvgElement('line');
+        bar.setAttribute('x1', toX(point.pl));
+        bar.setAttribute('y1', y);
+        bar.setAttribute('x2', toX(point.ll));
+        bar.setAttribute('y2', y);
+        bar.setAttribute('stroke', colors.text);
+        parent.appendChild(bar);
+      }
+
+      // End ticks at each limit
+      [point.pl, point.ll].filter(isSet).forEach(limit => {
+        const tick = this.createSvgElement('line');
+        tick.setAttribute('x1', toX(limit));
+        tick.setAttribute('y1', y - 4);
+        tick.setAttribute('x2', toX(limit));
+        tick.setAttribute('y2', y + 4);
+        tick.setAttribute('stroke', colors.text);
+        tick.setAttribute('stroke-width', '1.5');
+        parent.appendChild(tick);
+      });
 
-        const blowsLabel = this.createText(`(${blowsText})`, sptX + colPositions.spt.width / 2, y + 9, {
+      // Nonplastic fines (PL "NP") have no limits to plot
+      if (LogUscs.isNonplastic(point.pl)) {
+        parent.appendChild(this.createText('NP', toX(min) + 2, y - 9 < startY ? y + 9 : y - 3, { fontSize: '7px' }));
+      }
+
+      // Natural moisture content
+      if (isSet(point.wc)) {
+        const dot = this.createSvgElement('circle');
+        dot.setAttribute('cx', toX(point.wc));
+        dot.setAttribute('cy', y);
+        dot.setAttribute('r', '2.5');
+        dot.setAttribute('fill', colors.text);
+        parent.appendChild(dot);
+      }
+
+      // Annotate values beyond the axis limit
+      const offScale = [point.pl, point.wc, point.ll].filter(value => isSet(value) && value > max);
+      if (offScale.length > 0) {
+        const label = this.createText(offScale.join('/'), toX(max) - 2, y - 11 < startY ? y + 10 : y - 5, {
           fontSize: '7px',
-          textAnchor: 'middle',
-          fill: '#666'
+          textAnchor: 'end'
         });
-        parent.appendChild(blowsLabel);
+        parent.appendChild(label);
       }
+    }
+  }
 
-      // Recovery
-      if (sample.recovery !== undefined) {
-        const recLabel = this.createText(sample.recovery.toString(), recoveryX + colPositions.recovery.width / 2, y + 4, {
-          fontSize: '9px',
-          textAnchor: 'middle'
+  // Rock coring runs: run interval boxes, recovery, RQD, fractures, weathering and hardness
+  renderCoreRuns(parent, startY, range) {
+    const { weatheringAbbreviations, hardnessAbbreviations } = this.config;
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
+    const columns = this.activeColumns;
+    const toY = depth => startY + (depth - range.top) * depthScale;
+
+    if (columns.rqdGraph) {
+      this.renderGraphGrid(parent, 'rqdGraph', startY, (range.bottom - range.top) * depthScale);
+    }
+
+    const centerText = (group, key, text, y, options = {}) => {
+      if (!columns[key] || text === undefined || text === null || text === '') return;
+      const label = this.createText(String(text), this.getColumnX(key) + columns[key].width / 2, y, {
+        fontSize: '8px',
+        textAnchor: 'middle',
+        ...options
+      });
+      group.appendChild(label);
+    };
+
+    this.data.coreRuns.forEach((run, index) => {
+      if (run.depthBottom <= range.top || run.depthTop >= range.bottom) return;
+
+      // Run interval box, clipped to the sheet
+      const y1 = toY(Math.max(run.depthTop, range.top));
+      const y2 = toY(Math.min(run.depthBottom, range.bottom));
+      const group = this.createItemGroup(parent, `coreRuns[${index}]`);
+      if (columns.coreRun) {
+        const box = this.createSvgElement('rect');
+        box.setAttribute('x', this.getColumnX('coreRun') + 3);
+        box.setAttribute('y', y1);
+        box.setAttribute('width', columns.coreRun.width - 6);
+        box.setAttribute('height', y2 - y1);
+        box.setAttribute('fill', colors.coreRun);
+        box.setAttribute('stroke', colors.border);
+        group.appendChild(box);
+      }
+
+      // RQD bar spanning the run interval
+      if (columns.rqdGraph && run.rqd !== undefined && run.rqd !== null && run.rqd !== '') {
+        const col = columns.rqdGraph;
+        const colX = this.getColumnX('rqdGraph');
+        const x0 = this.getAxisX(col, colX, 0);
+        const bar = this.createSvgElement('rect');
+        bar.setAttribute('x', x0);
+        bar.setAttribute('y', y1);
+        bar.setAttribute('width', this.getAxisX(col, colX, Math.min(Math.max(run.rqd, 0), 100)) - x0);
+        bar.setAttribute('height', y2 - y1);
+        bar.setAttribute('fill', colors.rqdBar);
+        bar.setAttribute('stroke', colors.border);
+        bar.setAttribute('stroke-width', '0.5');
+        group.appendChild(bar);
+      }
+
+      // Values on the sheet holding the run's center
+      const centerDepth = (run.depthTop + run.depthBottom) / 2;
+      if (!this.isOnSheet(centerDepth, range)) return;
+      const y = toY(centerDepth) + 3;
+
+      centerText(group, 'coreRun', run.id || `R-${index + 1}`, y, { fontSize: '7px', fontWeight: 'bold' });
+      centerText(group, 'coreRecovery', run.recovery, y);
+      centerText(group, 'rqd', run.rqd, y, { fontWeight: 'bold' });
+      centerText(group, 'fractures', run.fractures, y);
+      centerText(group, 'weathering', weatheringAbbreviations[run.weathering] || run.weathering, y);
+      centerText(group, 'hardness', hardnessAbbreviations[run.hardness] || run.hardness, y);
+    });
+  }
+
+  // Key for the weathering/hardness abbreviations used by core runs, or null
+  getCoreRunLegendText() {
+    const runs = this.data.coreRuns || [];
+    const { weatheringAbbreviations, hardnessAbbreviations } = this.config;
+    const describe = (field, abbreviations) => {
+      const used = new Set(runs.map(run => run[field]).filter(value => abbreviations[value]));
+      return [...used].map(value => `${abbreviations[value]} = ${value}`).join(', ');
+    };
+
+    const parts = [];
+    const weathering = describe('weathering', weatheringAbbreviations);
+    const hardness = describe('hardness', hardnessAbbreviations);
+    if (weathering) parts.push(`Weathering: ${weathering}`);
+    if (hardness) parts.push(`Hardness: ${hardness}`);
+    return parts.length > 0 ? parts.join('    ') : null;
+  }
+
+  // Values for a custom column field such as "layers[].color" or "samples[].labId", with their depth
+  getCustomColumnValues(field) {
+    const match = /^(\w+)\[\]\.(.+)$/.exec(field);
+    const collection = match ? match[1] : 'layers';
+    const path = (match ? match[2] : field).split('.');
+    const items = Array.isArray(this.data[collection]) ? this.data[collection] : [];
+
+    return items
+      .map(item => ({
+        depth: this.getSampleDepth(item),
+        value: path.reduce((obj, key) => (obj == null ? undefined : obj[key]), item)
+      }))
+      .filter(({ depth, value }) => typeof depth === 'number' && value !== undefined && value !== null && value !== '')
+      .sort((a, b) => a.depth - b.depth);
+  }
+
+  // Custom columns from the column layout: text, number or graph renderers bound to a data field
+  renderCustomColumns(parent, startY, range) {
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
+    const toY = depth => startY + (depth - range.top) * depthScale;
+
+    for (const [key, col] of Object.entries(this.activeColumns)) {
+      if (!col.field) continue;
+      const colX = this.getColumnX(key);
+      const values = this.getCustomColumnValues(col.field).filter(({ depth }) => this.isOnSheet(depth, range));
+
+      if (col.renderer === 'graph') {
+        const { min, max } = col.axis;
+        this.renderGraphGrid(parent, key, startY, (range.bottom - range.top) * depthScale);
+
+        const points = values
+          .filter(({ value }) => typeof value === 'number')
+          .map(({ depth, value }) => ({ x: this.getAxisX(col, colX, Math.max(min, Math.min(value, max))), y: toY(depth) }));
+        if (points.length > 1) {
+          const line = this.createSvgElement('polyline');
+          line.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+          line.setAttribute('fill', 'none');
+          line.setAttribute('stroke', colors.text);
+          parent.appendChild(line);
+        }
+        points.forEach(point => {
+          const marker = this.createSvgElement('circle');
+          marker.setAttribute('cx', point.x);
+          marker.setAttribute('cy', point.y);
+          marker.setAttribute('r', '2.5');
+          marker.setAttribute('fill', colors.text);
+          parent.appendChild(marker);
         });
-        parent.appendChild(recLabel);
+        continue;
       }
 
-      // Depth indicator line (at center of sample)
-      const depthLineY = hasRange ? startY + depthTop * depthScale : y;
-      const depthLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      depthLine.setAttribute('x1', colPositions.depth.width + colPositions.elevation.width);
-      depthLine.setAttribute('y1', depthLineY);
-      depthLine.setAttribute('x2', sampleX);
-      depthLine.setAttribute('y2', depthLineY);
-      depthLine.setAttribute('stroke', '#999');
-      depthLine.setAttribute('stroke-dasharray', '1,2');
-      parent.appendChild(depthLine);
+      values.forEach(({ depth, value }) => {
+        let text = String(value);
+        if (col.renderer === 'number') {
+          const number = parseFloat(value);
+          if (isNaN(number)) return;
+          text = col.decimals !== undefined ? number.toFixed(col.decimals) : String(number);
+        }
+        const label = this.createText(text, colX + col.width / 2, toY(depth) + 3, {
+          fontSize: '8px',
+          textAnchor: 'middle'
+        });
+        parent.appendChild(label);
+      });
     }
   }
 
-  renderGroundwater(parent, startY, totalDepth) {
-    const { groundwater } = this.data;
-    if (!groundwater || groundwater.depth === undefined) return;
+  // Depth-anchored remarks with their position in data.remarks, by depth
+  getRemarks() {
+    return (this.data.remarks || [])
+      .map((remark, index) => ({ remark, index }))
+      .filter(({ remark }) => typeof remark.depth === 'number' && remark.text)
+      .sort((a, b) => a.remark.depth - b.remark.depth);
+  }
+
+  /**
+   * Remarks column: each note sits beside its depth, joined to it by a leader
+   * line. Notes that would overlap are pushed down below the previous one, and
+   * stop at the bottom of the sheet: text that does not fit ends in a numbered
+   * marker (from firstNote) and is returned as notes like layoutDescriptions'.
+   */
+  renderRemarks(parent, startY, height, range, firstNote = 1) {
+    const col = this.activeColumns.remarks;
+    if (!col) return [];
+    const colX = this.getColumnX('remarks');
+    const depthScale = this.getDepthScale();
+    const colors = this.getColors();
+    const units = this.getUnits();
+    const lineHeight = 12;
+    const notes = [];
+    let nextY = startY;
+
+    const remarks = this.getRemarks().filter(({ remark }) => this.isOnSheet(remark.depth, range));
+    remarks.forEach(({ remark, index }, position) => {
+      // Every remark below this one keeps a line above the sheet bottom
+      const bottom = startY + height - (remarks.length - 1 - position) * (lineHeight + 2);
+      const depthY = startY + (remark.depth - range.top) * depthScale;
+      const labelY = Math.max(startY, Math.min(Math.max(depthY, nextY), bottom - lineHeight));
+      const group = this.createItemGroup(parent, `remarks[${index}]`);
+
+      const leader = this.createSvgElement('polyline');
+      leader.setAttribute('points', `${colX},${depthY} ${colX + 5},${depthY} ${colX + 10},${labelY}`);
+      leader.setAttribute('fill', 'none');
+      leader.setAttribute('stroke', colors.annotation);
+      leader.setAttribute('stroke-width', '0.75');
+      group.appendChild(leader);
+
+      const number = firstNote + notes.length;
+      const fit = this.fitDescription(remark.text, col.width - 15, bottom - labelY, ` …[${number}]`);
+      fit.lines.forEach((line, lineIndex) => {
+        group.appendChild(this.createText(line, colX + 12, labelY + 4 + lineIndex * fit.lineHeight, { fontSize: `${fit.fontSize}px` }));
+      });
+      if (fit.rest) {
+        notes.push({ number, text: `Remark at ${remark.depth} ${units.depth}: …${fit.rest}`, remark: true });
+      }
+      nextY = labelY + Math.max(fit.lines.length, 1) * fit.lineHeight + 2;
+    });
+    return notes;
+  }
+
+  // Numbered notes continuing descriptions that did not fit their layer, and remarks that
+  // did not fit the sheet; returns the block height
+  renderDescriptionNotes(parent, startY, width, notes) {
+    const colors = this.getColors();
+    const group = this.createSvgElement('g');
+    parent.appendChild(group);
+
+    const title = this.createText(notes.some(note => note.remark) ? 'NOTES' : 'DESCRIPTION NOTES', 10, startY + 18, {
+      fontSize: '11px',
+      fontWeight: 'bold'
+    });
+    group.appendChild(title);
+
+    // Each note hangs from its number
+    let lineY = startY + 35;
+    notes.forEach(({ number, text }) => {
+      group.appendChild(this.createText(`[${number}]`, 10, lineY, { fontSize: '10px', fontWeight: 'bold' }));
+      const lines = this.renderWrappedText(group, text, 34, lineY, width - 44, Infinity);
+      lineY += Math.max(lines, 1) * 12;
+    });
+
+    const height = lineY - startY + 8;
+    const background = this.createSvgElement('rect');
+    background.setAttribute('x', '0');
+    background.setAttribute('y', startY);
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', colors.background);
+    background.setAttribute('stroke', colors.border);
+    group.insertBefore(background, group.firstChild);
+
+    return height;
+  }
+
+  // Free-text general remarks below the log; returns the block height
+  renderGeneralRemarks(parent, startY, width) {
+    const colors = this.getColors();
+    const group = this.createSvgElement('g');
+    parent.appendChild(group);
+
+    const title = this.createText('REMARKS', 10, startY + 18, {
+      fontSize: '11px',
+      fontWeight: 'bold'
+    });
+    group.appendChild(title);
+
+    // Paragraphs keep their line breaks
+    let lineY = startY + 35;
+    String(this.data.boring.generalRemarks).split(/\r?\n/).forEach(paragraph => {
+      const lines = this.renderWrappedText(group, paragraph, 10, lineY, width - 20, Infinity);
+      lineY += Math.max(lines, 1) * 12;
+    });
+
+    const height = lineY - startY + 8;
+    const background = this.createSvgElement('rect');
+    background.setAttribute('x', '0');
+    background.setAttribute('y', startY);
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', colors.background);
+    background.setAttribute('stroke', colors.border);
+    group.insertBefore(background, group.firstChild);
+
+    return height;
+  }
 
-    const { colors, depthScale } = this.config;
+  renderGroundwater(parent, startY, range) {
+    const observations = this.getGroundwaterObservations();
+    if (observations.length === 0) return;
+
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
     const columns = this.activeColumns;
-    const y = startY + groundwater.depth * depthScale;
-    const graphicX = columns.depth.width + columns.elevation.width;
-
-    // Triangle marker on left side of graphic column
-    const triangle = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-    const size = 8;
-    triangle.setAttribute('points', `${graphicX},${y} ${graphicX - size},${y - size} ${graphicX - size},${y + size}`);
-    triangle.setAttribute('fill', colors.groundwater);
+    const graphicX = columns.graphic ? this.getColumnX('graphic') : null;
+    const waterX = columns.water ? this.getColumnX('water') : null;
+
+    // Labels of readings close together are stacked downward, each joined to its level
+    let nextLabelY = startY + 9;
+    const labels = [];
+    const byDepth = [...observations].sort((a, b) => a.depth - b.depth);
+    for (const obs of byDepth) {
+      if (!this.isOnSheet(obs.depth, range)) continue;
+
+      const y = startY + (obs.depth - range.top) * depthScale;
+      const type = this.getGroundwaterType(obs.type);
+
+      if (waterX !== null) {
+        // Water surface line across the water column
+        const surface = this.createSvgElement('line');
+        surface.setAttribute('x1', waterX);
+        surface.setAttribute('y1', y);
+        surface.setAttribute('x2', waterX + columns.water.width);
+        surface.setAttribute('y2', y);
+        surface.setAttribute('stroke', colors.groundwater);
+        if (type.symbol === 'open') surface.setAttribute('stroke-dasharray', '3,2');
+        parent.appendChild(surface);
+
+        // Inverted triangle resting on the water surface
+        this.renderGroundwaterSymbol(parent, waterX + 10, y, type.symbol);
+
+        // Depth and date annotation
+        const when = [obs.date, obs.time].filter(Boolean).join(' ');
+        const labelY = Math.max(y, nextLabelY);
+        nextLabelY = labelY + (when ? 20 : 11);
+        if (labelY > y) {
+          const leader = this.createSvgElement('polyline');
+          leader.setAttribute('points', `${waterX + 15},${y} ${waterX + 17},${labelY - 4}`);
+          leader.setAttribute('fill', 'none');
+          leader.setAttribute('stroke', colors.groundwater);
+          leader.setAttribute('stroke-width', '0.5');
+          parent.appendChild(leader);
+        }
+
+        labels.push({ text: `${obs.depth}${type.short ? ` ${type.short}` : ''}`, when, labelY });
+      }
+
+      // Wavy line across graphic column
+      if (graphicX !== null) {
+        const waveWidth = columns.graphic.width;
+        let wavePath = `M ${graphicX} ${y}`;
+        for (let x = 0; x < waveWidth; x += 10) {
+          wavePath += ` q 5,-3 10,0`;
+        }
+        const wave = this.createSvgElement('path');
+        wave.setAttribute('d', wavePath);
+        wave.setAttribute('fill', 'none');
+        wave.setAttribute('stroke', colors.groundwater);
+        wave.setAttribute('stroke-width', '2');
+        if (type.symbol === 'open') wave.setAttribute('stroke-dasharray', '4,2');
+        parent.appendChild(wave);
+      }
+    }
+
+    // Labels go over the symbols, dates on a background so a stacked one stays legible
+    labels.forEach(({ text, when, labelY }) => {
+      parent.appendChild(this.createText(text, waterX + 18, labelY - 2, {
+        fontSize: '7px',
+        fill: colors.groundwater
+      }));
+      if (when) {
+        const background = this.createSvgElement('rect');
+        background.setAttribute('x', waterX + 2);
+        background.setAttribute('y', labelY + 3);
+        background.setAttribute('width', this.measureText(when, 6) + 2);
+        background.setAttribute('height', 8);
+        background.setAttribute('fill', colors.background);
+        background.setAttribute('fill-opacity', '0.8');
+        parent.appendChild(background);
+        parent.appendChild(this.createText(when, waterX + 3, labelY + 9, {
+          fontSize: '6px',
+          fill: colors.groundwater
+        }));
+      }
+    });
+  }
+
+  // Water level symbol with its tip at (x, y): open (during drilling), filled, or stabilized (filled with bars below)
+  renderGroundwaterSymbol(parent, x, y, symbol) {
+    const colors = this.getColors();
+    const size = 5;
+
+    const triangle = this.createSvgElement('polygon');
+    triangle.setAttribute('points', `${x},${y} ${x - size},${y - size * 1.6} ${x + size},${y - size * 1.6}`);
+    triangle.setAttribute('fill', symbol === 'open' ? colors.background : colors.groundwater);
+    triangle.setAttribute('stroke', colors.groundwater);
     parent.appendChild(triangle);
 
-    // Wavy line across graphic column
-    const waveWidth = columns.graphic.width;
-    let wavePath = `M ${graphicX} ${y}`;
-    for (let x = 0; x < waveWidth; x += 10) {
-      wavePath += ` q 5,-3 10,0`;
+    if (symbol === 'stabilized') {
+      [[2, 4], [4, 2]].forEach(([offset, halfWidth]) => {
+        const bar = this.createSvgElement('line');
+        bar.setAttribute('x1', x - halfWidth);
+        bar.setAttribute('y1', y + offset);
+        bar.setAttribute('x2', x + halfWidth);
+        bar.setAttribute('y2', y + offset);
+        bar.setAttribute('stroke', colors.groundwater);
+        parent.appendChild(bar);
+      });
     }
-    const wave = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    wave.setAttribute('d', wavePath);
-    wave.setAttribute('fill', 'none');
-    wave.setAttribute('stroke', colors.groundwater);
-    wave.setAttribute('stroke-width', '2');
-    parent.appendChild(wave);
   }
 
   renderBorder(parent, width, height) {
-    const border = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const border = this.createSvgElement('rect');
     border.setAttribute('x', '0');
     border.setAttribute('y', '0');
     border.setAttribute('width', width);
     border.setAttribute('height', height);
     border.setAttribute('fill', 'none');
-    border.setAttribute('stroke', this.config.colors.border);
+    border.setAttribute('stroke', this.getColors().border);
     border.setAttribute('stroke-width', '2');
     parent.appendChild(border);
   }
 
-  renderWellPanel(parent, startX, startY, height, totalDepth) {
-    const { colors, wellPanelWidth, depthScale } = this.config;
-    const { well, boring } = this.data;
+  renderWellPanel(parent, startX, startY, height, range) {
+    const { panelWidth, diagramWidth, tableWidth, casings } = this.getWellLayout();
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
+    const { well } = this.data;
 
     // Panel background - full height to match soil columns
-    const panelBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const panelBg = this.createSvgElement('rect');
     panelBg.setAttribute('x', startX);
     panelBg.setAttribute('y', startY);
-    panelBg.setAttribute('width', wellPanelWidth);
+    panelBg.setAttribute('width', panelWidth);
     panelBg.setAttribute('height', height);
-    panelBg.setAttribute('fill', '#fafafa');
+    panelBg.setAttribute('fill', colors.panelBg);
     panelBg.setAttribute('stroke', colors.border);
     parent.appendChild(panelBg);
 
     // Well diagram area - spans full height to align with depth scale
     const diagramX = startX + 20;
-    const diagramWidth = 40;
     const diagramTop = startY;
     const diagramHeight = height;
 
-    // Calculate positions based on depths - now aligns with soil column depths
-    const getY = (depth) => diagramTop + (depth / totalDepth) * diagramHeight;
+    // Calculate positions based on depths - aligns with soil column depths, clipped to the sheet
+    const clampDepth = (depth) => Math.min(Math.max(depth, range.top), range.bottom);
+    const getY = (depth) => diagramTop + (clampDepth(depth) - range.top) * depthScale;
+    const isVisible = (top, bottom) => bottom > range.top && top < range.bottom;
 
     // Draw borehole
-    const borehole = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const borehole = this.createSvgElement('rect');
     borehole.setAttribute('x', diagramX);
     borehole.setAttribute('y', diagramTop);
     borehole.setAttribute('width', diagramWidth);
     borehole.setAttribute('height', diagramHeight);
-    borehole.setAttribute('fill', '#f0f0f0');
+    borehole.setAttribute('fill', colors.borehole);
     borehole.setAttribute('stroke', colors.border);
     parent.appendChild(borehole);
 
+    // Well details as side labels, placed last and pushed down where they would overlap
+    const labelX = startX + panelWidth - 5;
+    const { diameterSuffix, depth: depthUnit } = this.getUnits();
+    const sideLabels = [];
+    const addLabel = (group, text, y, fontSize = 7, fill) => sideLabels.push({ group, text, y, fontSize, fill });
+
+    // Annular fills replace the single seal and filter pack intervals
+    const fills = well.annularFills || [];
+    fills.forEach((fill, index) => {
+      if (!(fill.depthBottom > fill.depthTop) || !isVisible(fill.depthTop, fill.depthBottom)) return;
+      const [key, material] = this.getAnnularFillMaterial(fill.material);
+      const fillY1 = getY(fill.depthTop);
+      const fillY2 = getY(fill.depthBottom);
+      const fillGroup = this.createItemGroup(parent, `well.annularFills[${index}]`);
+      const rect = this.createSvgElement('rect');
+      rect.setAttribute('x', diagramX + 5);
+      rect.setAttribute('y', fillY1);
+      rect.setAttribute('width', diagramWidth - 10);
+      rect.setAttribute('height', fillY2 - fillY1);
+      rect.setAttribute('fill', `url(#pattern-well-${key})`);
+      rect.setAttribute('stroke', colors.border);
+      fillGroup.appendChild(rect);
+      addLabel(fillGroup, fill.material || material.label, (fillY1 + fillY2) / 2 + 4);
+    });
+
     // Seal (bentonite) - from top to screen top
-    if (well.sealTop !== undefined && well.sealBottom !== undefined) {
+    if (fills.length === 0 && well.sealTop !== undefined && well.sealBottom !== undefined && isVisible(well.sealTop, well.sealBottom)) {
       const sealY1 = getY(well.sealTop);
       const sealY2 = getY(well.sealBottom);
-      const seal = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      const sealGroup = this.createItemGroup(parent, 'well.seal');
+      const seal = this.createSvgElement('rect');
       seal.setAttribute('x', diagramX + 5);
       seal.setAttribute('y', sealY1);
       seal.setAttribute('width', diagramWidth - 10);
       seal.setAttribute('height', sealY2 - sealY1);
       seal.setAttribute('fill', colors.wellSeal);
       seal.setAttribute('stroke', colors.border);
-      parent.appendChild(seal);
+      sealGroup.appendChild(seal);
+      addLabel(sealGroup, 'Seal', (sealY1 + sealY2) / 2 + 4);
+    }
 
-      // Seal label
-      const sealLabel = this.createText('Seal', startX + wellPanelWidth - 5, (sealY1 + sealY2) / 2 + 4, {
-        fontSize: '7px',
-        textAnchor: 'end'
+    // Pipes side by side, one per casing; walls are shared by the riser, screens and sump
+    const pipeWidth = casings.length > 1 ? 12 : 16;
+    const pipePitch = pipeWidth + 8;
+    const pipesLeft = diagramX + (diagramWidth - (casings.length * pipePitch - 8)) / 2;
+    // Widths scale with diameter against the widest casing, centered in each pipe's slot
+    const maxDiameter = Math.max(0, ...casings.map(casing => casing.diameter).filter(Number.isFinite));
+    const pipes = casings.map((casing, index) => {
+      const width = maxDiameter > 0 && casing.diameter > 0
+        ? Math.max(4, Math.round(pipeWidth * casing.diameter / maxDiameter))
+        : pipeWidth;
+      const left = pipesLeft + index * pipePitch + (pipeWidth - width) / 2;
+      return {
+        casing,
+        left,
+        right: left + width,
+        width,
+        // Nested casings are told apart by name in their labels
+        suffix: casings.length > 1 ? ` ${casing.label}` : ''
+      };
+    });
+    const addPipeWalls = (group, pipe, y1, y2) => {
+      [pipe.left, pipe.right].forEach(x => {
+        const wall = this.createSvgElement('line');
+        wall.setAttribute('x1', x);
+        wall.setAttribute('y1', y1);
+        wall.setAttribute('x2', x);
+        wall.setAttribute('y2', y2);
+        wall.setAttribute('stroke', colors.wellCasing);
+        wall.setAttribute('stroke-width', '2');
+        group.appendChild(wall);
       });
-      parent.appendChild(sealLabel);
-    }
-
-    // Filter pack - around screen
-    if (well.screenTop !== undefined && well.screenBottom !== undefined) {
-      const filterY1 = getY(well.screenTop);
-      const filterY2 = getY(well.screenBottom);
-
-      // Filter pack
-      const filter = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-      filter.setAttribute('x', diagramX + 5);
-      filter.setAttribute('y', filterY1);
-      filter.setAttribute('width', diagramWidth - 10);
-      filter.setAttribute('height', filterY2 - filterY1);
-      filter.setAttribute('fill', colors.wellFilter);
-      filter.setAttribute('stroke', colors.border);
-      parent.appendChild(filter);
-
-      // Screen (inside filter pack)
-      const screenWidth = 16;
-      const screen = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-      screen.setAttribute('x', diagramX + (diagramWidth - screenWidth) / 2);
-      screen.setAttribute('y', filterY1);
-      screen.setAttribute('width', screenWidth);
-      screen.setAttribute('height', filterY2 - filterY1);
-      screen.setAttribute('fill', 'white');
-      screen.setAttribute('stroke', colors.wellScreen);
-      screen.setAttribute('stroke-dasharray', '3,2');
-      parent.appendChild(screen);
-
-      // Screen label
-      const screenLabel = this.createText('Screen', startX + wellPanelWidth - 5, (filterY1 + filterY2) / 2 + 4, {
-        fontSize: '7px',
-        textAnchor: 'end'
+    };
+    const visibleScreens = pipe => pipe.casing.screens.filter(screen => isVisible(screen.depthTop, screen.depthBottom));
+
+    // Filter packs around the screens, unless annular fills describe the annulus
+    if (fills.length === 0) {
+      pipes.forEach(pipe => visibleScreens(pipe).forEach(screen => {
+        const filterY1 = getY(screen.depthTop);
+        const filterY2 = getY(screen.depthBottom);
+        const filter = this.createSvgElement('rect');
+        filter.setAttribute('x', diagramX + 5);
+        filter.setAttribute('y', filterY1);
+        filter.setAttribute('width', diagramWidth - 10);
+        filter.setAttribute('height', filterY2 - filterY1);
+        filter.setAttribute('fill', colors.wellFilter);
+        filter.setAttribute('stroke', colors.border);
+        this.createItemGroup(parent, pipe.casing.refs.filter).appendChild(filter);
+      }));
+    }
+
+    pipes.forEach(pipe => {
+      const { casing } = pipe;
+
+      // Screens, with blank casing between them
+      visibleScreens(pipe).forEach(screenInterval => {
+        const screenY1 = getY(screenInterval.depthTop);
+        const screenY2 = getY(screenInterval.depthBottom);
+        const screenGroup = this.createItemGroup(parent, casing.refs.screen);
+        const screen = this.createSvgElement('rect');
+        screen.setAttribute('x', pipe.left);
+        screen.setAttribute('y', screenY1);
+        screen.setAttribute('width', pipe.width);
+        screen.setAttribute('height', screenY2 - screenY1);
+        screen.setAttribute('fill', colors.background);
+        screen.setAttribute('stroke', colors.wellScreen);
+        screen.setAttribute('stroke-dasharray', '3,2');
+        screenGroup.appendChild(screen);
+        addLabel(screenGroup, `Screen${pipe.suffix}`, (screenY1 + screenY2) / 2 + 4);
+
+        // Slot size label near screen
+        if (screenInterval.slotSize && this.isOnSheet(screenInterval.depthTop, range)) {
+          addLabel(screenGroup, `Slot: ${screenInterval.slotSize}${diameterSuffix}`, screenY1 + 15, 6, colors.annotation);
+        }
       });
-      parent.appendChild(screenLabel);
-    }
-
-    // Casing (from top to screen)
-    const casingWidth = 16;
-    const casingTop = diagramTop;
-    const casingBottom = well.screenTop !== undefined ? getY(well.screenTop) : diagramTop + diagramHeight * 0.5;
-
-    const casingLeft = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    casingLeft.setAttribute('x1', diagramX + (diagramWidth - casingWidth) / 2);
-    casingLeft.setAttribute('y1', casingTop);
-    casingLeft.setAttribute('x2', diagramX + (diagramWidth - casingWidth) / 2);
-    casingLeft.setAttribute('y2', casingBottom);
-    casingLeft.setAttribute('stroke', colors.wellCasing);
-    casingLeft.setAttribute('stroke-width', '2');
-    parent.appendChild(casingLeft);
-
-    const casingRight = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    casingRight.setAttribute('x1', diagramX + (diagramWidth + casingWidth) / 2);
-    casingRight.setAttribute('y1', casingTop);
-    casingRight.setAttribute('x2', diagramX + (diagramWidth + casingWidth) / 2);
-    casingRight.setAttribute('y2', casingBottom);
-    casingRight.setAttribute('stroke', colors.wellCasing);
-    casingRight.setAttribute('stroke-width', '2');
-    parent.appendChild(casingRight);
-
-    // Well details as side labels
-    const labelX = startX + wellPanelWidth - 5;
-
-    // Casing label near top
-    if (well.casingDiameter) {
-      const casingY = casingTop + 20;
-      const casingText = `${well.casingDiameter}" ${well.casingMaterial || ''}`;
-      const casingLabel = this.createText(casingText, labelX, casingY, {
-        fontSize: '7px',
-        textAnchor: 'end'
+
+      // Sump below the last screen, closed by the end cap at the bottom of the casing
+      const lastScreen = casing.screens[casing.screens.length - 1];
+      if (lastScreen && Number.isFinite(casing.sumpLength)) {
+        const casingBottom = lastScreen.depthBottom + Math.max(casing.sumpLength, 0);
+        if (isVisible(lastScreen.depthBottom, casingBottom) || this.isOnSheet(casingBottom, range)) {
+          const sumpGroup = this.createItemGroup(parent, casing.refs.sump);
+          const sumpY1 = getY(lastScreen.depthBottom);
+          const sumpY2 = getY(casingBottom);
+          if (sumpY2 > sumpY1) {
+            addPipeWalls(sumpGroup, pipe, sumpY1, sumpY2);
+            addLabel(sumpGroup, `Sump${pipe.suffix}`, (sumpY1 + sumpY2) / 2 + 4);
+          }
+          if (this.isOnSheet(casingBottom, range)) {
+            const cap = this.createSvgElement('line');
+            cap.setAttribute('x1', pipe.left - 1);
+            cap.setAttribute('y1', sumpY2);
+            cap.setAttribute('x2', pipe.right + 1);
+            cap.setAttribute('y2', sumpY2);
+            cap.setAttribute('stroke', colors.wellCasing);
+            cap.setAttribute('stroke-width', '3');
+            sumpGroup.appendChild(cap);
+          }
+        }
+      }
+    });
+
+    // Surface completion, drawn above grade in the column header band on the first sheet
+    const firstSheet = range.top === 0;
+    const flush = well.surfaceCompletion === 'flush';
+    const stickup = this.getWellStickup();
+    const riserTop = !firstSheet ? diagramTop : flush ? diagramTop + 4 : diagramTop - Math.min(stickup * depthScale, 22);
+    const centerX = diagramX + diagramWidth / 2;
+    const boxHalfWidth = (casings.length * pipePitch - 8) / 2 + 5;
+
+    if (firstSheet && well.pad) {
+      const padGroup = this.createItemGroup(parent, 'well.pad');
+      const pad = this.createSvgElement('rect');
+      pad.setAttribute('x', diagramX - 8);
+      pad.setAttribute('y', flush ? diagramTop : diagramTop - 3);
+      pad.setAttribute('width', diagramWidth + 16);
+      pad.setAttribute('height', flush ? 5 : 6);
+      pad.setAttribute('fill', colors.wellCement);
+      pad.setAttribute('stroke', colors.border);
+      padGroup.appendChild(pad);
+      addLabel(padGroup, `Pad: ${well.pad}`, diagramTop + 8);
+    }
+
+    if (firstSheet && (well.protectiveCasing || flush)) {
+      // Protective casing over stick-up risers, or a road box around flush-mount ones
+      const protectiveGroup = this.createItemGroup(parent, 'well.protective');
+      const boxTop = flush ? diagramTop : riserTop - 4;
+      const box = this.createSvgElement('rect');
+      box.setAttribute('x', centerX - boxHalfWidth);
+      box.setAttribute('y', boxTop);
+      box.setAttribute('width', boxHalfWidth * 2);
+      box.setAttribute('height', diagramTop + 10 - boxTop);
+      box.setAttribute('fill', 'none');
+      box.setAttribute('stroke', colors.wellCasing);
+      box.setAttribute('stroke-width', '1.5');
+      protectiveGroup.appendChild(box);
+
+      const lid = this.createSvgElement('line');
+      lid.setAttribute('x1', centerX - boxHalfWidth - 2);
+      lid.setAttribute('y1', boxTop);
+      lid.setAttribute('x2', centerX + boxHalfWidth + 2);
+      lid.setAttribute('y2', boxTop);
+      lid.setAttribute('stroke', colors.wellCasing);
+      lid.setAttribute('stroke-width', '2.5');
+      protectiveGroup.appendChild(lid);
+      if (well.protectiveCasing) addLabel(protectiveGroup, well.protectiveCasing, diagramTop + 8);
+    }
+
+    if (firstSheet && (well.surfaceCompletion || stickup > 0)) {
+      // Riser caps, with the completion type
+      const surfaceGroup = this.createItemGroup(parent, 'well.surface');
+      pipes.forEach(pipe => {
+        const cap = this.createSvgElement('rect');
+        cap.setAttribute('x', pipe.left - 1);
+        cap.setAttribute('y', riserTop - 2);
+        cap.setAttribute('width', pipe.width + 2);
+        cap.setAttribute('height', 2);
+        cap.setAttribute('fill', colors.wellCasing);
+        surfaceGroup.appendChild(cap);
       });
-      parent.appendChild(casingLabel);
+      const completion = flush ? 'Flush mount' : `Stick-up ${stickup} ${depthUnit}`;
+      addLabel(surfaceGroup, completion, diagramTop + 8);
     }
 
-    // Slot size label near screen
-    if (well.screenSlotSize && well.screenTop !== undefined) {
-      const slotY = getY(well.screenTop) + 15;
-      const slotLabel = this.createText(`Slot: ${well.screenSlotSize}"`, labelX, slotY, {
-        fontSize: '6px',
-        textAnchor: 'end',
-        fill: '#666'
+    // Riser casings (from the top of casing to the first screen, and between screens)
+    pipes.forEach((pipe, index) => {
+      const { casing } = pipe;
+      const firstScreen = casing.screens[0];
+      const casingBottom = firstScreen ? getY(firstScreen.depthTop) : getY((this.data.boring.totalDepth || 30) / 2);
+      const casingGroup = this.createItemGroup(parent, casing.refs.casing, {
+        x: pipe.left - 2,
+        y: riserTop,
+        width: pipe.width + 4,
+        height: casingBottom - riserTop
+      });
+      addPipeWalls(casingGroup, pipe, riserTop, casingBottom);
+      casing.screens.slice(1).forEach((screen, i) => {
+        const blankTop = casing.screens[i].depthBottom;
+        if (isVisible(blankTop, screen.depthTop)) addPipeWalls(casingGroup, pipe, getY(blankTop), getY(screen.depthTop));
+      });
+
+      // Casing label near top (first sheet only), one line per casing
+      if ((casing.diameter || casings.length > 1) && firstSheet) {
+        const size = casing.diameter ? `${casing.diameter}${diameterSuffix} ${casing.material || ''}` : casing.material || '';
+        const casingText = casings.length > 1 ? `${casing.label}: ${size}`.trim() : size;
+        addLabel(casingGroup, casingText, diagramTop + 20 + index * 9);
+      }
+    });
+
+    // Centralizers: bow springs either side of each pipe
+    const centralizers = (well.centralizers || []).filter(depth => this.isOnSheet(depth, range));
+    if (centralizers.length > 0) {
+      const centralizerGroup = this.createItemGroup(parent, 'well.centralizers');
+      centralizers.forEach(depth => {
+        const y = getY(depth);
+        pipes.forEach(pipe => [[pipe.left, -4], [pipe.right, 4]].forEach(([x, offset]) => {
+          const spring = this.createSvgElement('polyline');
+          spring.setAttribute('points', `${x},${y - 4} ${x + offset},${y} ${x},${y + 4}`);
+          spring.setAttribute('fill', 'none');
+          spring.setAttribute('stroke', colors.wellCasing);
+          spring.setAttribute('stroke-width', '1');
+          centralizerGroup.appendChild(spring);
+        }));
       });
-      parent.appendChild(slotLabel);
+    }
+
+    let nextY = -Infinity;
+    sideLabels.sort((a, b) => a.y - b.y).forEach(({ group, text, y, fontSize, fill }) => {
+      const labelY = Math.max(y, nextY);
+      group.appendChild(this.createText(text, labelX, labelY, { fontSize: `${fontSize}px`, textAnchor: 'end', fill }));
+      nextY = labelY + fontSize + 2;
+    });
+
+    if (tableWidth > 0) {
+      this.renderWellTable(parent, startX + panelWidth, startY, tableWidth, height, range);
     }
   }
 
-  renderLegend(parent, startY, width) {
-    const { colors } = this.config;
-    const { layers, groundwater } = this.data;
-
-    // USCS and extended soil descriptions
-    const allDescriptions = {
-      // Standard USCS codes
-      'GW': 'Well-graded gravel',
-      'GP': 'Poorly graded gravel',
-      'GM': 'Silty gravel',
-      'GC': 'Clayey gravel',
-      'SW': 'Well-graded sand',
-      'SP': 'Poorly graded sand',
-      'SM': 'Silty sand',
-      'SC': 'Clayey sand',
-      'ML': 'Silt (low plasticity)',
-      'MH': 'Silt (high plasticity)',
-      'CL': 'Clay (low plasticity)',
-      'CH': 'Clay (high plasticity)',
-      'OL': 'Organic silt',
-      'OH': 'Organic clay',
-      'PT': 'Peat',
-      // Extended / Non-USCS codes
-      'TS': 'Topsoil',
-      'TOPSOIL': 'Topsoil',
-      'FILL': 'Fill material',
-      'QUA': 'Quartz',
-      'ARG': 'Argillite',
-      'ROCK': 'Rock',
-      'BR': 'Bedrock',
-      'ORGANICS': 'Organic material',
-      'MK': 'Micaceous silt'
+  /**
+   * Construction depths beside the well diagram, each row anchored at its
+   * depth with a leader, pushed down where rows would overlap
+   */
+  renderWellTable(parent, tableX, startY, width, height, range) {
+    const colors = this.getColors();
+    const depthScale = this.getDepthScale();
+    const elevation = this.data.boring.elevation;
+    const columns = this.getWellTableColumns(tableX, width);
+    const rowHeight = 9;
+
+    const background = this.createSvgElement('rect');
+    background.setAttribute('x', tableX);
+    background.setAttribute('y', startY);
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', colors.background);
+    background.setAttribute('stroke', colors.border);
+    parent.appendChild(background);
+
+    let nextY = startY + 8;
+    this.getWellConstructionPoints().forEach(point => {
+      // Points above grade (top of casing) sit at the top of the first sheet
+      if (point.depth < 0 ? range.top !== 0 : !this.isOnSheet(point.depth, range)) return;
+      const depthY = startY + (Math.max(point.depth, 0) - range.top) * depthScale;
+      const rowY = Math.max(depthY + 3, nextY);
+
+      const leader = this.createSvgElement('polyline');
+      leader.setAttribute('points', `${tableX},${depthY} ${tableX + 4},${depthY} ${tableX + 8},${rowY - 3}`);
+      leader.setAttribute('fill', 'none');
+      leader.setAttribute('stroke', colors.annotation);
+      leader.setAttribute('stroke-width', '0.75');
+      parent.appendChild(leader);
+
+      // Long labels (e.g. a nested casing's screens) wrap onto more lines of the row
+      const lines = this.wrapText(point.label, columns.depth - columns.label - 22, 7);
+      lines.forEach((line, i) => {
+        parent.appendChild(this.createText(line, columns.label, rowY + i * (rowHeight - 1), { fontSize: '7px' }));
+      });
+      const depthText = point.depth < 0 ? `+${-point.depth}` : String(point.depth);
+      parent.appendChild(this.createText(depthText, columns.depth, rowY, { fontSize: '7px', textAnchor: 'end' }));
+      const pointElevation = point.elevation ?? (elevation != null ? elevation - point.depth : null);
+      if (pointElevation != null) {
+        parent.appendChild(this.createText(Number(pointElevation).toFixed(2), columns.elevation, rowY, {
+          fontSize: '7px',
+          textAnchor: 'end'
+        }));
+      }
+      nextY = rowY + (rowHeight - 1) * (lines.length - 1) + rowHeight;
+    });
+  }
+
+  // Text positions in the well elevation table: label start, and the right edges of depth and elevation
+  getWellTableColumns(tableX, width) {
+    return { label: tableX + 10, depth: tableX + width - 42, elevation: tableX + width - 4 };
+  }
+
+  // Well panel width, plus the elevation table when the well has construction depths to list
+  getWellPanelWidth() {
+    const { panelWidth, tableWidth } = this.getWellLayout();
+    return panelWidth + tableWidth;
+  }
+
+  /**
+   * Well panel geometry: the diagram widens for nested casings (and the
+   * panel with it), and the elevation table is shown when it has rows
+   */
+  getWellLayout() {
+    const { wellPanelWidth, wellTableWidth } = this.config;
+    const casings = this.getWellCasings();
+    const diagramWidth = Math.max(40, casings.length * 20 + 8);
+    const hasTable = wellTableWidth > 0 && this.getWellConstructionPoints().length > 0;
+    return {
+      casings,
+      diagramWidth,
+      panelWidth: wellPanelWidth + diagramWidth - 40,
+      tableWidth: hasTable ? wellTableWidth : 0
+    };
+  }
+
+  /**
+   * Casings in the well, each { label, diameter, material, screens, sumpLength, refs },
+   * with screens as { depthTop, depthBottom, slotSize } in depth order. `well.casings`
+   * lists nested casings; without it the single casing and screen fields make one.
+   * refs name the item groups each part is drawn in.
+   */
+  getWellCasings() {
+    const well = this.data?.well || {};
+    if (well.casings?.length > 0) {
+      return well.casings.map((casing, index) => {
+        const ref = `well.casings[${index}]`;
+        return {
+          label: casing.label || String(index + 1),
+          diameter: casing.diameter,
+          material: casing.material,
+          screens: (casing.screens || [])
+            .filter(screen => Number.isFinite(screen.depthTop) && Number.isFinite(screen.depthBottom))
+            .sort((a, b) => a.depthTop - b.depthTop),
+          sumpLength: casing.sumpLength,
+          refs: { casing: ref, screen: ref, filter: ref, sump: ref }
+        };
+      });
+    }
+    const hasScreen = well.screenTop !== undefined && well.screenBottom !== undefined;
+    return [{
+      label: '1',
+      diameter: well.casingDiameter,
+      material: well.casingMaterial,
+      screens: hasScreen ? [{ depthTop: well.screenTop, depthBottom: well.screenBottom, slotSize: well.screenSlotSize }] : [],
+      sumpLength: well.sumpLength,
+      refs: { casing: 'well.casing', screen: 'well.screen', filter: 'well.filter', sump: 'well.sump' }
+    }];
+  }
+
+  // Riser height above grade: the stick-up, else from the top-of-casing elevation; flush mounts sit at grade
+  getWellStickup() {
+    const { well, boring } = this.data;
+    if (well.surfaceCompletion === 'flush') return 0;
+    if (Number.isFinite(well.surfaceStickup)) return Math.max(well.surfaceStickup, 0);
+    if (Number.isFinite(well.casingTopElevation) && boring.elevation != null) {
+      return Math.max(Math.round((well.casingTopElevation - boring.elevation) * 100) / 100, 0);
+    }
+    return 0;
+  }
+
+  /**
+   * Rows of the well elevation table, by depth: top of casing, ground surface,
+   * tops of the annular fills (or the seal), each casing's screens and bottom of well.
+   * Empty when the well has no construction depths.
+   */
+  getWellConstructionPoints() {
+    const well = this.data?.well;
+    if (!well) return [];
+    const points = [];
+    const add = (label, depth, elevation) => {
+      if (Number.isFinite(depth)) points.push({ label, depth, elevation });
     };
 
+    (well.annularFills || []).forEach(fill => add(fill.material || 'Annular fill', fill.depthTop));
+    if (!well.annularFills?.length) {
+      add('Top of seal', well.sealTop);
+      add('Bottom of seal', well.sealBottom);
+    }
+    const casings = this.getWellCasings();
+    casings.forEach(casing => {
+      const suffix = casings.length > 1 ? ` ${casing.label}` : '';
+      casing.screens.forEach(screen => {
+        add(`Top of screen${suffix}`, screen.depthTop);
+        add(`Bottom of screen${suffix}`, screen.depthBottom);
+      });
+      const lastScreen = casing.screens[casing.screens.length - 1];
+      if (lastScreen && Number.isFinite(lastScreen.depthBottom) && Number.isFinite(casing.sumpLength) && casing.sumpLength > 0) {
+        add(`Bottom of well${suffix}`, lastScreen.depthBottom + casing.sumpLength);
+      }
+    });
+    if (points.length === 0) return [];
+
+    // Surface rows lead, so they stay first among rows at the same depth
+    const fieldPoints = points.splice(0);
+    const hasCasingTop = well.surfaceCompletion || Number.isFinite(well.surfaceStickup) || Number.isFinite(well.casingTopElevation);
+    if (hasCasingTop) add('Top of casing', -this.getWellStickup(), well.casingTopElevation);
+    add('Ground surface', 0);
+    return [...points, ...fieldPoints].sort((a, b) => a.depth - b.depth);
+  }
+
+  // Registry entry for an annular fill material: [key, material], matched by key or keyword
+  getAnnularFillMaterial(name) {
+    const materials = BoringLog.annularFillMaterials;
+    const text = String(name || '').toLowerCase();
+    if (materials[text]) return [text, materials[text]];
+    const match = Object.entries(materials).find(([, material]) => material.keywords.some(keyword => text.includes(keyword)));
+    return match || ['backfill', materials.backfill];
+  }
+
+  renderLegend(parent, startY, width) {
+    const colors = this.getColors();
+    const { layers } = this.data;
+
     // Get unique USCS codes used in this diagram
     const usedCodes = new Set();
     if (layers) {
@@ -1172,32 +3532,45 @@ class BoringLog {
       });
     }
 
-    // Build legend entries - include unknown codes with their code as description
+    // Build legend entries - unknown codes use their code as description
     const entries = [];
     usedCodes.forEach(code => {
-      const description = allDescriptions[code] || code; // Use code as description if unknown
-      entries.push([code, description]);
+      entries.push([code, LogPatterns.getDescription(code)]);
     });
     // Sort entries by code
     entries.sort((a, b) => a[0].localeCompare(b[0]));
 
+    // Water level types used, in configuration order
+    const usedWaterTypes = new Set(this.getGroundwaterObservations().map(obs => this.getGroundwaterType(obs.type)));
+    const waterTypes = Object.values(this.config.groundwaterTypes).filter(type => usedWaterTypes.has(type));
+
+    // Contact styles, shown once any layer has a non-sharp contact
+    const usedContactTypes = new Set((layers || []).filter(layer => layer.depthTop > 0).map(layer => this.getContactType(layer)));
+    const contactTypes = Object.values(this.config.contactTypes).filter(type => usedContactTypes.has(type));
+    const hasContacts = contactTypes.some(type => type !== this.config.contactTypes.sharp);
+
     // Calculate dynamic legend height
-    const hasGroundwater = groundwater && groundwater.depth !== undefined;
-    const hasSamples = this.data.samples && this.data.samples.length > 0;
+    const hasGroundwater = waterTypes.length > 0;
+    const sampleEntries = this.getSampleLegendEntries();
+    const sampleColumns = Math.max(1, Math.floor((width - 20) / 180));
+    const sampleRows = Math.ceil(sampleEntries.length / sampleColumns);
     const rowHeight = 22;
-    const columns = Math.min(entries.length, 4);
+    const columns = Math.max(1, Math.min(entries.length, 4));
     const rows = Math.ceil(entries.length / columns);
-    const symbolsRowHeight = (hasSamples || hasGroundwater) ? 28 : 0;
+    const coreRunKey = this.getCoreRunLegendText();
+    const contactColumns = Math.max(1, Math.floor((width - 20) / 170));
+    const contactRows = hasContacts ? Math.ceil(contactTypes.length / contactColumns) : 0;
+    const symbolsRowHeight = sampleRows * 28 + (hasGroundwater ? 28 : 0) + contactRows * 28 + (coreRunKey ? 20 : 0);
     const contentHeight = rows * rowHeight + symbolsRowHeight;
     const dynamicLegendHeight = 40 + contentHeight;
 
     // Legend background
-    const legendBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const legendBg = this.createSvgElement('rect');
     legendBg.setAttribute('x', '0');
     legendBg.setAttribute('y', startY);
     legendBg.setAttribute('width', width);
     legendBg.setAttribute('height', dynamicLegendHeight);
-    legendBg.setAttribute('fill', '#fafafa');
+    legendBg.setAttribute('fill', colors.panelBg);
     legendBg.setAttribute('stroke', colors.border);
     parent.appendChild(legendBg);
 
@@ -1221,12 +3594,12 @@ class BoringLog {
       const y = contentStartY + row * rowHeight;
 
       // Pattern swatch
-      const swatch = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      const swatch = this.createSvgElement('rect');
       swatch.setAttribute('x', x);
       swatch.setAttribute('y', y);
       swatch.setAttribute('width', swatchSize);
       swatch.setAttribute('height', swatchSize);
-      swatch.setAttribute('fill', `url(#pattern-${code})`);
+      swatch.setAttribute('fill', `url(#${this.getPatternId(code)})`);
       swatch.setAttribute('stroke', colors.border);
       swatch.setAttribute('stroke-width', '0.5');
       parent.appendChild(swatch);
@@ -1241,78 +3614,83 @@ class BoringLog {
       // Description
       const descLabel = this.createText(description, x + swatchSize + 28, y + 12, {
         fontSize: '8px',
-        fill: '#555'
+        fill: colors.mutedText
       });
       parent.appendChild(descLabel);
     });
 
     // Sample types and groundwater on a separate row
     const symbolsY = contentStartY + rows * rowHeight + 8;
-    let symbolX = startX;
-
-    // Sample type descriptions
-    const sampleTypeDescriptions = {
-      'SPT': 'Standard Penetration Test',
-      'SHELBY': 'Shelby Tube Sample',
-      'GRAB': 'Grab Sample',
-      'CORE': 'Core Sample',
-      'AUGER': 'Auger Sample'
-    };
 
-    // Get unique sample types used
-    const usedSampleTypes = new Set();
-    if (this.data.samples) {
-      this.data.samples.forEach(sample => {
-        usedSampleTypes.add(sample.type.toUpperCase());
-      });
-    }
+    // Sample type symbols, then the recovery keys, wrapping to the legend width
+    sampleEntries.forEach((entry, index) => {
+      const symbolX = startX + (index % sampleColumns) * 180;
+      const y = symbolsY + Math.floor(index / sampleColumns) * 28;
+      const box = { x: symbolX, y, width: swatchSize, height: swatchSize };
+      this.renderSampleSymbol(parent, box, entry.definition, { shaded: entry.shaded, crossed: entry.crossed });
 
-    // Render sample type symbols
-    usedSampleTypes.forEach(type => {
-      const description = sampleTypeDescriptions[type] || type;
-      const isSPT = type === 'SPT';
-
-      // Sample marker
-      const marker = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-      marker.setAttribute('x', symbolX);
-      marker.setAttribute('y', symbolsY);
-      marker.setAttribute('width', swatchSize);
-      marker.setAttribute('height', swatchSize);
-      marker.setAttribute('fill', isSPT ? '#fff3cd' : '#d4edda');
-      marker.setAttribute('stroke', colors.border);
-      marker.setAttribute('rx', '2');
-      parent.appendChild(marker);
-
-      // Type label
-      const typeLabel = this.createText(type, symbolX + swatchSize + 5, symbolsY + 12, {
-        fontSize: '9px',
-        fontWeight: 'bold'
-      });
-      parent.appendChild(typeLabel);
+      // Type label and description; keys without a type code describe themselves
+      if (entry.code) {
+        const typeLabel = this.createText(entry.code, symbolX + swatchSize + 5, y + 12, {
+          fontSize: '9px',
+          fontWeight: 'bold'
+        });
+        parent.appendChild(typeLabel);
+      }
 
-      // Description
-      const descLabel = this.createText(description, symbolX + swatchSize + 45, symbolsY + 12, {
+      const descLabel = this.createText(entry.label, symbolX + swatchSize + (entry.code ? 50 : 5), y + 12, {
         fontSize: '8px',
-        fill: '#555'
+        fill: colors.mutedText
       });
       parent.appendChild(descLabel);
-
-      symbolX += 180;
     });
 
-    // Groundwater symbol (only if present in data)
-    if (hasGroundwater) {
-      // GW triangle
-      const gwTriangle = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-      gwTriangle.setAttribute('points', `${symbolX + 8},${symbolsY + 8} ${symbolX},${symbolsY} ${symbolX},${symbolsY + 16}`);
-      gwTriangle.setAttribute('fill', colors.groundwater);
-      parent.appendChild(gwTriangle);
+    // Water level symbols (only types present in data) on their own row
+    const waterY = symbolsY + sampleRows * 28;
+    let waterX = startX;
+    waterTypes.forEach(type => {
+      this.renderGroundwaterSymbol(parent, waterX + 6, waterY + 12, type.symbol);
 
-      const gwLabel = this.createText('Groundwater level', symbolX + 15, symbolsY + 12, {
+      const gwLabel = this.createText(type.label, waterX + 15, waterY + 12, {
         fontSize: '9px'
       });
       parent.appendChild(gwLabel);
+
+      waterX += 140;
+    });
+
+    // Contact styles used, on their own rows
+    const contactY = waterY + (hasGroundwater ? 28 : 0);
+    if (hasContacts) {
+      contactTypes.forEach((type, index) => {
+        const contactX = startX + (index % contactColumns) * 170;
+        const rowY = contactY + Math.floor(index / contactColumns) * 28;
+        this.renderContact(parent, contactX, contactX + 24, rowY + 8, type);
+
+        const contactLabel = this.createText(type.label, contactX + 30, rowY + 12, {
+          fontSize: '9px'
+        });
+        parent.appendChild(contactLabel);
+      });
+    }
+
+    // Core run abbreviation key
+    if (coreRunKey) {
+      const keyY = contactY + contactRows * 28 + 10;
+      const keyLabel = this.createText(coreRunKey, startX, keyY, {
+        fontSize: '8px',
+        fill: colors.mutedText
+      });
+      parent.appendChild(keyLabel);
     }
+
+    return dynamicLegendHeight;
+  }
+
+  // Sheets are half-open intervals so a depth on a sheet break is drawn once;
+  // the last sheet also includes its bottom depth
+  isOnSheet(depth, range) {
+    return depth >= range.top && (depth < range.bottom || (range.last && depth <= range.bottom));
   }
 
   getPatternId(uscs) {
@@ -1321,11 +3699,11 @@ class BoringLog {
     const primary = upperUSCS.split('-')[0];
 
     // Check for exact match first
-    if (this.knownPatterns && this.knownPatterns.has(upperUSCS)) {
+    if (LogPatterns.get(upperUSCS)) {
       return `pattern-${upperUSCS}`;
     }
     // Check for primary code (first part of dual classification)
-    if (this.knownPatterns && this.knownPatterns.has(primary)) {
+    if (LogPatterns.get(primary)) {
       return `pattern-${primary}`;
     }
     // Fall back to default pattern for unknown codes
@@ -1333,10 +3711,10 @@ class BoringLog {
   }
 
   createText(content, x, y, options = {}) {
-    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    const text = this.createSvgElement('text');
     text.setAttribute('x', x);
     text.setAttribute('y', y);
-    text.setAttribute('fill', options.fill || this.config.colors.text);
+    text.setAttribute('fill', options.fill || this.getColors().text);
     text.setAttribute('font-size', options.fontSize || '12px');
     if (options.fontWeight) text.setAttribute('font-weight', options.fontWeight);
     if (options.textAnchor) text.setAttribute('text-anchor', options.textAnchor);
@@ -1344,43 +3722,127 @@ class BoringLog {
     return text;
   }
 
-  renderWrappedText(parent, text, x, y, maxWidth, maxHeight) {
-    const words = text.split(' ');
-    const lineHeight = 12;
-    let line = '';
-    let lineY = y;
-
-    // Create temporary text element to measure
-    const tempText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    tempText.setAttribute('font-size', '10px');
-    parent.appendChild(tempText);
+  /**
+   * Estimate the rendered width of Arial text from per-character widths.
+   * Deterministic, so browser and headless renders wrap identically.
+   */
+  measureText(text, fontSize = 10) {
+    const em = [...String(text)].reduce((sum, char) => {
+      const group = BoringLog.charWidths.find(g => g.chars.includes(char));
+      if (group) return sum + group.width;
+      if (char >= 'A' && char <= 'Z') return sum + 0.67;
+      return sum + 0.54;
+    }, 0);
+    return em * fontSize;
+  }
 
-    for (const word of words) {
+  // Split text into lines no wider than maxWidth
+  wrapText(text, maxWidth, fontSize = 10) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(' ')) {
       const testLine = line + (line ? ' ' : '') + word;
-      tempText.textContent = testLine;
-      const width = tempText.getComputedTextLength ? tempText.getComputedTextLength() : testLine.length * 5;
-
-      if (width > maxWidth && line) {
-        if (lineY - y + lineHeight > maxHeight) break;
-
-        const textEl = this.createText(line, x, lineY, { fontSize: '10px' });
-        parent.appendChild(textEl);
+      if (this.measureText(testLine, fontSize) > maxWidth && line) {
+        lines.push(line);
         line = word;
-        lineY += lineHeight;
       } else {
         line = testLine;
       }
     }
+    if (line) lines.push(line);
+    return lines;
+  }
 
-    if (line && lineY - y + lineHeight <= maxHeight) {
-      const textEl = this.createText(line, x, lineY, { fontSize: '10px' });
-      parent.appendChild(textEl);
-    }
-
-    parent.removeChild(tempText);
+  // Word-wrapped 10px text; returns the number of lines drawn
+  renderWrappedText(parent, text, x, y, maxWidth, maxHeight) {
+    const lineHeight = 12;
+    const lines = this.wrapText(text, maxWidth).filter((line, index) => (index + 1) * lineHeight <= maxHeight);
+    lines.forEach((line, index) => {
+      parent.appendChild(this.createText(line, x, y + index * lineHeight, { fontSize: '10px' }));
+    });
+    return lines.length;
   }
 }
 
+// Graph column axes, also used in place of configured axes that cannot be drawn
+BoringLog.defaultAxes = {
+  nGraph: { min: 0, max: 50, step: 10 },
+  atterberg: { min: 0, max: 100, step: 20 },
+  rqdGraph: { min: 0, max: 100, step: 25 },
+  custom: { min: 0, max: 100, step: 25 }
+};
+
+// Most gridlines/tick labels a graph axis may have
+BoringLog.maxAxisTicks = 100;
+
+// Defaults for custom layout columns (graph columns default to a 0-100 axis)
+BoringLog.customColumnDefaults = {
+  width: 60,
+  renderer: 'text' // text, number or graph
+};
+
+// Collections whose item fields custom layout columns can show ("layers[].color")
+BoringLog.customColumnCollections = ['layers', 'samples'];
+
+// Well components with their own element groups; each owns the well.* fields
+// starting with its name (well.screen -> screenTop, screenBottom, screenSlotSize)
+BoringLog.wellParts = ['seal', 'filter', 'screen', 'casing', 'surface', 'protective', 'pad', 'sump', 'centralizers'];
+
+// Annular fill materials (well.annularFills): palette colour and hatch primitive for each.
+// Free-text materials take the first entry with a matching keyword, else backfill.
+BoringLog.annularFillMaterials = {
+  grout: { label: 'Grout', keywords: ['grout'], color: 'wellSeal', pattern: 'clay' },
+  bentonite: { label: 'Bentonite chips', keywords: ['chip', 'pellet', 'bentonite'], color: 'wellSeal', pattern: 'fill' },
+  cement: { label: 'Cement', keywords: ['cement', 'concrete'], color: 'wellCement', pattern: 'till' },
+  filter: { label: 'Filter pack', keywords: ['sand', 'filter'], color: 'wellFilter', pattern: 'sand' },
+  backfill: { label: 'Backfill', keywords: ['backfill', 'native', 'cuttings'], color: 'wellBackfill', pattern: null }
+};
+
+// Sample types by upper-case code: legend label, marker symbol (one of
+// BoringLog.sampleSymbols, or a drawing function) and fill, a palette key or colour.
+// `aliases` are other codes for the type; `drive` is the nominal drive length per recovery
+// unit, for shading samples logged at a single depth. Add types here, per log with
+// config.sampleTypes, or in the data file's sampleTypes.
+BoringLog.sampleTypes = {
+  SPT: { label: 'Split spoon (SPT)', symbol: 'split-spoon', color: 'sampleSpt', aliases: ['SS'], drive: { in: 18, mm: 450 } },
+  SHELBY: { label: 'Shelby tube', symbol: 'tube', color: 'sample', aliases: ['ST', 'UD'], drive: { in: 24, mm: 600 } },
+  CORE: { label: 'Core barrel', symbol: 'core', color: 'sample' },
+  LINER: { label: 'Direct-push liner', symbol: 'liner', color: 'sample', aliases: ['DP'], drive: { in: 60, mm: 1500 } },
+  GRAB: { label: 'Grab sample', symbol: 'bag', color: 'sample' },
+  BULK: { label: 'Bulk sample', symbol: 'bag', color: 'sample', aliases: ['BAG'] },
+  AUGER: { label: 'Auger cuttings', symbol: 'auger', color: 'sample' },
+  NR: { label: 'No recovery', symbol: 'none', color: 'sample' },
+  OTHER: { label: 'Other sample', symbol: 'box', color: 'sample' }
+};
+
+// SPT hammer types (boring.hammerType) with a typical energy ratio (percent), used for
+// N60 when boring.energyRatio is not measured
+BoringLog.hammerTypes = {
+  automatic: { label: 'Automatic', energyRatio: 80 },
+  safety: { label: 'Safety', energyRatio: 60 },
+  donut: { label: 'Donut', energyRatio: 45 }
+};
+
+// Built-in sample marker symbols (see renderSampleSymbol)
+BoringLog.sampleSymbols = ['split-spoon', 'tube', 'core', 'liner', 'bag', 'auger', 'none', 'box'];
+
+// Ways to fit descriptions too long for their layer (config.descriptionOverflow)
+BoringLog.descriptionOverflowModes = ['footnote', 'shrink', 'expand'];
+
+// Approximate Arial advance widths (in ems) for characters that differ
+// from the 0.54 em lowercase / 0.67 em uppercase defaults
+BoringLog.charWidths = [
+  { chars: "il.,:;!|'", width: 0.24 },
+  { chars: 'fjtI()[]/ -', width: 0.31 },
+  { chars: 'r"', width: 0.35 },
+  { chars: 'ckszJ', width: 0.5 },
+  { chars: '0123456789$#_', width: 0.56 },
+  { chars: '%&ABEKPSVXY', width: 0.67 },
+  { chars: 'CDHNRUw', width: 0.72 },
+  { chars: 'GOQm', width: 0.8 },
+  { chars: 'MW', width: 0.87 }
+];
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = BoringLog;
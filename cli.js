@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+/**
+ * Boring Log Batch Generator
+ * Renders CSV/JSON boring data to SVG (and optionally PNG) files from the command line
+ *
+ * Usage: node cli.js [options] <file|folder|glob>...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const BoringLog = require('./boring-log.js');
+const { parseBoringLogCSV } = require('./csv-parser.js');
+const TitleBlocks = require('./title-blocks.js');
+const PdfExport = require('./pdf-export.js');
+const Themes = require('./themes.js');
+const Units = require('./units.js');
+
+const USAGE = `Usage: node cli.js [options] <file|folder|glob>...
+
+Renders each boring in the given CSV/JSON files to SVG.
+
+Options:
+  -o, --outdir <dir>       Output directory (default: next to each input file)
+  -s, --depth-scale <px>   Pixels per depth unit (default: 20 px/ft, 60 px/m)
+      --sheet-depth <d>    Split logs into sheets of this depth
+      --units <system>     Convert CSV values to imperial or metric
+      --layout <file>      Column layout profile (JSON)
+      --sample-types <f>   Extra sample types file (JSON, keyed by code)
+      --title-block <name> Title block template name, or a template JSON file
+      --theme <name>       Theme: color, grayscale, monochrome, high-contrast (default: color)
+      --overflow <mode>    Long descriptions: footnote, shrink, expand (default: footnote)
+      --no-legend          Omit the legend
+      --n-graph            Add the plotted N-value graph column
+      --n60                Show energy-corrected N60 in the SPT column and N-value graph
+      --n160               Show overburden-corrected (N1)60 in the SPT column
+      --spt-table          Also write a CSV of SPT results (N, N60, (N1)60) per boring
+      --png                Also write PNG files (requires @resvg/resvg-js)
+      --pdf                Also write a PDF per boring, one page per sheet
+      --paper <size>       PDF paper size: letter, legal, tabloid, a4, a3 (default: letter)
+      --orientation <o>    PDF pages: auto, portrait, landscape (default: auto)
+  -h, --help               Show this help
+`;
+
+const INPUT_EXTENSIONS = ['.csv', '.json'];
+
+// Expand a folder, file or simple glob (* and ? in the file name) to input files
+function expandInput(input) {
+  if (fs.existsSync(input)) {
+    if (!fs.statSync(input).isDirectory()) return [input];
+    return fs.readdirSync(input)
+      .filter(name => INPUT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .sort()
+      .map(name => path.join(input, name));
+  }
+
+  const dir = path.dirname(input);
+  const base = path.basename(input);
+  if (!/[*?]/.test(base) || !fs.existsSync(dir)) return [];
+
+  const pattern = new RegExp('^' + base
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.') + '$');
+  return fs.readdirSync(dir)
+    .filter(name => pattern.test(name))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+// Read a file into one or more boring data objects
+function loadBorings(file, options) {
+  const content = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+
+  if (ext === '.csv') {
+    const csvOptions = { boringId: path.basename(file, ext) };
+    if (options.units) csvOptions.units = options.units;
+    return [parseBoringLogCSV(content, csvOptions)];
+  }
+  if (ext === '.json') {
+    // A JSON file holds one boring or an array of them
+    const parsed = JSON.parse(content);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+  throw new Error(`Unsupported file type "${ext}" (expected .csv or .json)`);
+}
+
+// Structural checks the renderer depends on; returns a list of problems
+function validateBoring(data) {
+  if (!data || typeof data !== 'object' || !data.boring) {
+    return ['Missing "boring" section'];
+  }
+
+  const problems = [];
+  const { totalDepth } = data.boring;
+  if (totalDepth !== undefined && !(totalDepth > 0)) {
+    problems.push('boring.totalDepth must be greater than 0');
+  }
+
+  if (!Array.isArray(data.layers) || data.layers.length === 0) {
+    problems.push('At least one layer is required');
+  } else {
+    data.layers.forEach((layer, i) => {
+      if (typeof layer.depthTop !== 'number' || typeof layer.depthBottom !== 'number') {
+        problems.push(`layers[${i}]: depthTop and depthBottom must be numbers`);
+      } else if (layer.depthBottom <= layer.depthTop) {
+        problems.push(`layers[${i}]: depthBottom must be greater than depthTop`);
+      }
+      if (!layer.uscs) {
+        problems.push(`layers[${i}]: uscs is required`);
+      }
+    });
+  }
+
+  if (data.samples !== undefined && !Array.isArray(data.samples)) {
+    problems.push('"samples" must be an array');
+  }
+
+  if (data.sampleTypes !== undefined) {
+    problems.push(...BoringLog.getSampleTypeErrors(data.sampleTypes));
+  }
+
+  return problems;
+}
+
+// File-system safe name for a boring's output files
+function outputName(file, data, count) {
+  const base = path.basename(file, path.extname(file));
+  if (count === 1) return base;
+  const id = String(data.boring.id || '').replace(/[^\w.-]+/g, '_');
+  return id ? `${base}-${id}` : base;
+}
+
+function loadPngRenderer() {
+  try {
+    return require('@resvg/resvg-js').Resvg;
+  } catch (err) {
+    return null;
+  }
+}
+
+// SPT results as CSV rows, one per sample with blow counts or refusal
+function sptTableCsv(log) {
+  const { stress } = log.getUnits();
+  const columns = [
+    ['sample_id', 'id'], ['depth_top', 'depthTop'], ['depth_bottom', 'depthBottom'], ['blows', 'blows'],
+    ['n', 'n'], ['n_reported', 'nReported'], ['refusal', 'refusal'], ['energy_ratio', 'energyRatio'],
+    ['n60', 'n60'], [`effective_stress_${stress.toLowerCase()}`, 'effectiveStress'], ['cn', 'cn'], ['n1_60', 'n160']
+  ];
+  const cell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = log.getSptResults().map(result => columns.map(([, key]) => cell(result[key])).join(','));
+  return [columns.map(([header]) => header).join(','), ...rows].join('\n') + '\n';
+}
+
+function writeBoring(data, name, outdir, renderOptions, Resvg, pdfOptions, sptTable = false) {
+  const log = new BoringLog(null, { ...renderOptions, headless: true });
+  log.setData(data);
+  const sheets = log.toSVGStrings();
+  const written = [];
+
+  sheets.forEach((svg, index) => {
+    const sheetName = sheets.length > 1 ? `${name}-sheet-${index + 1}` : name;
+    const svgPath = path.join(outdir, `${sheetName}.svg`);
+    fs.writeFileSync(svgPath, svg);
+    written.push(svgPath);
+
+    if (Resvg) {
+      // 2x scale, matching the browser PNG export
+      const png = new Resvg(svg, { fitTo: { mode: 'zoom', value: 2 }, background: 'white' }).render().asPng();
+      const pngPath = path.join(outdir, `${sheetName}.png`);
+      fs.writeFileSync(pngPath, png);
+      written.push(pngPath);
+    }
+  });
+
+  if (pdfOptions) {
+    const pdfPath = path.join(outdir, `${name}.pdf`);
+    fs.writeFileSync(pdfPath, PdfExport.create(log.getSheets(), { ...pdfOptions, title: `Boring Log ${data.boring.id || name}` }));
+    written.push(pdfPath);
+  }
+
+  if (sptTable) {
+    const sptPath = path.join(outdir, `${name}-spt.csv`);
+    fs.writeFileSync(sptPath, sptTableCsv(log));
+    written.push(sptPath);
+  }
+
+  return written;
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        outdir: { type: 'string', short: 'o' },
+        'depth-scale': { type: 'string', short: 's' },
+        'sheet-depth': { type: 'string' },
+        units: { type: 'string' },
+        layout: { type: 'string' },
+        'sample-types': { type: 'string' },
+        'title-block': { type: 'string' },
+        theme: { type: 'string' },
+        overflow: { type: 'string' },
+        'no-legend': { type: 'boolean', default: false },
+        'n-graph': { type: 'boolean', default: false },
+        n60: { type: 'boolean', default: false },
+        n160: { type: 'boolean', default: false },
+        'spt-table': { type: 'boolean', default: false },
+        png: { type: 'boolean', default: false },
+        pdf: { type: 'boolean', default: false },
+        paper: { type: 'string' },
+        orientation: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help || positionals.length === 0) {
+    (values.help ? console.log : console.error)(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const renderOptions = { showLegend: !values['no-legend'] };
+  if (values['n-graph']) renderOptions.showNValueGraph = true;
+  if (values.n60) renderOptions.showN60 = true;
+  if (values.n160) renderOptions.showN160 = true;
+  for (const [flag, key] of [['depth-scale', 'depthScale'], ['sheet-depth', 'sheetDepth']]) {
+    if (values[flag] === undefined) continue;
+    const number = parseFloat(values[flag]);
+    if (!(number > 0)) {
+      console.error(`--${flag} must be a positive number`);
+      return 2;
+    }
+    renderOptions[key] = number;
+  }
+
+  // Sheets are at least one depth tick deep; the finest tick of any unit system is the floor
+  const minSheetDepth = Math.min(...Object.values(Units.systems).map(system => system.tickIntervals[0].interval));
+  if (renderOptions.sheetDepth < minSheetDepth) {
+    console.error(`--sheet-depth must be at least ${minSheetDepth}`);
+    return 2;
+  }
+
+  if (values.layout) {
+    try {
+      renderOptions.columnLayout = JSON.parse(fs.readFileSync(values.layout, 'utf8'));
+    } catch (err) {
+      console.error(`Could not read column layout ${values.layout}: ${err.message}`);
+      return 2;
+    }
+    const layoutErrors = BoringLog.getColumnLayoutErrors(renderOptions.columnLayout);
+    if (layoutErrors.length > 0) {
+      console.error(`Invalid column layout ${values.layout}: ${layoutErrors.join('; ')}`);
+      return 2;
+    }
+  }
+
+  const sampleTypes = values['sample-types'];
+  if (sampleTypes) {
+    try {
+      renderOptions.sampleTypes = JSON.parse(fs.readFileSync(sampleTypes, 'utf8'));
+    } catch (err) {
+      console.error(`Could not read sample types ${sampleTypes}: ${err.message}`);
+      return 2;
+    }
+    const typeErrors = BoringLog.getSampleTypeErrors(renderOptions.sampleTypes);
+    if (typeErrors.length > 0) {
+      console.error(`Invalid sample types ${sampleTypes}: ${typeErrors.join('; ')}`);
+      return 2;
+    }
+  }
+
+  const titleBlock = values['title-block'];
+  if (titleBlock) {
+    if (path.extname(titleBlock).toLowerCase() === '.json') {
+      try {
+        renderOptions.titleBlock = JSON.parse(fs.readFileSync(titleBlock, 'utf8'));
+      } catch (err) {
+        console.error(`Could not read title block ${titleBlock}: ${err.message}`);
+        return 2;
+      }
+    } else if (!TitleBlocks.templates[titleBlock]) {
+      console.error(`Unknown title block "${titleBlock}" (available: ${Object.keys(TitleBlocks.templates).join(', ')})`);
+      return 2;
+    } else {
+      renderOptions.titleBlock = titleBlock;
+    }
+  }
+
+  let Resvg = null;
+  if (values.png) {
+    Resvg = loadPngRenderer();
+    if (!Resvg) {
+      console.error('PNG output requires the @resvg/resvg-js package (npm install @resvg/resvg-js)');
+      return 2;
+    }
+  }
+
+  if (values.theme) {
+    if (!Themes.themes[values.theme]) {
+      console.error(`Unknown theme "${values.theme}" (available: ${Object.keys(Themes.themes).join(', ')})`);
+      return 2;
+    }
+    renderOptions.theme = values.theme;
+  }
+
+  if (values.units && !Units.findSystem(values.units)) {
+    console.error(`Unknown unit system "${values.units}" (available: ${Object.keys(Units.systems).join(', ')})`);
+    return 2;
+  }
+
+  if (values.overflow) {
+    if (!BoringLog.descriptionOverflowModes.includes(values.overflow)) {
+      console.error(`Unknown overflow mode "${values.overflow}" (available: ${BoringLog.descriptionOverflowModes.join(', ')})`);
+      return 2;
+    }
+    renderOptions.descriptionOverflow = values.overflow;
+  }
+
+  let pdfOptions = null;
+  if (values.pdf) {
+    pdfOptions = { paper: (values.paper || PdfExport.defaults.paper).toLowerCase() };
+    if (!PdfExport.paperSizes[pdfOptions.paper]) {
+      console.error(`Unknown paper size "${values.paper}" (available: ${Object.keys(PdfExport.paperSizes).join(', ')})`);
+      return 2;
+    }
+    pdfOptions.orientation = (values.orientation || PdfExport.defaults.orientation).toLowerCase();
+    if (!PdfExport.orientations[pdfOptions.orientation]) {
+      console.error(`Unknown orientation "${values.orientation}" (available: ${Object.keys(PdfExport.orientations).join(', ')})`);
+      return 2;
+    }
+  }
+
+  if (values.outdir) {
+    fs.mkdirSync(values.outdir, { recursive: true });
+  }
+
+  const failures = [];
+  let rendered = 0;
+
+  // Each input pattern must match something; unmatched patterns are failures
+  const files = [];
+  positionals.forEach(input => {
+    const matches = expandInput(input);
+    if (matches.length === 0) {
+      failures.push({ file: input, errors: ['No CSV or JSON files found'] });
+    }
+    matches.forEach(file => { if (!files.includes(file)) files.push(file); });
+  });
+
+  files.forEach(file => {
+    let borings;
+    try {
+      borings = loadBorings(file, values);
+    } catch (err) {
+      failures.push({ file, errors: [`Parse error: ${err.message}`] });
+      return;
+    }
+
+    borings.forEach((data, i) => {
+      const label = borings.length > 1 ? `${file} [${i}]` : file;
+      const problems = validateBoring(data);
+      if (problems.length > 0) {
+        failures.push({ file: label, errors: problems });
+        return;
+      }
+
+      try {
+        const outdir = values.outdir || path.dirname(file);
+        const written = writeBoring(data, outputName(file, data, borings.length), outdir, renderOptions, Resvg, pdfOptions, values['spt-table']);
+        written.forEach(out => console.log(`${label} -> ${out}`));
+        rendered++;
+      } catch (err) {
+        failures.push({ file: label, errors: [`Render error: ${err.message}`] });
+      }
+    });
+  });
+
+  // Per-file error report
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} file(s) failed:`);
+    failures.forEach(({ file, errors }) => {
+      console.error(`  ${file}`);
+      errors.forEach(error => console.error(`    - ${error}`));
+    });
+  }
+  console.log(`\nRendered ${rendered} boring log(s)`);
+
+  return failures.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, expandInput, loadBorings, validateBoring };
@@ -3,8 +3,54 @@
  * Converts CSV spreadsheet data into the boring log JSON schema
  */
 
+// Unit helpers are a global in the browser (units.js); require them under Node
+const CsvUnits = typeof Units !== 'undefined' ? Units : require('./units.js');
+// Nonplastic limits are recognized by the USCS classifier (uscs-classifier.js)
+const CsvUscs = typeof UscsClassifier !== 'undefined' ? UscsClassifier : require('./uscs-classifier.js');
+
+// Measured columns and the quantity (see Units.systems) their values are in
+const MEASURED_COLUMNS = {
+  depth_top: 'depth',
+  depth_bottom: 'depth',
+  sample_depth: 'depth',
+  sample_depth_top: 'depth',
+  sample_depth_bottom: 'depth',
+  groundwater_depth: 'depth',
+  elevation: 'depth',
+  well_screen_top: 'depth',
+  well_screen_bottom: 'depth',
+  well_seal_top: 'depth',
+  well_seal_bottom: 'depth',
+  well_stickup: 'depth',
+  well_casing_top_elevation: 'depth',
+  well_sump_length: 'depth',
+  centralizer_depth: 'depth',
+  fill_top: 'depth',
+  fill_bottom: 'depth',
+  casing_screen_top: 'depth',
+  casing_screen_bottom: 'depth',
+  casing_sump_length: 'depth',
+  casing_diameter: 'diameter',
+  casing_screen_slot_size: 'diameter',
+  core_top: 'depth',
+  core_bottom: 'depth',
+  remark_depth: 'depth',
+  well_casing_diameter: 'diameter',
+  well_screen_slot_size: 'diameter',
+  recovery: 'recovery',
+  hammer_weight: 'hammerWeight',
+  hammer_drop: 'hammerDrop',
+  unit_weight: 'unitWeight'
+};
+
 /**
  * Parse CSV content into boring log data structure
+ *
+ * Measured columns are read in the file's unit system (a `units` column of
+ * "imperial"/"metric" or "ft"/"m", default imperial) unless the column name
+ * carries its own unit, e.g. "depth_top_m" or "Recovery (mm)". Values are
+ * converted to `options.units`, which defaults to the file's unit system.
+ *
  * @param {string} csvContent - Raw CSV text
  * @param {object} options - Parser options
  * @returns {object} Boring log data object
@@ -26,15 +72,22 @@ function parseBoringLogCSV(csvContent, options = {}) {
     throw new Error('CSV must have a header row and at least one data row');
   }
 
-  // Extract header and normalize column names
-  const header = rows[0].map(col => normalizeColumnName(col));
+  // Extract header and normalize column names, splitting off unit suffixes
+  const columnUnits = {};
+  const header = rows[0].map(col => {
+    const { name, unit } = splitColumnUnit(normalizeColumnName(col));
+    if (unit) columnUnits[name] = unit;
+    return name;
+  });
   const dataRows = rows.slice(1).filter(row => row.some(cell => cell.trim()));
 
   // Build the data structure
   const layers = [];
   const samples = [];
+  const coreRuns = [];
+  const remarks = [];
   let maxDepth = 0;
-  let groundwaterDepth = null;
+  const groundwaterObservations = [];
   let groundwaterNote = null;
 
   // Track metadata from CSV if present
@@ -55,11 +108,33 @@ function parseBoringLogCSV(csvContent, options = {}) {
   let metaDrillingMethod = null;
   let metaDateStart = null;
   let metaDateComplete = null;
+  let metaGeneralRemarks = null;
+
+  // SPT hammer
+  const hammerFields = {
+    hammer_type: 'hammerType',
+    hammer_weight: 'hammerWeight',
+    hammer_drop: 'hammerDrop',
+    energy_ratio: 'energyRatio'
+  };
+  const metaHammer = {};
+
+  // Title block fields
+  const titleFields = {
+    project_number: 'projectNumber',
+    station: 'station',
+    offset: 'offset',
+    checked_by: 'checkedBy',
+    approved_by: 'approvedBy',
+    disclaimer: 'disclaimer'
+  };
+  const metaTitle = {};
 
   // Consultant info
   let consultantCompany = null;
   let consultantContact = null;
   let consultantPhone = null;
+  let consultantAddress = null;
 
   // Driller info (can be string or object)
   let drillerCompany = null;
@@ -78,6 +153,20 @@ function parseBoringLogCSV(csvContent, options = {}) {
   let wellSealBottom = null;
   let wellSealMaterial = null;
 
+  // Surface completion and other well fields, by column (numeric columns are measured)
+  const wellFields = {
+    well_completion: 'surfaceCompletion',
+    well_stickup: 'surfaceStickup',
+    well_casing_top_elevation: 'casingTopElevation',
+    well_protective_casing: 'protectiveCasing',
+    well_pad: 'pad',
+    well_sump_length: 'sumpLength'
+  };
+  const metaWell = {};
+  const centralizers = [];
+  const annularFills = [];
+  const casings = [];
+
   // Column index mapping
   const colIndex = {};
   header.forEach((col, i) => {
@@ -90,12 +179,48 @@ function parseBoringLogCSV(csvContent, options = {}) {
     return idx !== undefined ? (row[idx] || '').trim() : '';
   };
 
+  // Source unit system from the first `units` cell; target defaults to the same
+  const unitsRow = dataRows.find(row => getCell(row, 'units'));
+  const sourceUnits = CsvUnits.getSystem(unitsRow ? getCell(unitsRow, 'units') : config.units);
+  const targetUnits = CsvUnits.getSystem(config.units || sourceUnits.name);
+
   const getNumericCell = (row, colName) => {
     const val = getCell(row, colName);
     const num = parseFloat(val);
+    if (isNaN(num)) return null;
+
+    // Convert measured columns into the target unit system
+    const quantity = MEASURED_COLUMNS[colName];
+    if (!quantity) return num;
+    const fromUnit = columnUnits[colName] || sourceUnits[quantity];
+    return CsvUnits.convert(num, fromUnit, targetUnits[quantity]);
+  };
+
+  // SPT increment: a count, or blows/penetration ("50/3") with the penetration converted like recovery
+  const getBlowCell = (row, colName) => {
+    const val = getCell(row, colName);
+    const match = /^(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*(?:"|in|mm)?$/i.exec(val);
+    if (match) {
+      const penetration = CsvUnits.convertLength(parseFloat(match[2]), sourceUnits.recovery, targetUnits.recovery);
+      return `${match[1]}/${penetration}`;
+    }
+    const num = parseFloat(val);
     return isNaN(num) ? null : num;
   };
 
+  // Natural moisture content (wc), liquid/plastic limits (ll, pl) and gravel/sand/fines
+  // in percent, plus the gradation coefficients cu and cc
+  const getLabIndexValues = (row) => {
+    const values = {};
+    ['wc', 'll', 'pl', 'gravel', 'sand', 'fines', 'cu', 'cc'].forEach(key => {
+      const value = getNumericCell(row, key);
+      if (value !== null) values[key] = value;
+    });
+    // Nonplastic fines are reported with a plastic limit of NP
+    if (CsvUscs.isNonplastic(getCell(row, 'pl'))) values.pl = 'NP';
+    return values;
+  };
+
   // Process each row
   for (const row of dataRows) {
     // === Boring metadata ===
@@ -149,6 +274,18 @@ function parseBoringLogCSV(csvContent, options = {}) {
     if (colIndex['date_complete'] !== undefined && getCell(row, 'date_complete')) {
       metaDateComplete = getCell(row, 'date_complete');
     }
+    if (colIndex['general_remarks'] !== undefined && getCell(row, 'general_remarks')) {
+      metaGeneralRemarks = getCell(row, 'general_remarks');
+    }
+    for (const [column, field] of Object.entries(hammerFields)) {
+      if (colIndex[column] === undefined || !getCell(row, column)) continue;
+      metaHammer[field] = column === 'hammer_type' ? getCell(row, column).toLowerCase() : getNumericCell(row, column);
+    }
+    for (const [column, field] of Object.entries(titleFields)) {
+      if (colIndex[column] !== undefined && getCell(row, column)) {
+        metaTitle[field] = getCell(row, column);
+      }
+    }
 
     // === Consultant info ===
     if (colIndex['consultant_company'] !== undefined && getCell(row, 'consultant_company')) {
@@ -160,6 +297,9 @@ function parseBoringLogCSV(csvContent, options = {}) {
     if (colIndex['consultant_phone'] !== undefined && getCell(row, 'consultant_phone')) {
       consultantPhone = getCell(row, 'consultant_phone');
     }
+    if (colIndex['consultant_address'] !== undefined && getCell(row, 'consultant_address')) {
+      consultantAddress = getCell(row, 'consultant_address');
+    }
 
     // === Driller info ===
     // Support both old format (driller) and new format (driller_company, driller_name, driller_license)
@@ -177,9 +317,22 @@ function parseBoringLogCSV(csvContent, options = {}) {
     }
 
     // === Groundwater ===
+    // Each row with a depth is one observation (type, date and time optional)
     if (colIndex['groundwater_depth'] !== undefined) {
       const gwDepth = getNumericCell(row, 'groundwater_depth');
-      if (gwDepth !== null) groundwaterDepth = gwDepth;
+      if (gwDepth !== null) {
+        const observation = { depth: gwDepth };
+        const gwType = getCell(row, 'groundwater_type').toLowerCase();
+        const gwDate = getCell(row, 'groundwater_date');
+        const gwTime = getCell(row, 'groundwater_time');
+        if (gwType) observation.type = gwType;
+        if (gwDate) observation.date = gwDate;
+        if (gwTime) observation.time = gwTime;
+
+        // Skip observations repeated on every row
+        const isDuplicate = groundwaterObservations.some(o => JSON.stringify(o) === JSON.stringify(observation));
+        if (!isDuplicate) groundwaterObservations.push(observation);
+      }
     }
     if (colIndex['groundwater_note'] !== undefined) {
       const gwNote = getCell(row, 'groundwater_note');
@@ -223,6 +376,51 @@ function parseBoringLogCSV(csvContent, options = {}) {
     if (colIndex['well_seal_material'] !== undefined && getCell(row, 'well_seal_material')) {
       wellSealMaterial = getCell(row, 'well_seal_material');
     }
+    for (const [column, field] of Object.entries(wellFields)) {
+      if (colIndex[column] === undefined || !getCell(row, column)) continue;
+      const value = MEASURED_COLUMNS[column] ? getNumericCell(row, column) : getCell(row, column);
+      if (value !== null) metaWell[field] = value;
+    }
+    if (metaWell.surfaceCompletion) metaWell.surfaceCompletion = metaWell.surfaceCompletion.toLowerCase();
+    const centralizerDepth = getNumericCell(row, 'centralizer_depth');
+    if (centralizerDepth !== null && !centralizers.includes(centralizerDepth)) {
+      centralizers.push(centralizerDepth);
+    }
+
+    // Nested casings: rows naming a casing set its fields and add its screened intervals
+    const casingLabel = getCell(row, 'casing');
+    if (casingLabel) {
+      let casing = casings.find(c => c.label === casingLabel);
+      if (!casing) {
+        casing = { label: casingLabel, screens: [] };
+        casings.push(casing);
+      }
+      const casingDiameter = getNumericCell(row, 'casing_diameter');
+      const casingMaterial = getCell(row, 'casing_material');
+      const casingSumpLength = getNumericCell(row, 'casing_sump_length');
+      if (casingDiameter !== null) casing.diameter = casingDiameter;
+      if (casingMaterial) casing.material = casingMaterial;
+      if (casingSumpLength !== null) casing.sumpLength = casingSumpLength;
+
+      const screenTop = getNumericCell(row, 'casing_screen_top');
+      const screenBottom = getNumericCell(row, 'casing_screen_bottom');
+      if (screenTop !== null && screenBottom !== null &&
+          !casing.screens.some(sc => sc.depthTop === screenTop && sc.depthBottom === screenBottom)) {
+        const screen = { depthTop: screenTop, depthBottom: screenBottom };
+        const slotSize = getNumericCell(row, 'casing_screen_slot_size');
+        if (slotSize !== null) screen.slotSize = slotSize;
+        casing.screens.push(screen);
+      }
+    }
+
+    // Annular fill intervals, one per row
+    const fillTop = getNumericCell(row, 'fill_top');
+    const fillBottom = getNumericCell(row, 'fill_bottom');
+    if (fillTop !== null && fillBottom !== null) {
+      const fill = { depthTop: fillTop, depthBottom: fillBottom, material: getCell(row, 'fill_material') };
+      const isDuplicate = annularFills.some(f => JSON.stringify(f) === JSON.stringify(fill));
+      if (!isDuplicate) annularFills.push(fill);
+    }
 
     // === Layer data ===
     const depthTop = getNumericCell(row, 'depth_top');
@@ -259,6 +457,23 @@ function parseBoringLogCSV(csvContent, options = {}) {
           layer.pid = pid;
         }
 
+        // Contact with the layer above (sharp, gradational, inferred, irregular, unconformable)
+        const contactType = getCell(row, 'contact_type');
+        if (contactType) {
+          layer.contactType = contactType.toLowerCase();
+        }
+
+        // Total unit weight, for overburden stress
+        const unitWeight = getNumericCell(row, 'unit_weight');
+        if (unitWeight !== null) {
+          layer.unitWeight = unitWeight;
+        }
+
+        // Moisture content and Atterberg limits on rows without a sample
+        if (!getCell(row, 'sample_id')) {
+          Object.assign(layer, getLabIndexValues(row));
+        }
+
         layers.push(layer);
         maxDepth = Math.max(maxDepth, depthBottom);
       }
@@ -290,13 +505,19 @@ function parseBoringLogCSV(csvContent, options = {}) {
         sample.depth = sampleDepth;
       }
 
-      // SPT blows
-      const blow1 = getNumericCell(row, 'blow1');
-      const blow2 = getNumericCell(row, 'blow2');
-      const blow3 = getNumericCell(row, 'blow3');
-
-      if (blow1 !== null && blow2 !== null && blow3 !== null) {
-        sample.blows = [blow1, blow2, blow3];
+      // SPT blows: three or four increments, ending early where the drive stopped ("50/3")
+      const blows = [];
+      for (const column of ['blow1', 'blow2', 'blow3', 'blow4']) {
+        const blow = getBlowCell(row, column);
+        if (blow === null) break;
+        blows.push(blow);
+        if (typeof blow === 'string') break;
+      }
+      if (blows.length >= 3 || typeof blows[blows.length - 1] === 'string') {
+        sample.blows = blows;
+      }
+      if (/^(y|yes|true|1|x|ref)$/i.test(getCell(row, 'refusal'))) {
+        sample.refusal = true;
       }
 
       // Recovery
@@ -305,6 +526,9 @@ function parseBoringLogCSV(csvContent, options = {}) {
         sample.recovery = recovery;
       }
 
+      // Moisture content and Atterberg limits belong to the sample when the row has one
+      Object.assign(sample, getLabIndexValues(row));
+
       // Check for duplicate sample (by ID)
       const existingSample = samples.find(s => s.id === sampleId);
       if (!existingSample) {
@@ -315,11 +539,55 @@ function parseBoringLogCSV(csvContent, options = {}) {
       const effectiveDepth = sample.depthBottom || sample.depth;
       maxDepth = Math.max(maxDepth, effectiveDepth);
     }
+
+    // === Core run data ===
+    const coreTop = getNumericCell(row, 'core_top');
+    const coreBottom = getNumericCell(row, 'core_bottom');
+
+    if (coreTop !== null && coreBottom !== null) {
+      const existingRun = coreRuns.find(r => r.depthTop === coreTop && r.depthBottom === coreBottom);
+      if (!existingRun) {
+        const run = {
+          id: getCell(row, 'core_run') || `R-${coreRuns.length + 1}`,
+          depthTop: coreTop,
+          depthBottom: coreBottom
+        };
+
+        // Recovery and RQD in percent, fracture count
+        const coreRecovery = getNumericCell(row, 'core_recovery');
+        const coreRqd = getNumericCell(row, 'core_rqd');
+        const coreFractures = getNumericCell(row, 'core_fractures');
+        if (coreRecovery !== null) run.recovery = coreRecovery;
+        if (coreRqd !== null) run.rqd = coreRqd;
+        if (coreFractures !== null) run.fractures = coreFractures;
+
+        const weathering = getCell(row, 'core_weathering');
+        const hardness = getCell(row, 'core_hardness');
+        if (weathering) run.weathering = weathering.toLowerCase();
+        if (hardness) run.hardness = hardness.toLowerCase();
+
+        coreRuns.push(run);
+        maxDepth = Math.max(maxDepth, coreBottom);
+      }
+    }
+
+    // === Depth-anchored remarks ===
+    const remarkDepth = getNumericCell(row, 'remark_depth');
+    const remarkText = getCell(row, 'remark');
+    if (remarkDepth !== null && remarkText) {
+      const isDuplicate = remarks.some(r => r.depth === remarkDepth && r.text === remarkText);
+      if (!isDuplicate) remarks.push({ depth: remarkDepth, text: remarkText });
+    }
   }
 
-  // Sort layers and samples by depth
+  // Sort layers, samples, core runs and remarks by depth
   layers.sort((a, b) => a.depthTop - b.depthTop);
   samples.sort((a, b) => a.depth - b.depth);
+  coreRuns.sort((a, b) => a.depthTop - b.depthTop);
+  remarks.sort((a, b) => a.depth - b.depth);
+  centralizers.sort((a, b) => a - b);
+  annularFills.sort((a, b) => a.depthTop - b.depthTop);
+  casings.forEach(casing => casing.screens.sort((a, b) => a.depthTop - b.depthTop));
 
   // Build result object
   const result = {
@@ -327,12 +595,20 @@ function parseBoringLogCSV(csvContent, options = {}) {
       id: metaBoringId,
       project: metaProject,
       date: metaDate,
+      units: targetUnits.name,
       totalDepth: maxDepth || 30
     },
     layers,
     samples
   };
 
+  if (coreRuns.length > 0) {
+    result.coreRuns = coreRuns;
+  }
+  if (remarks.length > 0) {
+    result.remarks = remarks;
+  }
+
   // Add optional boring fields
   if (metaClient) {
     result.boring.client = metaClient;
@@ -369,13 +645,18 @@ function parseBoringLogCSV(csvContent, options = {}) {
   if (metaDateComplete) {
     result.boring.dateComplete = metaDateComplete;
   }
+  if (metaGeneralRemarks) {
+    result.boring.generalRemarks = metaGeneralRemarks;
+  }
+  Object.assign(result.boring, metaTitle, metaHammer);
 
   // Add consultant info
-  if (consultantCompany || consultantContact || consultantPhone) {
+  if (consultantCompany || consultantContact || consultantPhone || consultantAddress) {
     result.boring.consultant = {};
     if (consultantCompany) result.boring.consultant.company = consultantCompany;
     if (consultantContact) result.boring.consultant.contact = consultantContact;
     if (consultantPhone) result.boring.consultant.phone = consultantPhone;
+    if (consultantAddress) result.boring.consultant.address = consultantAddress;
   }
 
   // Add driller info
@@ -391,9 +672,9 @@ function parseBoringLogCSV(csvContent, options = {}) {
   }
 
   // Add groundwater
-  if (groundwaterDepth !== null) {
+  if (groundwaterObservations.length > 0) {
     result.groundwater = {
-      depth: groundwaterDepth
+      observations: groundwaterObservations
     };
     if (groundwaterNote) {
       result.groundwater.note = groundwaterNote;
@@ -401,7 +682,9 @@ function parseBoringLogCSV(csvContent, options = {}) {
   }
 
   // Add well construction
-  if (wellType || wellCasingDiameter !== null || wellScreenTop !== null) {
+  const hasWellDetails = Object.keys(metaWell).length > 0 || centralizers.length > 0 ||
+    annularFills.length > 0 || casings.length > 0;
+  if (wellType || wellCasingDiameter !== null || wellScreenTop !== null || hasWellDetails) {
     result.well = {};
     if (wellType) result.well.type = wellType;
     if (wellCasingDiameter !== null) result.well.casingDiameter = wellCasingDiameter;
@@ -413,6 +696,10 @@ function parseBoringLogCSV(csvContent, options = {}) {
     if (wellSealTop !== null) result.well.sealTop = wellSealTop;
     if (wellSealBottom !== null) result.well.sealBottom = wellSealBottom;
     if (wellSealMaterial) result.well.sealMaterial = wellSealMaterial;
+    Object.assign(result.well, metaWell);
+    if (centralizers.length > 0) result.well.centralizers = centralizers;
+    if (annularFills.length > 0) result.well.annularFills = annularFills;
+    if (casings.length > 0) result.well.casings = casings;
   }
 
   return result;
@@ -483,24 +770,49 @@ function normalizeColumnName(name) {
     .replace(/^_|_$/g, '');
 }
 
+/**
+ * Split a trailing unit off a measured column name,
+ * e.g. "depth_top_m" -> { name: "depth_top", unit: "m" }
+ * or "unit_weight_kn_m3" (from "Unit Weight (kN/m3)") -> { name: "unit_weight", unit: "kN/m³" }
+ */
+function splitColumnUnit(name) {
+  const parts = name.split('_');
+  for (const count of [1, 2]) {
+    const base = parts.slice(0, -count).join('_');
+    const unit = CsvUnits.normalizeUnit(parts.slice(-count).join('_'));
+    if (base && MEASURED_COLUMNS[base] && unit) return { name: base, unit };
+  }
+  return { name, unit: null };
+}
+
 /**
  * Generate sample CSV template with all fields
  */
 function generateCSVTemplate() {
   const headers = [
-    'boring_id', 'project', 'client', 'date', 'time', 'weather',
+    'boring_id', 'project', 'project_number', 'client', 'date', 'time', 'weather', 'units',
+    'station', 'offset', 'checked_by', 'approved_by', 'disclaimer',
     'date_start', 'date_complete',
     'equipment', 'logged_by', 'drilling_method',
-    'consultant_company', 'consultant_contact', 'consultant_phone',
+    'hammer_type', 'hammer_weight', 'hammer_drop', 'energy_ratio',
+    'consultant_company', 'consultant_contact', 'consultant_phone', 'consultant_address',
     'driller_company', 'driller_name', 'driller_license',
     'elevation', 'coord_1', 'coord_2', 'coord_system',
-    'groundwater_depth', 'groundwater_note',
+    'groundwater_depth', 'groundwater_type', 'groundwater_date', 'groundwater_time', 'groundwater_note',
     'well_type', 'well_casing_diameter', 'well_casing_material',
     'well_screen_top', 'well_screen_bottom', 'well_screen_slot_size',
     'well_filter_pack', 'well_seal_top', 'well_seal_bottom', 'well_seal_material',
-    'depth_top', 'depth_bottom', 'uscs', 'description', 'moisture', 'odor', 'pid',
+    'well_completion', 'well_stickup', 'well_casing_top_elevation', 'well_protective_casing',
+    'well_pad', 'well_sump_length', 'centralizer_depth', 'fill_top', 'fill_bottom', 'fill_material',
+    'casing', 'casing_diameter', 'casing_material', 'casing_sump_length',
+    'casing_screen_top', 'casing_screen_bottom', 'casing_screen_slot_size',
+    'depth_top', 'depth_bottom', 'uscs', 'description', 'contact_type', 'moisture', 'odor', 'pid', 'unit_weight',
     'sample_depth', 'sample_depth_top', 'sample_depth_bottom',
-    'sample_type', 'sample_id', 'blow1', 'blow2', 'blow3', 'recovery'
+    'sample_type', 'sample_id', 'blow1', 'blow2', 'blow3', 'blow4', 'refusal', 'recovery',
+    'wc', 'll', 'pl', 'gravel', 'sand', 'fines', 'cu', 'cc',
+    'core_run', 'core_top', 'core_bottom', 'core_recovery', 'core_rqd',
+    'core_fractures', 'core_weathering', 'core_hardness',
+    'remark_depth', 'remark', 'general_remarks'
   ];
 
   return headers.join(',');
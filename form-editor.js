@@ -13,6 +13,7 @@ class FormEditor {
     this.errors = {}; // Validation errors by path
 
     this.init();
+    this.linkPreview();
   }
 
   init() {
@@ -25,13 +26,58 @@ class FormEditor {
       { id: 'people', label: 'Consultant & Driller', icon: '👤' },
       { id: 'layers', label: 'Soil Layers', icon: '🪨' },
       { id: 'samples', label: 'Samples', icon: '🧪' },
+      { id: 'coreRuns', label: 'Core Runs', icon: '⛏️' },
       { id: 'groundwater', label: 'Groundwater', icon: '💧' },
+      { id: 'remarks', label: 'Remarks', icon: '📝' },
       { id: 'well', label: 'Well Construction', icon: '⚙️' }
     ];
   }
 
+  // Clicking an item on the log opens its card; focusing a card's field highlights the item
+  linkPreview() {
+    if (!this.boringLog?.on) return;
+    this.boringLog.on('select', ({ ref }) => this.focusItem(ref));
+    this.container.addEventListener('focusin', (e) => {
+      this.boringLog.highlight(this.boringLog.getRefForPath(e.target.dataset?.path));
+    });
+    this.container.addEventListener('focusout', () => this.boringLog.highlight(null));
+
+    // Contacts dragged on the log move both adjacent layers
+    this.boringLog.on('contactchange', ({ index, above, depth }) => {
+      if (!this.data?.layers?.[index]) return;
+      this.setValueAtPath(`layers[${index}].depthTop`, depth);
+      if (above !== -1) this.setValueAtPath(`layers[${above}].depthBottom`, depth);
+      this.render();
+    });
+  }
+
+  // Expand the section holding an item ("layers[2]", "well.screen") and focus its first field
+  focusItem(ref) {
+    const sectionId = /^\w+/.exec(ref || '')?.[0];
+    if (!this.data || !this.sectionDefs.some(def => def.id === sectionId)) return;
+
+    if (!this.expandedSections.has(sectionId)) {
+      this.expandedSections.add(sectionId);
+      this.render();
+    }
+
+    const input = [...this.container.querySelectorAll('[data-path]')]
+      .find(el => this.boringLog.getRefForPath(el.dataset.path) === ref);
+    if (!input) return;
+    input.closest('.card')?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+    input.focus();
+  }
+
   setData(data) {
     this.data = JSON.parse(JSON.stringify(data)); // Deep clone
+
+    // Legacy single groundwater depth becomes the first observation
+    const gw = this.data.groundwater;
+    if (gw && gw.depth !== undefined && !gw.observations) {
+      gw.observations = [{ type: '', depth: gw.depth }];
+      delete gw.depth;
+    }
+
     this.render();
   }
 
@@ -67,6 +113,9 @@ class FormEditor {
       const section = this.createSection(def);
       this.container.appendChild(section);
     });
+
+    this.updateDescriptorHints();
+    this.updateClassifications();
   }
 
   createSection(def) {
@@ -107,6 +156,12 @@ class FormEditor {
         return this.data.layers?.length || 0;
       case 'samples':
         return this.data.samples?.length || 0;
+      case 'coreRuns':
+        return this.data.coreRuns?.length || 0;
+      case 'remarks':
+        return this.data.remarks?.length || 0;
+      case 'groundwater':
+        return this.data.groundwater?.observations?.length || 0;
       default:
         return null;
     }
@@ -135,9 +190,15 @@ class FormEditor {
       case 'samples':
         this.renderSamplesSection(container);
         break;
+      case 'coreRuns':
+        this.renderCoreRunsSection(container);
+        break;
       case 'groundwater':
         this.renderGroundwaterSection(container);
         break;
+      case 'remarks':
+        this.renderRemarksSection(container);
+        break;
       case 'well':
         this.renderWellSection(container);
         break;
@@ -146,7 +207,7 @@ class FormEditor {
 
   // Create a form field with label and input
   createField(label, value, path, options = {}) {
-    const { type = 'text', placeholder = '', selectOptions = null } = options;
+    const { type = 'text', placeholder = '', selectOptions = null, list = false, blowCount = false, plasticLimit = false } = options;
 
     const field = document.createElement('div');
     field.className = 'form-field';
@@ -172,6 +233,27 @@ class FormEditor {
       input.value = value || '';
       input.placeholder = placeholder;
       input.rows = 3;
+    } else if (list) {
+      // Comma-separated numbers, stored as an array
+      input = document.createElement('input');
+      input.type = 'text';
+      input.value = (value || []).join(', ');
+      input.placeholder = placeholder;
+      input.dataset.list = 'true';
+    } else if (blowCount) {
+      // SPT increment: a count, or blows/penetration such as 50/3 where the drive stopped
+      input = document.createElement('input');
+      input.type = 'text';
+      input.value = value ?? '';
+      input.placeholder = placeholder;
+      input.dataset.blowCount = 'true';
+    } else if (plasticLimit) {
+      // Plastic limit: a number, or NP for nonplastic fines
+      input = document.createElement('input');
+      input.type = 'text';
+      input.value = value ?? '';
+      input.placeholder = placeholder || 'e.g. 18 or NP';
+      input.dataset.plasticLimit = 'true';
     } else {
       input = document.createElement('input');
       input.type = type;
@@ -180,6 +262,7 @@ class FormEditor {
     }
 
     input.dataset.path = path;
+    if (options.boolean) input.dataset.boolean = 'true';
     input.addEventListener('blur', (e) => this.handleFieldBlur(e));
     input.addEventListener('change', (e) => {
       if (selectOptions) this.handleFieldBlur(e);
@@ -199,6 +282,53 @@ class FormEditor {
     return field;
   }
 
+  // Logo image picker; the image is embedded in the data as a data URL
+  createLogoField(value, path) {
+    const field = document.createElement('div');
+    field.className = 'form-field';
+
+    const labelEl = document.createElement('label');
+    labelEl.textContent = 'Logo';
+    field.appendChild(labelEl);
+
+    if (value) {
+      const preview = document.createElement('img');
+      preview.src = value;
+      preview.alt = 'Logo';
+      preview.style.maxHeight = '40px';
+      preview.style.maxWidth = '160px';
+      field.appendChild(preview);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn-delete';
+      removeBtn.textContent = 'Remove logo';
+      removeBtn.addEventListener('click', () => {
+        this.setValueAtPath(path, '');
+        this.render();
+        this.updatePreview();
+      });
+      field.appendChild(removeBtn);
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        this.setValueAtPath(path, reader.result);
+        this.render();
+        this.updatePreview();
+      };
+      reader.readAsDataURL(file);
+    });
+    field.appendChild(input);
+
+    return field;
+  }
+
   // Create a row of fields
   createFieldRow(...fields) {
     const row = document.createElement('div');
@@ -214,10 +344,33 @@ class FormEditor {
     // Convert to number if appropriate
     if (e.target.type === 'number' && value !== '') {
       value = parseFloat(value);
+    } else if (e.target.dataset.list) {
+      value = value.split(',').map(item => parseFloat(item)).filter(Number.isFinite);
+    } else if (e.target.dataset.blowCount) {
+      value = value.trim();
+      if (/^\d+$/.test(value)) value = parseInt(value, 10);
+      else if (value === '') value = null;
+    } else if (e.target.dataset.plasticLimit) {
+      value = value.trim();
+      if (UscsClassifier.isNonplastic(value)) value = 'NP';
+      else if (value !== '' && Number.isFinite(Number(value))) value = parseFloat(value);
+    } else if (e.target.dataset.boolean) {
+      value = value === 'true';
     }
 
     // Update data at path
-    this.setValueAtPath(path, value);
+    const previousUnits = path === 'boring.units' ? this.getUnits() : null;
+    if (e.target.dataset.blowCount) {
+      this.setBlowCount(path, value);
+    } else {
+      this.setValueAtPath(path, value);
+    }
+
+    // Unit changes convert every measured value, then relabel the fields
+    if (previousUnits) {
+      this.convertUnits(previousUnits, this.getUnits());
+      this.render();
+    }
 
     // Update preview
     this.updatePreview();
@@ -305,6 +458,19 @@ class FormEditor {
     obj[lastPart] = value;
   }
 
+  // One SPT increment ("samples[0].blows.3"); the list ends at its last entered increment,
+  // so cleared or skipped trailing inputs leave no empty entries behind
+  setBlowCount(path, value) {
+    const blowsPath = path.replace(/\.\d+$/, '');
+    const current = this.getValueAtPath(blowsPath);
+    const blows = Array.isArray(current) ? [...current] : [];
+    blows[Number(path.slice(blowsPath.length + 1))] = value;
+    const isEmpty = blow => blow === null || blow === undefined || blow === '';
+    while (blows.length > 0 && isEmpty(blows[blows.length - 1])) blows.pop();
+    if (blows.length === 0 && current === undefined) return;
+    this.setValueAtPath(blowsPath, Array.from(blows, blow => (isEmpty(blow) ? null : blow)));
+  }
+
   getValueAtPath(path) {
     const parts = path.split('.');
     let obj = this.data;
@@ -322,14 +488,47 @@ class FormEditor {
     return obj;
   }
 
+  // Unit system for the current data (boring.units, default imperial)
+  getUnits() {
+    return Units.getSystem(this.data?.boring?.units);
+  }
+
+  // Convert the measured values (FormEditor.measuredFields) from one unit system to
+  // another, to 6 decimals so that switching back restores the values entered
+  convertUnits(from, to) {
+    if (from === to) return;
+    const convert = (value, quantity) => {
+      // Partial SPT drives ("50/3") carry a penetration in the recovery unit
+      const partial = quantity === 'blows' && /^\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*(?:"|in|mm)?\s*$/i.exec(String(value));
+      if (partial) return `${partial[1]}/${Units.convertLength(parseFloat(partial[2]), from.recovery, to.recovery, 6)}`;
+      return typeof value === 'number' && quantity !== 'blows' ? Units.convert(value, from[quantity], to[quantity], 6) : value;
+    };
+    const apply = (obj, [key, ...rest], quantity) => {
+      const name = key.replace('[]', '');
+      if (!obj || typeof obj !== 'object' || obj[name] === undefined) return;
+      const items = key.endsWith('[]') ? obj[name] : null;
+      if (rest.length > 0) {
+        (items ? [].concat(items) : [obj[name]]).forEach(item => apply(item, rest, quantity));
+      } else if (items) {
+        if (Array.isArray(items)) obj[name] = items.map(item => convert(item, quantity));
+      } else {
+        obj[name] = convert(obj[name], quantity);
+      }
+    };
+    Object.entries(FormEditor.measuredFields).forEach(([path, quantity]) => apply(this.data, path.split('.'), quantity));
+  }
+
   updatePreview() {
     if (this.boringLog && this.data) {
       this.boringLog.setData(this.data);
+      this.updateDescriptorHints();
+      this.updateClassifications();
     }
   }
 
   // Section renderers
   renderBoringSection(container) {
+    const units = this.getUnits();
     const boring = this.data.boring || {};
 
     const grid = document.createElement('div');
@@ -337,12 +536,25 @@ class FormEditor {
 
     grid.appendChild(this.createFieldRow(
       this.createField('Boring ID', boring.id, 'boring.id', { placeholder: 'B-1' }),
-      this.createField('Total Depth (ft)', boring.totalDepth, 'boring.totalDepth', { type: 'number' })
+      this.createField(`Total Depth (${units.depth})`, boring.totalDepth, 'boring.totalDepth', { type: 'number' })
     ));
 
+    grid.appendChild(this.createField('Units', units.name, 'boring.units', {
+      selectOptions: [
+        { value: 'imperial', label: 'Imperial (ft, in)' },
+        { value: 'metric', label: 'Metric (m, mm)' }
+      ]
+    }));
+
     grid.appendChild(this.createField('Project', boring.project, 'boring.project'));
     grid.appendChild(this.createField('Client', boring.client, 'boring.client'));
 
+    grid.appendChild(this.createFieldRow(
+      this.createField('Project No.', boring.projectNumber, 'boring.projectNumber'),
+      this.createField('Station', boring.station, 'boring.station', { placeholder: '12+50' })
+    ));
+    grid.appendChild(this.createField('Offset', boring.offset, 'boring.offset', { placeholder: '25 ft LT' }));
+
     grid.appendChild(this.createFieldRow(
       this.createField('Date Start', boring.dateStart || boring.date, 'boring.dateStart', { type: 'date' }),
       this.createField('Date Complete', boring.dateComplete, 'boring.dateComplete', { type: 'date' })
@@ -354,7 +566,7 @@ class FormEditor {
     ));
 
     grid.appendChild(this.createFieldRow(
-      this.createField('Elevation (ft)', boring.elevation, 'boring.elevation', { type: 'number' }),
+      this.createField(`Elevation (${units.depth})`, boring.elevation, 'boring.elevation', { type: 'number' }),
       this.createField('Equipment', boring.equipment, 'boring.equipment')
     ));
 
@@ -363,6 +575,23 @@ class FormEditor {
       this.createField('Logged By', boring.loggedBy, 'boring.loggedBy')
     ));
 
+    // SPT hammer; a measured energy ratio overrides the type's typical value
+    grid.appendChild(this.createFieldRow(
+      this.createField('Hammer Type', boring.hammerType, 'boring.hammerType', {
+        selectOptions: this.getHammerTypeOptions(boring.hammerType)
+      }),
+      this.createField('Energy Ratio (%)', boring.energyRatio, 'boring.energyRatio', { type: 'number', placeholder: 'Measured' })
+    ));
+    grid.appendChild(this.createFieldRow(
+      this.createField(`Hammer Weight (${units.hammerWeight})`, boring.hammerWeight, 'boring.hammerWeight', { type: 'number' }),
+      this.createField(`Hammer Drop (${units.hammerDrop})`, boring.hammerDrop, 'boring.hammerDrop', { type: 'number' })
+    ));
+
+    grid.appendChild(this.createFieldRow(
+      this.createField('Checked By', boring.checkedBy, 'boring.checkedBy'),
+      this.createField('Approved By', boring.approvedBy, 'boring.approvedBy')
+    ));
+
     // Location
     const location = boring.location || {};
     grid.appendChild(document.createElement('hr'));
@@ -398,6 +627,12 @@ class FormEditor {
     grid.appendChild(this.createField('Company', consultant.company, 'boring.consultant.company'));
     grid.appendChild(this.createField('Contact', consultant.contact, 'boring.consultant.contact'));
     grid.appendChild(this.createField('Phone', consultant.phone, 'boring.consultant.phone', { type: 'tel' }));
+    grid.appendChild(this.createField('Address', consultant.address, 'boring.consultant.address', { type: 'textarea' }));
+    grid.appendChild(this.createLogoField(consultant.logo, 'boring.consultant.logo'));
+    grid.appendChild(this.createField('Disclaimer', boring.disclaimer, 'boring.disclaimer', {
+      type: 'textarea',
+      placeholder: 'Replaces the title block footer disclaimer'
+    }));
 
     // Driller
     grid.appendChild(document.createElement('hr'));
@@ -439,6 +674,7 @@ class FormEditor {
   }
 
   createLayerCard(layer, index) {
+    const units = this.getUnits();
     const card = document.createElement('div');
     card.className = 'card';
 
@@ -446,7 +682,7 @@ class FormEditor {
     const header = document.createElement('div');
     header.className = 'card-header';
     header.innerHTML = `
-      <span class="card-title">Layer ${index + 1}: ${layer.uscs || '?'} (${layer.depthTop || 0} - ${layer.depthBottom || 0} ft)</span>
+      <span class="card-title">Layer ${index + 1}: ${layer.uscs || '?'} (${layer.depthTop || 0} - ${layer.depthBottom || 0} ${units.depth})</span>
       <button class="btn-delete" data-index="${index}">×</button>
     `;
     header.querySelector('.btn-delete').addEventListener('click', (e) => {
@@ -460,36 +696,33 @@ class FormEditor {
     body.className = 'card-body';
 
     body.appendChild(this.createFieldRow(
-      this.createField('Depth Top (ft)', layer.depthTop, `layers[${index}].depthTop`, { type: 'number' }),
-      this.createField('Depth Bottom (ft)', layer.depthBottom, `layers[${index}].depthBottom`, { type: 'number' })
+      this.createField(`Depth Top (${units.depth})`, layer.depthTop, `layers[${index}].depthTop`, { type: 'number' }),
+      this.createField(`Depth Bottom (${units.depth})`, layer.depthBottom, `layers[${index}].depthBottom`, { type: 'number' })
     ));
 
     body.appendChild(this.createField('USCS', layer.uscs, `layers[${index}].uscs`, {
-      selectOptions: [
-        { value: '', label: '-- Select --' },
-        { value: 'GW', label: 'GW - Well-graded gravel' },
-        { value: 'GP', label: 'GP - Poorly graded gravel' },
-        { value: 'GM', label: 'GM - Silty gravel' },
-        { value: 'GC', label: 'GC - Clayey gravel' },
-        { value: 'SW', label: 'SW - Well-graded sand' },
-        { value: 'SP', label: 'SP - Poorly graded sand' },
-        { value: 'SM', label: 'SM - Silty sand' },
-        { value: 'SC', label: 'SC - Clayey sand' },
-        { value: 'ML', label: 'ML - Silt (low plasticity)' },
-        { value: 'MH', label: 'MH - Silt (high plasticity)' },
-        { value: 'CL', label: 'CL - Clay (low plasticity)' },
-        { value: 'CH', label: 'CH - Clay (high plasticity)' },
-        { value: 'OL', label: 'OL - Organic silt' },
-        { value: 'OH', label: 'OH - Organic clay' },
-        { value: 'PT', label: 'PT - Peat' },
-        { value: 'TS', label: 'TS - Topsoil' },
-        { value: 'FILL', label: 'FILL - Fill material' },
-        { value: 'ROCK', label: 'ROCK - Rock' }
-      ]
+      selectOptions: this.getLithologyOptions(layer.uscs)
     }));
 
     body.appendChild(this.createField('Description', layer.description, `layers[${index}].description`, { type: 'textarea' }));
 
+    // Filled from the layer's SPT samples by updateDescriptorHints
+    const hint = document.createElement('div');
+    hint.className = 'descriptor-hint';
+    hint.dataset.index = index;
+    body.appendChild(hint);
+
+    body.appendChild(this.createField('Top Contact', layer.contactType, `layers[${index}].contactType`, {
+      selectOptions: [
+        { value: '', label: '-- Sharp (default) --' },
+        { value: 'sharp', label: 'Sharp' },
+        { value: 'gradational', label: 'Gradational' },
+        { value: 'inferred', label: 'Inferred' },
+        { value: 'irregular', label: 'Irregular / erosional' },
+        { value: 'unconformable', label: 'Unconformity' }
+      ]
+    }));
+
     body.appendChild(this.createFieldRow(
       this.createField('Moisture', layer.moisture, `layers[${index}].moisture`, {
         selectOptions: ['', 'dry', 'moist', 'wet', 'saturated']
@@ -499,12 +732,198 @@ class FormEditor {
       })
     ));
 
-    body.appendChild(this.createField('PID (ppm)', layer.pid, `layers[${index}].pid`, { type: 'number' }));
+    body.appendChild(this.createFieldRow(
+      this.createField('PID (ppm)', layer.pid, `layers[${index}].pid`, { type: 'number' }),
+      this.createField(`Unit Weight (${units.unitWeight})`, layer.unitWeight, `layers[${index}].unitWeight`, { type: 'number' })
+    ));
+
+    // Lab classification; samples in the layer supply any values left blank here
+    const labLabel = document.createElement('div');
+    labLabel.className = 'form-subsection-label';
+    labLabel.textContent = 'Lab Classification (ASTM D2487)';
+    body.appendChild(labLabel);
+
+    body.appendChild(this.createFieldRow(...this.createGradationFields(layer, `layers[${index}]`)));
+    body.appendChild(this.createFieldRow(
+      this.createField('Liquid Limit', layer.ll, `layers[${index}].ll`, { type: 'number' }),
+      this.createField('Plastic Limit', layer.pl, `layers[${index}].pl`, { plasticLimit: true })
+    ));
+
+    // Filled by updateClassifications
+    const classification = document.createElement('div');
+    classification.className = 'uscs-classification';
+    classification.dataset.index = index;
+    body.appendChild(classification);
 
     card.appendChild(body);
     return card;
   }
 
+  // Gravel/sand/fines percentages and Cu/Cc, on layers and samples
+  createGradationFields(item, prefix) {
+    return [
+      this.createField('Gravel (%)', item.gravel, `${prefix}.gravel`, { type: 'number' }),
+      this.createField('Sand (%)', item.sand, `${prefix}.sand`, { type: 'number' }),
+      this.createField('Fines (%)', item.fines, `${prefix}.fines`, { type: 'number' }),
+      this.createField('Cu', item.cu, `${prefix}.cu`, { type: 'number' }),
+      this.createField('Cc', item.cc, `${prefix}.cc`, { type: 'number' })
+    ];
+  }
+
+  // Density/consistency suggested by each layer's blow counts, with a button to write it in
+  updateDescriptorHints() {
+    const hints = this.container.querySelectorAll('.descriptor-hint');
+    if (hints.length === 0 || !this.boringLog?.data) return;
+    const results = SoilAnalysis.analyze(this.boringLog);
+
+    hints.forEach(hint => {
+      const index = Number(hint.dataset.index);
+      const result = results[index];
+      hint.innerHTML = '';
+      hint.classList.toggle('conflict', result?.status === 'conflict');
+      if (!result?.status) return;
+
+      const values = result.samples.map(sample => sample.value).join(', ');
+      const text = document.createElement('span');
+      if (result.status === 'consistent') {
+        text.textContent = `${SoilAnalysis.groups[result.group].label} matches blow counts (${values})`;
+      } else if (result.status === 'conflict') {
+        const described = [...new Set(result.described.map(found => found.term))].join(', ');
+        text.textContent = `Description says ${described}; blow counts suggest ${result.descriptor} (${values})`;
+      } else {
+        text.textContent = `Blow counts suggest ${result.descriptor} (${values})`;
+      }
+      hint.appendChild(text);
+      if (result.status === 'consistent') return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = result.status === 'conflict' ? 'Replace' : 'Insert';
+      button.addEventListener('click', () => {
+        const path = `layers[${index}].description`;
+        const layer = this.data.layers[index];
+        const description = SoilAnalysis.applyDescriptor(layer.description, result.descriptor, result.group);
+        this.setValueAtPath(path, description);
+        const input = this.container.querySelector(`[data-path="${path}"]`);
+        if (input) input.value = description;
+        this.updatePreview();
+      });
+      hint.appendChild(button);
+    });
+  }
+
+  // USCS group symbol and name computed from each layer's lab values, with the plasticity chart
+  updateClassifications() {
+    const labels = { gravel: 'gravel %', sand: 'sand %', fines: 'fines %', cu: 'Cu', cc: 'Cc', ll: 'LL', pl: 'PL' };
+
+    this.container.querySelectorAll('.uscs-classification').forEach(container => {
+      const index = Number(container.dataset.index);
+      const layer = this.data.layers?.[index];
+      container.innerHTML = '';
+      if (!layer) return;
+
+      const values = UscsClassifier.getLayerValues(this.data, index);
+      if (Object.keys(values).length === 0) return;
+      const result = UscsClassifier.classify(values);
+
+      const line = document.createElement('div');
+      line.className = 'uscs-result';
+      const text = document.createElement('span');
+      if (result.symbol) {
+        text.innerHTML = `<strong>${result.symbol}</strong> ${result.name}`;
+      } else {
+        text.textContent = `Needs ${result.missing.map(key => labels[key]).join(', ')} to classify`;
+      }
+      line.appendChild(text);
+
+      if (result.symbol && layer.uscs !== result.symbol) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = 'Apply';
+        button.addEventListener('click', () => {
+          this.setValueAtPath(`layers[${index}].uscs`, result.symbol);
+          if (!layer.description) this.setValueAtPath(`layers[${index}].description`, result.name);
+          this.render();
+          this.updatePreview();
+        });
+        line.appendChild(button);
+      }
+      container.appendChild(line);
+
+      if (result.pi !== null && Number.isFinite(values.ll)) {
+        container.appendChild(this.createPlasticityChart(values.ll, result.pi));
+      }
+    });
+  }
+
+  // Casagrande plasticity chart (PI against LL) with the A-line, U-line and CL-ML zone
+  createPlasticityChart(ll, pi) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const width = 260;
+    const height = 170;
+    const plot = { left: 30, right: width - 8, top: 8, bottom: height - 30 };
+    const llMax = Math.max(100, Math.ceil(ll / 20) * 20);
+    const piMax = Math.max(60, Math.ceil(pi / 20) * 20);
+    const x = value => plot.left + (value / llMax) * (plot.right - plot.left);
+    const y = value => plot.bottom - (value / piMax) * (plot.bottom - plot.top);
+
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('class', 'plasticity-chart');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    const add = (tag, attrs, content) => {
+      const el = document.createElementNS(ns, tag);
+      Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+      if (content !== undefined) el.textContent = content;
+      svg.appendChild(el);
+      return el;
+    };
+
+    // Grid and axes
+    for (let value = 0; value <= llMax; value += 20) {
+      add('line', { x1: x(value), y1: plot.top, x2: x(value), y2: plot.bottom, stroke: '#e5e7eb' });
+      add('text', { x: x(value), y: plot.bottom + 11, 'font-size': 8, 'text-anchor': 'middle', fill: '#6b7280' }, value);
+    }
+    for (let value = 0; value <= piMax; value += 20) {
+      add('line', { x1: plot.left, y1: y(value), x2: plot.right, y2: y(value), stroke: '#e5e7eb' });
+      add('text', { x: plot.left - 4, y: y(value) + 3, 'font-size': 8, 'text-anchor': 'end', fill: '#6b7280' }, value);
+    }
+    add('rect', { x: plot.left, y: plot.top, width: plot.right - plot.left, height: plot.bottom - plot.top, fill: 'none', stroke: '#9ca3af' });
+    add('text', { x: (plot.left + plot.right) / 2, y: height - 6, 'font-size': 9, 'text-anchor': 'middle', fill: '#374151' }, 'Liquid Limit (LL)');
+    add('text', { x: 10, y: (plot.top + plot.bottom) / 2, 'font-size': 9, 'text-anchor': 'middle', fill: '#374151',
+      transform: `rotate(-90 10 ${(plot.top + plot.bottom) / 2})` }, 'PI');
+
+    // CL-ML zone between PI 4 and 7, bounded by the U-line and A-line
+    const zone = [[4 / 0.9 + 8, 4], [4 / 0.73 + 20, 4], [7 / 0.73 + 20, 7], [7 / 0.9 + 8, 7]];
+    add('polygon', { points: zone.map(([l, p]) => `${x(l)},${y(p)}`).join(' '), fill: '#d1d5db' });
+
+    // LL = 50 divides low and high plasticity
+    add('line', { x1: x(50), y1: plot.top, x2: x(50), y2: plot.bottom, stroke: '#6b7280', 'stroke-dasharray': '3,2' });
+
+    // A-line from PI 4, U-line from LL 16; both stop at the top of the chart
+    const aEnd = Math.min(llMax, piMax / 0.73 + 20);
+    add('line', { x1: x(4 / 0.73 + 20), y1: y(4), x2: x(aEnd), y2: y(UscsClassifier.aLine(aEnd)), stroke: '#374151', 'stroke-width': 1.5 });
+    const uEnd = Math.min(llMax, piMax / 0.9 + 8);
+    add('polyline', {
+      points: `${x(16)},${y(0)} ${x(16)},${y(7)} ${x(uEnd)},${y(UscsClassifier.uLine(uEnd))}`,
+      fill: 'none', stroke: '#374151', 'stroke-dasharray': '4,3'
+    });
+
+    // Zone labels
+    [['CL', 36, 22], ['CH', 70, 48], ['ML', 38, 5], ['MH', 76, 22], ['CL-ML', 3, 17]].forEach(([label, l, p]) => {
+      add('text', { x: x(l), y: y(p), 'font-size': 9, fill: '#6b7280' }, label);
+    });
+    // The CL-ML zone is too thin for its label, which points into it
+    const [zoneLl, zonePi] = [zone.reduce((sum, [l]) => sum + l, 0) / zone.length, 5.5];
+    add('line', { x1: x(8), y1: y(17) + 2, x2: x(zoneLl), y2: y(zonePi), stroke: '#6b7280', 'stroke-width': 0.75 });
+
+    // The layer's limits
+    add('circle', { cx: x(ll), cy: y(pi), r: 3.5, fill: '#dc2626', stroke: '#ffffff' });
+
+    return svg;
+  }
+
   addLayer() {
     if (!this.data.layers) this.data.layers = [];
     const lastLayer = this.data.layers[this.data.layers.length - 1];
@@ -556,13 +975,14 @@ class FormEditor {
   }
 
   createSampleCard(sample, index) {
+    const units = this.getUnits();
     const card = document.createElement('div');
     card.className = 'card';
 
     // Determine depth display
     const depthDisplay = sample.depthTop !== undefined
-      ? `${sample.depthTop} - ${sample.depthBottom} ft`
-      : `${sample.depth} ft`;
+      ? `${sample.depthTop} - ${sample.depthBottom} ${units.depth}`
+      : `${sample.depth} ${units.depth}`;
 
     const header = document.createElement('div');
     header.className = 'card-header';
@@ -582,29 +1002,54 @@ class FormEditor {
     body.appendChild(this.createFieldRow(
       this.createField('Sample ID', sample.id, `samples[${index}].id`),
       this.createField('Type', sample.type, `samples[${index}].type`, {
-        selectOptions: ['', 'SPT', 'SHELBY', 'GRAB', 'CORE', 'OTHER']
+        selectOptions: this.getSampleTypeOptions(sample.type)
       })
     ));
 
     body.appendChild(this.createFieldRow(
-      this.createField('Depth Top (ft)', sample.depthTop, `samples[${index}].depthTop`, { type: 'number' }),
-      this.createField('Depth Bottom (ft)', sample.depthBottom, `samples[${index}].depthBottom`, { type: 'number' })
+      this.createField(`Depth Top (${units.depth})`, sample.depthTop, `samples[${index}].depthTop`, { type: 'number' }),
+      this.createField(`Depth Bottom (${units.depth})`, sample.depthBottom, `samples[${index}].depthBottom`, { type: 'number' })
     ));
 
     // SPT blows (only for SPT type)
     const blowsLabel = document.createElement('div');
     blowsLabel.className = 'form-subsection-label';
-    blowsLabel.textContent = 'SPT Blows (6" intervals)';
+    blowsLabel.textContent = `SPT Blows (${units.sptIncrement} ${units.recovery} increments; 50/3 where the drive stopped)`;
     body.appendChild(blowsLabel);
 
     const blows = sample.blows || [null, null, null];
     body.appendChild(this.createFieldRow(
-      this.createField('Blow 1', blows[0], `samples[${index}].blows.0`, { type: 'number' }),
-      this.createField('Blow 2', blows[1], `samples[${index}].blows.1`, { type: 'number' }),
-      this.createField('Blow 3', blows[2], `samples[${index}].blows.2`, { type: 'number' })
+      this.createField('Blow 1', blows[0], `samples[${index}].blows.0`, { blowCount: true }),
+      this.createField('Blow 2', blows[1], `samples[${index}].blows.1`, { blowCount: true }),
+      this.createField('Blow 3', blows[2], `samples[${index}].blows.2`, { blowCount: true }),
+      this.createField('Blow 4', blows[3], `samples[${index}].blows.3`, { blowCount: true, placeholder: 'Optional' })
+    ));
+
+    body.appendChild(this.createFieldRow(
+      this.createField(`Recovery (${units.recovery})`, sample.recovery, `samples[${index}].recovery`, { type: 'number' }),
+      this.createField('Refusal', sample.refusal === true, `samples[${index}].refusal`, {
+        selectOptions: [{ value: 'false', label: 'No' }, { value: 'true', label: 'Yes' }],
+        boolean: true
+      })
+    ));
+
+    // Lab index tests
+    const labLabel = document.createElement('div');
+    labLabel.className = 'form-subsection-label';
+    labLabel.textContent = 'Moisture & Atterberg Limits (%)';
+    body.appendChild(labLabel);
+
+    body.appendChild(this.createFieldRow(
+      this.createField('Moisture (w)', sample.wc, `samples[${index}].wc`, { type: 'number' }),
+      this.createField('Liquid Limit', sample.ll, `samples[${index}].ll`, { type: 'number' }),
+      this.createField('Plastic Limit', sample.pl, `samples[${index}].pl`, { plasticLimit: true })
     ));
 
-    body.appendChild(this.createField('Recovery (in)', sample.recovery, `samples[${index}].recovery`, { type: 'number' }));
+    const gradationLabel = document.createElement('div');
+    gradationLabel.className = 'form-subsection-label';
+    gradationLabel.textContent = 'Gradation';
+    body.appendChild(gradationLabel);
+    body.appendChild(this.createFieldRow(...this.createGradationFields(sample, `samples[${index}]`)));
 
     card.appendChild(body);
     return card;
@@ -633,63 +1078,618 @@ class FormEditor {
     this.updatePreview();
   }
 
+  renderCoreRunsSection(container) {
+    const runs = this.data.coreRuns || [];
+
+    // Add run button
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn-add';
+    addBtn.textContent = '+ Add Core Run';
+    addBtn.addEventListener('click', () => this.addCoreRun());
+    container.appendChild(addBtn);
+
+    if (runs.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'form-empty';
+      empty.textContent = 'No core runs defined';
+      container.appendChild(empty);
+      return;
+    }
+
+    // Run cards
+    runs.forEach((run, index) => {
+      const card = this.createCoreRunCard(run, index);
+      container.appendChild(card);
+    });
+  }
+
+  createCoreRunCard(run, index) {
+    const units = this.getUnits();
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.innerHTML = `
+      <span class="card-title">${run.id || 'Run ' + (index + 1)} (${run.depthTop ?? 0} - ${run.depthBottom ?? 0} ${units.depth})</span>
+      <button class="btn-delete" data-index="${index}">×</button>
+    `;
+    header.querySelector('.btn-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.removeCoreRun(index);
+    });
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+    const prefix = `coreRuns[${index}]`;
+
+    body.appendChild(this.createField('Run ID', run.id, `${prefix}.id`, { placeholder: `R-${index + 1}` }));
+
+    body.appendChild(this.createFieldRow(
+      this.createField(`Run Top (${units.depth})`, run.depthTop, `${prefix}.depthTop`, { type: 'number' }),
+      this.createField(`Run Bottom (${units.depth})`, run.depthBottom, `${prefix}.depthBottom`, { type: 'number' })
+    ));
+
+    body.appendChild(this.createFieldRow(
+      this.createField('Recovery (%)', run.recovery, `${prefix}.recovery`, { type: 'number' }),
+      this.createField('RQD (%)', run.rqd, `${prefix}.rqd`, { type: 'number' }),
+      this.createField('Fractures', run.fractures, `${prefix}.fractures`, { type: 'number' })
+    ));
+
+    body.appendChild(this.createFieldRow(
+      this.createField('Weathering', run.weathering, `${prefix}.weathering`, {
+        selectOptions: ['', 'fresh', 'slightly', 'moderately', 'highly', 'completely', 'residual']
+      }),
+      this.createField('Hardness', run.hardness, `${prefix}.hardness`, {
+        selectOptions: ['', 'very soft', 'soft', 'medium hard', 'hard', 'very hard']
+      })
+    ));
+
+    card.appendChild(body);
+    return card;
+  }
+
+  addCoreRun() {
+    if (!this.data.coreRuns) this.data.coreRuns = [];
+    const lastRun = this.data.coreRuns[this.data.coreRuns.length - 1];
+    const newTop = lastRun ? lastRun.depthBottom : 0;
+
+    this.data.coreRuns.push({
+      id: `R-${this.data.coreRuns.length + 1}`,
+      depthTop: newTop,
+      depthBottom: newTop + 5,
+      recovery: null,
+      rqd: null,
+      fractures: null,
+      weathering: '',
+      hardness: ''
+    });
+
+    this.render();
+    this.updatePreview();
+  }
+
+  removeCoreRun(index) {
+    this.data.coreRuns.splice(index, 1);
+    this.render();
+    this.updatePreview();
+  }
+
+  renderRemarksSection(container) {
+    const remarks = this.data.remarks || [];
+
+    // General remarks print in a block below the log
+    container.appendChild(this.createField('General Remarks', this.data.boring?.generalRemarks, 'boring.generalRemarks', {
+      type: 'textarea',
+      placeholder: 'Notes printed below the log'
+    }));
+
+    // Add remark button
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn-add';
+    addBtn.textContent = '+ Add Remark';
+    addBtn.addEventListener('click', () => this.addRemark());
+    container.appendChild(addBtn);
+
+    if (remarks.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'form-empty';
+      empty.textContent = 'No depth remarks';
+      container.appendChild(empty);
+      return;
+    }
+
+    // Remark cards
+    remarks.forEach((remark, index) => {
+      const card = this.createRemarkCard(remark, index);
+      container.appendChild(card);
+    });
+  }
+
+  createRemarkCard(remark, index) {
+    const units = this.getUnits();
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.innerHTML = `
+      <span class="card-title">Remark ${index + 1} (${remark.depth ?? '?'} ${units.depth})</span>
+      <button class="btn-delete" data-index="${index}">×</button>
+    `;
+    header.querySelector('.btn-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.removeRemark(index);
+    });
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+    const prefix = `remarks[${index}]`;
+
+    body.appendChild(this.createField(`Depth (${units.depth})`, remark.depth, `${prefix}.depth`, { type: 'number' }));
+    body.appendChild(this.createField('Remark', remark.text, `${prefix}.text`, {
+      placeholder: 'e.g. Rig chatter, lost circulation, refusal'
+    }));
+
+    card.appendChild(body);
+    return card;
+  }
+
+  addRemark() {
+    if (!this.data.remarks) this.data.remarks = [];
+    const lastRemark = this.data.remarks[this.data.remarks.length - 1];
+
+    this.data.remarks.push({
+      depth: lastRemark ? lastRemark.depth + 1 : 0,
+      text: ''
+    });
+
+    this.render();
+    this.updatePreview();
+  }
+
+  removeRemark(index) {
+    this.data.remarks.splice(index, 1);
+    this.render();
+    this.updatePreview();
+  }
+
   renderGroundwaterSection(container) {
     const gw = this.data.groundwater || {};
+    const observations = gw.observations || [];
+
+    // Add observation button
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn-add';
+    addBtn.textContent = '+ Add Water Level';
+    addBtn.addEventListener('click', () => this.addObservation());
+    container.appendChild(addBtn);
+
+    if (observations.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'form-empty';
+      empty.textContent = 'No water levels recorded';
+      container.appendChild(empty);
+    }
+
+    // Observation cards
+    observations.forEach((obs, index) => {
+      const card = this.createObservationCard(obs, index);
+      container.appendChild(card);
+    });
 
     const grid = document.createElement('div');
     grid.className = 'form-grid';
-
-    grid.appendChild(this.createField('Depth (ft)', gw.depth, 'groundwater.depth', { type: 'number' }));
     grid.appendChild(this.createField('Notes', gw.note, 'groundwater.note', { type: 'textarea' }));
-
     container.appendChild(grid);
   }
 
+  createObservationCard(obs, index) {
+    const units = this.getUnits();
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const typeLabels = {
+      encountered: 'First encountered',
+      completion: 'End of drilling',
+      stabilized: 'Stabilized'
+    };
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.innerHTML = `
+      <span class="card-title">${typeLabels[obs.type] || 'Water level'} @ ${obs.depth ?? '?'} ${units.depth}</span>
+      <button class="btn-delete" data-index="${index}">×</button>
+    `;
+    header.querySelector('.btn-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.removeObservation(index);
+    });
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+    const prefix = `groundwater.observations[${index}]`;
+
+    body.appendChild(this.createFieldRow(
+      this.createField('Type', obs.type, `${prefix}.type`, {
+        selectOptions: [
+          { value: '', label: '-- Select --' },
+          { value: 'encountered', label: typeLabels.encountered },
+          { value: 'completion', label: typeLabels.completion },
+          { value: 'stabilized', label: 'Stabilized (24 hr)' }
+        ]
+      }),
+      this.createField(`Depth (${units.depth})`, obs.depth, `${prefix}.depth`, { type: 'number' })
+    ));
+
+    body.appendChild(this.createFieldRow(
+      this.createField('Date', obs.date, `${prefix}.date`, { type: 'date' }),
+      this.createField('Time', obs.time, `${prefix}.time`, { type: 'time' })
+    ));
+
+    card.appendChild(body);
+    return card;
+  }
+
+  addObservation() {
+    if (!this.data.groundwater) this.data.groundwater = {};
+    if (!this.data.groundwater.observations) this.data.groundwater.observations = [];
+
+    // Suggest the next type in drilling order
+    const order = ['encountered', 'completion', 'stabilized'];
+    const used = this.data.groundwater.observations.map(obs => obs.type);
+    const lastDepth = this.data.groundwater.observations.slice(-1)[0]?.depth;
+
+    this.data.groundwater.observations.push({
+      type: order.find(type => !used.includes(type)) || '',
+      depth: lastDepth ?? 0,
+      date: '',
+      time: ''
+    });
+
+    this.render();
+    this.updatePreview();
+  }
+
+  removeObservation(index) {
+    this.data.groundwater.observations.splice(index, 1);
+    this.render();
+    this.updatePreview();
+  }
+
   renderWellSection(container) {
+    const units = this.getUnits();
     const well = this.data.well || {};
 
     const grid = document.createElement('div');
     grid.className = 'form-grid';
 
-    grid.appendChild(this.createFieldRow(
-      this.createField('Type', well.type, 'well.type', {
-        selectOptions: ['', 'monitoring', 'production', 'piezometer']
-      }),
-      this.createField('Casing Diameter (in)', well.casingDiameter, 'well.casingDiameter', { type: 'number' })
-    ));
+    const casings = well.casings || [];
+    const typeField = this.createField('Type', well.type, 'well.type', {
+      selectOptions: ['', 'monitoring', 'production', 'piezometer']
+    });
 
-    grid.appendChild(this.createField('Casing Material', well.casingMaterial, 'well.casingMaterial'));
+    // A single casing and screen, until casings are listed (nested or multi-screen wells)
+    if (casings.length === 0) {
+      grid.appendChild(this.createFieldRow(
+        typeField,
+        this.createField(`Casing Diameter (${units.diameter})`, well.casingDiameter, 'well.casingDiameter', { type: 'number' })
+      ));
+
+      grid.appendChild(this.createField('Casing Material', well.casingMaterial, 'well.casingMaterial'));
+
+      grid.appendChild(document.createElement('hr'));
+      const screenLabel = document.createElement('div');
+      screenLabel.className = 'form-subsection-label';
+      screenLabel.textContent = 'Screen';
+      grid.appendChild(screenLabel);
+
+      grid.appendChild(this.createFieldRow(
+        this.createField(`Screen Top (${units.depth})`, well.screenTop, 'well.screenTop', { type: 'number' }),
+        this.createField(`Screen Bottom (${units.depth})`, well.screenBottom, 'well.screenBottom', { type: 'number' })
+      ));
+
+      grid.appendChild(this.createFieldRow(
+        this.createField(`Slot Size (${units.diameter})`, well.screenSlotSize, 'well.screenSlotSize', { type: 'number' }),
+        this.createField('Filter Pack', well.filterPack, 'well.filterPack')
+      ));
+    } else {
+      grid.appendChild(this.createFieldRow(typeField, this.createField('Filter Pack', well.filterPack, 'well.filterPack')));
+    }
 
     grid.appendChild(document.createElement('hr'));
-    const screenLabel = document.createElement('div');
-    screenLabel.className = 'form-subsection-label';
-    screenLabel.textContent = 'Screen';
-    grid.appendChild(screenLabel);
+    const sealLabel = document.createElement('div');
+    sealLabel.className = 'form-subsection-label';
+    sealLabel.textContent = 'Seal';
+    grid.appendChild(sealLabel);
 
     grid.appendChild(this.createFieldRow(
-      this.createField('Screen Top (ft)', well.screenTop, 'well.screenTop', { type: 'number' }),
-      this.createField('Screen Bottom (ft)', well.screenBottom, 'well.screenBottom', { type: 'number' })
+      this.createField(`Seal Top (${units.depth})`, well.sealTop, 'well.sealTop', { type: 'number' }),
+      this.createField(`Seal Bottom (${units.depth})`, well.sealBottom, 'well.sealBottom', { type: 'number' })
     ));
 
+    grid.appendChild(this.createField('Seal Material', well.sealMaterial, 'well.sealMaterial'));
+
+    grid.appendChild(document.createElement('hr'));
+    const surfaceLabel = document.createElement('div');
+    surfaceLabel.className = 'form-subsection-label';
+    surfaceLabel.textContent = 'Surface Completion';
+    grid.appendChild(surfaceLabel);
+
     grid.appendChild(this.createFieldRow(
-      this.createField('Slot Size (in)', well.screenSlotSize, 'well.screenSlotSize', { type: 'number' }),
-      this.createField('Filter Pack', well.filterPack, 'well.filterPack')
+      this.createField('Completion', well.surfaceCompletion, 'well.surfaceCompletion', {
+        selectOptions: [
+          { value: '', label: '-- Select --' },
+          { value: 'stickup', label: 'Stick-up' },
+          { value: 'flush', label: 'Flush mount' }
+        ]
+      }),
+      this.createField(`Stick-up (${units.depth})`, well.surfaceStickup, 'well.surfaceStickup', { type: 'number' })
     ));
 
-    grid.appendChild(document.createElement('hr'));
-    const sealLabel = document.createElement('div');
-    sealLabel.className = 'form-subsection-label';
-    sealLabel.textContent = 'Seal';
-    grid.appendChild(sealLabel);
+    // Listed casings each have their own sump
+    const casingTopField = this.createField(`Top of Casing Elev. (${units.depth})`, well.casingTopElevation, 'well.casingTopElevation', { type: 'number' });
+    grid.appendChild(casings.length === 0 ? this.createFieldRow(
+      casingTopField,
+      this.createField(`Sump Length (${units.depth})`, well.sumpLength, 'well.sumpLength', { type: 'number' })
+    ) : casingTopField);
 
     grid.appendChild(this.createFieldRow(
-      this.createField('Seal Top (ft)', well.sealTop, 'well.sealTop', { type: 'number' }),
-      this.createField('Seal Bottom (ft)', well.sealBottom, 'well.sealBottom', { type: 'number' })
+      this.createField('Protective Casing', well.protectiveCasing, 'well.protectiveCasing', {
+        placeholder: 'e.g. 4" steel, locking cap'
+      }),
+      this.createField('Pad', well.pad, 'well.pad', { placeholder: 'e.g. 2x2 ft concrete' })
     ));
 
-    grid.appendChild(this.createField('Seal Material', well.sealMaterial, 'well.sealMaterial'));
+    grid.appendChild(this.createField(`Centralizer Depths (${units.depth})`, well.centralizers, 'well.centralizers', {
+      list: true,
+      placeholder: 'e.g. 5, 14'
+    }));
 
     container.appendChild(grid);
+
+    // Casings drawn side by side; adding the first takes over the single casing and screen
+    container.appendChild(document.createElement('hr'));
+    const casingsLabel = document.createElement('div');
+    casingsLabel.className = 'form-subsection-label';
+    casingsLabel.textContent = 'Casings';
+    container.appendChild(casingsLabel);
+
+    const addCasingBtn = document.createElement('button');
+    addCasingBtn.className = 'btn-add';
+    addCasingBtn.textContent = '+ Add Casing';
+    addCasingBtn.addEventListener('click', () => this.addCasing());
+    container.appendChild(addCasingBtn);
+
+    casings.forEach((casing, index) => {
+      container.appendChild(this.createCasingCard(casing, index));
+    });
+
+    // Annular fills replace the seal and filter pack on the log when present
+    container.appendChild(document.createElement('hr'));
+    const fillsLabel = document.createElement('div');
+    fillsLabel.className = 'form-subsection-label';
+    fillsLabel.textContent = 'Annular Fills';
+    container.appendChild(fillsLabel);
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn-add';
+    addBtn.textContent = '+ Add Annular Fill';
+    addBtn.addEventListener('click', () => this.addAnnularFill());
+    container.appendChild(addBtn);
+
+    (well.annularFills || []).forEach((fill, index) => {
+      container.appendChild(this.createAnnularFillCard(fill, index));
+    });
+  }
+
+  createCasingCard(casing, index) {
+    const units = this.getUnits();
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.innerHTML = `
+      <span class="card-title">Casing ${casing.label || index + 1}: ${casing.diameter ?? '?'} ${units.diameter} ${casing.material || ''}</span>
+      <button class="btn-delete" data-index="${index}">×</button>
+    `;
+    header.querySelector('.btn-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.removeCasing(index);
+    });
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+    const prefix = `well.casings[${index}]`;
+
+    body.appendChild(this.createFieldRow(
+      this.createField('Label', casing.label, `${prefix}.label`, { placeholder: 'e.g. MW-1S' }),
+      this.createField(`Diameter (${units.diameter})`, casing.diameter, `${prefix}.diameter`, { type: 'number' })
+    ));
+    body.appendChild(this.createFieldRow(
+      this.createField('Material', casing.material, `${prefix}.material`),
+      this.createField(`Sump Length (${units.depth})`, casing.sumpLength, `${prefix}.sumpLength`, { type: 'number' })
+    ));
+
+    // Screened intervals, top to bottom
+    (casing.screens || []).forEach((screen, screenIndex) => {
+      const screenPrefix = `${prefix}.screens[${screenIndex}]`;
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn-delete';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove screen';
+      removeBtn.addEventListener('click', () => this.removeCasingScreen(index, screenIndex));
+
+      const row = this.createFieldRow(
+        this.createField(`Screen ${screenIndex + 1} Top (${units.depth})`, screen.depthTop, `${screenPrefix}.depthTop`, { type: 'number' }),
+        this.createField(`Bottom (${units.depth})`, screen.depthBottom, `${screenPrefix}.depthBottom`, { type: 'number' }),
+        this.createField(`Slot (${units.diameter})`, screen.slotSize, `${screenPrefix}.slotSize`, { type: 'number' }),
+        removeBtn
+      );
+      body.appendChild(row);
+    });
+
+    const addScreenBtn = document.createElement('button');
+    addScreenBtn.className = 'btn-add';
+    addScreenBtn.textContent = '+ Add Screen';
+    addScreenBtn.addEventListener('click', () => this.addCasingScreen(index));
+    body.appendChild(addScreenBtn);
+
+    card.appendChild(body);
+    return card;
+  }
+
+  addCasing() {
+    if (!this.data.well) this.data.well = {};
+    const well = this.data.well;
+    if (!well.casings) well.casings = [];
+
+    // The single casing and screen become the first casing of the list
+    if (well.casings.length === 0 && (well.casingDiameter !== undefined || well.screenTop !== undefined)) {
+      const first = { label: '', diameter: well.casingDiameter, material: well.casingMaterial, screens: [] };
+      if (well.screenTop !== undefined && well.screenBottom !== undefined) {
+        first.screens.push({ depthTop: well.screenTop, depthBottom: well.screenBottom, slotSize: well.screenSlotSize });
+      }
+      if (well.sumpLength !== undefined) first.sumpLength = well.sumpLength;
+      well.casings.push(first);
+      ['casingDiameter', 'casingMaterial', 'screenTop', 'screenBottom', 'screenSlotSize', 'sumpLength']
+        .forEach(field => delete well[field]);
+    }
+
+    const lastCasing = well.casings[well.casings.length - 1];
+    well.casings.push({
+      label: '',
+      diameter: lastCasing?.diameter,
+      material: lastCasing?.material,
+      screens: []
+    });
+
+    this.render();
+    this.updatePreview();
+  }
+
+  removeCasing(index) {
+    this.data.well.casings.splice(index, 1);
+    this.render();
+    this.updatePreview();
+  }
+
+  addCasingScreen(casingIndex) {
+    const casing = this.data.well.casings[casingIndex];
+    if (!casing.screens) casing.screens = [];
+    const lastScreen = casing.screens[casing.screens.length - 1];
+    const depthTop = lastScreen ? lastScreen.depthBottom + 1 : 0;
+
+    casing.screens.push({
+      depthTop,
+      depthBottom: depthTop + 5
+    });
+
+    this.render();
+    this.updatePreview();
+  }
+
+  removeCasingScreen(casingIndex, screenIndex) {
+    this.data.well.casings[casingIndex].screens.splice(screenIndex, 1);
+    this.render();
+    this.updatePreview();
+  }
+
+  createAnnularFillCard(fill, index) {
+    const units = this.getUnits();
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.innerHTML = `
+      <span class="card-title">Fill ${index + 1}: ${fill.material || '?'} (${fill.depthTop ?? 0} - ${fill.depthBottom ?? 0} ${units.depth})</span>
+      <button class="btn-delete" data-index="${index}">×</button>
+    `;
+    header.querySelector('.btn-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.removeAnnularFill(index);
+    });
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+    const prefix = `well.annularFills[${index}]`;
+
+    body.appendChild(this.createFieldRow(
+      this.createField(`Top (${units.depth})`, fill.depthTop, `${prefix}.depthTop`, { type: 'number' }),
+      this.createField(`Bottom (${units.depth})`, fill.depthBottom, `${prefix}.depthBottom`, { type: 'number' })
+    ));
+    body.appendChild(this.createField('Material', fill.material, `${prefix}.material`, {
+      placeholder: 'e.g. Bentonite chips, grout, cement, filter sand'
+    }));
+
+    card.appendChild(body);
+    return card;
+  }
+
+  addAnnularFill() {
+    if (!this.data.well) this.data.well = {};
+    if (!this.data.well.annularFills) this.data.well.annularFills = [];
+    const fills = this.data.well.annularFills;
+    const lastFill = fills[fills.length - 1];
+    const depthTop = lastFill ? lastFill.depthBottom : 0;
+
+    fills.push({
+      depthTop,
+      depthBottom: depthTop + 1,
+      material: ''
+    });
+
+    this.render();
+    this.updatePreview();
+  }
+
+  removeAnnularFill(index) {
+    this.data.well.annularFills.splice(index, 1);
+    this.render();
+    this.updatePreview();
+  }
+
+  // USCS dropdown options from the pattern registry, keeping an unlisted current code (e.g. GP-GM)
+  getLithologyOptions(current) {
+    const options = [
+      { value: '', label: '-- Select --' },
+      ...Patterns.list().map(({ code, description }) => ({ value: code, label: `${code} - ${description}` }))
+    ];
+    if (current && !options.some(opt => opt.value === current)) {
+      options.push({ value: current, label: `${current} - ${Patterns.getDescription(current)}` });
+    }
+    return options;
+  }
+
+  // Hammer types with their typical energy ratio (BoringLog.hammerTypes)
+  getHammerTypeOptions(current) {
+    const options = [
+      { value: '', label: '-- Select --' },
+      ...Object.entries(BoringLog.hammerTypes).map(([key, type]) => ({ value: key, label: `${type.label} (ER ~${type.energyRatio}%)` }))
+    ];
+    if (current && !options.some(opt => opt.value === current)) {
+      options.push({ value: current, label: current });
+    }
+    return options;
+  }
+
+  // Sample types registered with the preview (BoringLog.sampleTypes, its config.sampleTypes and the data's sampleTypes)
+  getSampleTypeOptions(current) {
+    const options = [
+      { value: '', label: '-- Select --' },
+      ...Object.entries(this.boringLog?.getSampleTypes() || BoringLog.sampleTypes).map(([code, type]) => ({ value: code, label: `${code} - ${type.label || code}` }))
+    ];
+    if (current && !options.some(opt => opt.value === current)) {
+      options.push({ value: current, label: current });
+    }
+    return options;
   }
 
   // Validation
@@ -703,6 +1703,7 @@ class FormEditor {
     const samples = this.data.samples || [];
     const well = this.data.well || {};
     const totalDepth = boring.totalDepth;
+    const units = this.getUnits();
 
     // Boring validation
     if (!boring.id || boring.id.trim() === '') {
@@ -731,13 +1732,15 @@ class FormEditor {
         }
 
         if (totalDepth && layer.depthBottom > totalDepth) {
-          this.errors[`${prefix}.depthBottom`] = `Exceeds total depth (${totalDepth} ft)`;
+          this.errors[`${prefix}.depthBottom`] = `Exceeds total depth (${totalDepth} ${units.depth})`;
         }
       }
 
       if (!layer.uscs || layer.uscs.trim() === '') {
         this.errors[`${prefix}.uscs`] = 'USCS is required';
       }
+
+      this.validateLabValues(layer, prefix);
     });
 
     // Check for layer overlaps
@@ -761,13 +1764,71 @@ class FormEditor {
         }
 
         if (totalDepth && sample.depthBottom > totalDepth) {
-          this.errors[`${prefix}.depthBottom`] = `Exceeds total depth (${totalDepth} ft)`;
+          this.errors[`${prefix}.depthBottom`] = `Exceeds total depth (${totalDepth} ${units.depth})`;
         }
       }
 
       if (!sample.type || sample.type.trim() === '') {
         this.errors[`${prefix}.type`] = 'Sample type is required';
       }
+
+      // Blow counts: whole increments, then blows/penetration where the drive stopped
+      const blows = Array.isArray(sample.blows) ? sample.blows : [];
+      const stopped = blows.findIndex(value => String(value ?? '').includes('/'));
+      blows.forEach((value, b) => {
+        if (value === null || value === undefined || value === '') return;
+        if (!/^\s*\d+(\.\d+)?\s*(\/\s*\d+(\.\d+)?\s*("|in|mm)?)?\s*$/i.test(String(value))) {
+          this.errors[`${prefix}.blows.${b}`] = 'Use a blow count or blows/penetration (e.g. 50/3)';
+        } else if (stopped !== -1 && b > stopped) {
+          this.errors[`${prefix}.blows.${b}`] = `Drive stopped in increment ${stopped + 1}`;
+        }
+      });
+
+      this.validateLabValues(sample, prefix);
+    });
+
+    // Core run validation
+    const coreRuns = this.data.coreRuns || [];
+    coreRuns.forEach((run, i) => {
+      const prefix = `coreRuns[${i}]`;
+
+      if (run.depthTop !== undefined && run.depthBottom !== undefined) {
+        if (run.depthBottom <= run.depthTop) {
+          this.errors[`${prefix}.depthBottom`] = 'Must be greater than top';
+        }
+
+        if (totalDepth && run.depthBottom > totalDepth) {
+          this.errors[`${prefix}.depthBottom`] = `Exceeds total depth (${totalDepth} ${units.depth})`;
+        }
+      }
+
+      ['recovery', 'rqd'].forEach(field => {
+        if (typeof run[field] === 'number' && (run[field] < 0 || run[field] > 100)) {
+          this.errors[`${prefix}.${field}`] = 'Must be between 0 and 100';
+        }
+      });
+
+      if (typeof run.rqd === 'number' && typeof run.recovery === 'number' && run.rqd > run.recovery) {
+        this.errors[`${prefix}.rqd`] = 'RQD cannot exceed recovery';
+      }
+    });
+
+    // Groundwater validation
+    const observations = this.data.groundwater?.observations || [];
+    observations.forEach((obs, i) => {
+      if (totalDepth && obs.depth > totalDepth) {
+        this.errors[`groundwater.observations[${i}].depth`] = `Exceeds total depth (${totalDepth} ${units.depth})`;
+      }
+    });
+
+    // Remark validation
+    const remarks = this.data.remarks || [];
+    remarks.forEach((remark, i) => {
+      if (typeof remark.depth !== 'number') {
+        this.errors[`remarks[${i}].depth`] = 'Required';
+      } else if (totalDepth && remark.depth > totalDepth) {
+        this.errors[`remarks[${i}].depth`] = `Exceeds total depth (${totalDepth} ${units.depth})`;
+      }
     });
 
     // Well validation
@@ -777,7 +1838,7 @@ class FormEditor {
       }
 
       if (totalDepth && well.screenBottom > totalDepth) {
-        this.errors['well.screenBottom'] = `Exceeds total depth (${totalDepth} ft)`;
+        this.errors['well.screenBottom'] = `Exceeds total depth (${totalDepth} ${units.depth})`;
       }
     }
 
@@ -787,6 +1848,85 @@ class FormEditor {
       }
     }
 
+    (well.casings || []).forEach((casing, c) => {
+      (casing.screens || []).forEach((screen, i) => {
+        const path = `well.casings[${c}].screens[${i}].depthBottom`;
+        if (screen.depthBottom <= screen.depthTop) {
+          this.errors[path] = 'Must be greater than top';
+        } else if (totalDepth && screen.depthBottom > totalDepth) {
+          this.errors[path] = `Exceeds total depth (${totalDepth} ${units.depth})`;
+        }
+      });
+    });
+
+    (well.annularFills || []).forEach((fill, i) => {
+      if (fill.depthBottom <= fill.depthTop) {
+        this.errors[`well.annularFills[${i}].depthBottom`] = 'Must be greater than top';
+      } else if (totalDepth && fill.depthBottom > totalDepth) {
+        this.errors[`well.annularFills[${i}].depthBottom`] = `Exceeds total depth (${totalDepth} ${units.depth})`;
+      }
+    });
+
     return Object.keys(this.errors).length === 0;
   }
+
+  // Atterberg limits and gradation on a layer or sample
+  validateLabValues(item, prefix) {
+    if (typeof item.ll === 'number' && typeof item.pl === 'number' && item.pl > item.ll) {
+      this.errors[`${prefix}.pl`] = 'Plastic limit exceeds liquid limit';
+    } else if (typeof item.pl === 'string' && item.pl !== '' && !UscsClassifier.isNonplastic(item.pl)) {
+      this.errors[`${prefix}.pl`] = 'Use a number, or NP for nonplastic';
+    }
+
+    const fractions = ['gravel', 'sand', 'fines'].filter(field => typeof item[field] === 'number');
+    fractions.forEach(field => {
+      if (item[field] < 0 || item[field] > 100) {
+        this.errors[`${prefix}.${field}`] = 'Must be between 0 and 100';
+      }
+    });
+    const total = fractions.reduce((sum, field) => sum + item[field], 0);
+    // All three must make up 100%; fewer may not pass it
+    if (fractions.length === 3 ? Math.abs(total - 100) > 0.5 : total > 100.5) {
+      this.errors[`${prefix}.${fractions[fractions.length - 1]}`] = `Gravel, sand and fines add up to ${Math.round(total * 10) / 10}%`;
+    }
+  }
 }
+
+// Data fields converted when boring.units changes, by path ("[]" for each item of
+// an array) and the quantity they measure (a Units system key, or 'blows' for the
+// penetration of partial SPT drives)
+FormEditor.measuredFields = {
+  'boring.totalDepth': 'depth',
+  'boring.elevation': 'depth',
+  'boring.hammerWeight': 'hammerWeight',
+  'boring.hammerDrop': 'hammerDrop',
+  'layers[].depthTop': 'depth',
+  'layers[].depthBottom': 'depth',
+  'layers[].unitWeight': 'unitWeight',
+  'samples[].depth': 'depth',
+  'samples[].depthTop': 'depth',
+  'samples[].depthBottom': 'depth',
+  'samples[].recovery': 'recovery',
+  'samples[].blows[]': 'blows',
+  'coreRuns[].depthTop': 'depth',
+  'coreRuns[].depthBottom': 'depth',
+  'groundwater.observations[].depth': 'depth',
+  'remarks[].depth': 'depth',
+  'well.casingDiameter': 'diameter',
+  'well.screenTop': 'depth',
+  'well.screenBottom': 'depth',
+  'well.screenSlotSize': 'diameter',
+  'well.sealTop': 'depth',
+  'well.sealBottom': 'depth',
+  'well.surfaceStickup': 'depth',
+  'well.casingTopElevation': 'depth',
+  'well.sumpLength': 'depth',
+  'well.centralizers[]': 'depth',
+  'well.casings[].diameter': 'diameter',
+  'well.casings[].sumpLength': 'depth',
+  'well.casings[].screens[].depthTop': 'depth',
+  'well.casings[].screens[].depthBottom': 'depth',
+  'well.casings[].screens[].slotSize': 'diameter',
+  'well.annularFills[].depthTop': 'depth',
+  'well.annularFills[].depthBottom': 'depth'
+};
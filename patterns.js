@@ -0,0 +1,126 @@
+/**
+ * Lithology Pattern Registry
+ * Fill colours, pattern primitives and legend descriptions for soil and rock codes
+ */
+
+const Patterns = {
+  // Primitives that BoringLog can draw over a code's fill (combine them in an array)
+  primitives: [
+    'gravel', 'sand', 'silt', 'clay', 'clay-heavy', 'organic', 'peat',
+    'topsoil', 'fill', 'rock', 'shale', 'till', 'default'
+  ],
+
+  // Pattern tile size in pixels (raw SVG tiles may set their own size)
+  tileSize: 16,
+
+  // Drawn for codes that are not registered
+  fallback: { pattern: 'default', fill: '#e0e0e0', description: null },
+
+  // Registered codes. `menu: false` keeps aliases out of the form's dropdown.
+  // `density` scales the hatching in print themes, where codes sharing a pattern
+  // (e.g. SW and SP) cannot be told apart by fill colour.
+  codes: {
+    // Gravels - circles
+    GW: { pattern: 'gravel', fill: '#d4a574', description: 'Well-graded gravel' },
+    GP: { pattern: 'gravel', fill: '#c9956a', description: 'Poorly graded gravel', density: 0.7 },
+    GM: { pattern: ['gravel', 'silt'], fill: '#bfae8e', description: 'Silty gravel' },
+    GC: { pattern: ['gravel', 'clay'], fill: '#a89070', description: 'Clayey gravel' },
+
+    // Sands - dots
+    SW: { pattern: 'sand', fill: '#f4e4bc', description: 'Well-graded sand' },
+    SP: { pattern: 'sand', fill: '#edd9a8', description: 'Poorly graded sand', density: 0.6 },
+    SM: { pattern: ['sand', 'silt'], fill: '#e6d5a8', description: 'Silty sand' },
+    SC: { pattern: ['sand', 'clay'], fill: '#d9c494', description: 'Clayey sand' },
+
+    // Silts - horizontal lines
+    ML: { pattern: 'silt', fill: '#c4d4c4', description: 'Silt (low plasticity)' },
+    MH: { pattern: 'silt', fill: '#a8c4a8', description: 'Silt (high plasticity)', density: 1.5 },
+
+    // Clays - diagonal lines
+    CL: { pattern: 'clay', fill: '#8fbc8f', description: 'Clay (low plasticity)' },
+    CH: { pattern: 'clay-heavy', fill: '#6b8e6b', description: 'Clay (high plasticity)' },
+
+    // Organics
+    OL: { pattern: 'organic', fill: '#8b7355', description: 'Organic silt' },
+    OH: { pattern: 'organic', fill: '#6b5344', description: 'Organic clay', density: 1.4 },
+
+    // Peat
+    PT: { pattern: 'peat', fill: '#4a3728', description: 'Peat' },
+
+    // === Non-USCS / Extended Codes ===
+    TS: { pattern: 'topsoil', fill: '#5d4e37', description: 'Topsoil' },
+    TOPSOIL: { pattern: 'topsoil', fill: '#5d4e37', description: 'Topsoil', menu: false },
+    FILL: { pattern: 'fill', fill: '#9e9e9e', description: 'Fill material' },
+
+    // Rock types
+    ROCK: { pattern: 'rock', fill: '#c0c0c0', description: 'Rock' },
+    BR: { pattern: 'rock', fill: '#a0a0a0', description: 'Bedrock', density: 1.4 },
+    QUA: { pattern: 'rock', fill: '#d4d4d4', description: 'Quartz', density: 0.7 },
+    ARG: { pattern: 'rock', fill: '#b8a090', description: 'Argillite', density: 1.8 },
+
+    // Other common codes
+    ORGANICS: { pattern: 'organic', fill: '#6b5344', description: 'Organic material', menu: false },
+    MK: { pattern: 'silt', fill: '#a8c4a8', description: 'Micaceous silt', density: 0.7 }
+  },
+
+  /**
+   * Register (or replace) a lithology code.
+   * definition: { fill, pattern, tile, size, density, description, menu }
+   *   pattern - primitive name or array of names drawn over the fill
+   *   tile    - raw SVG markup for one pattern tile, used instead of `pattern`
+   *   density - hatch density in print themes (default 1; above 1 is tighter)
+   */
+  register(code, definition = {}) {
+    const key = String(code || '').toUpperCase().trim();
+    // Codes become SVG ids, and "-" separates dual classifications like GP-GM
+    if (!/^[A-Z0-9_]+$/.test(key)) {
+      throw new Error(`Invalid lithology code "${code}" (use letters, digits and underscores)`);
+    }
+
+    const primitives = [].concat(definition.pattern || []);
+    const unknown = primitives.filter(name => !this.primitives.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown pattern primitive "${unknown[0]}" for ${key}`);
+    }
+    if (!definition.tile && primitives.length === 0) {
+      throw new Error(`Lithology code ${key} needs a pattern or a tile`);
+    }
+
+    this.codes[key] = {
+      fill: definition.fill || this.fallback.fill,
+      pattern: definition.tile ? null : definition.pattern,
+      tile: definition.tile || null,
+      size: definition.size || this.tileSize,
+      density: definition.density > 0 ? definition.density : 1,
+      description: definition.description || key,
+      menu: definition.menu !== false
+    };
+    return this.codes[key];
+  },
+
+  unregister(code) {
+    delete this.codes[String(code || '').toUpperCase().trim()];
+  },
+
+  // Definition for a code, or null when it is not registered
+  get(code) {
+    return this.codes[String(code || '').toUpperCase().trim()] || null;
+  },
+
+  // Legend description for a code; unknown codes describe themselves
+  getDescription(code) {
+    return this.get(code)?.description || String(code).toUpperCase();
+  },
+
+  // Codes offered in the form's dropdown, in registration order
+  list() {
+    return Object.entries(this.codes)
+      .filter(([, definition]) => definition.menu !== false)
+      .map(([code, definition]) => ({ code, description: definition.description }));
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Patterns;
+}
@@ -0,0 +1,1126 @@
+/**
+ * PDF Export
+ * Converts rendered boring log sheets to vector PDF pages on standard paper
+ * sizes. Runs client-side with no dependencies, on browser DOM sheets and
+ * on headless (svg-document.js) sheets alike.
+ */
+
+// Headless element tree, used to parse raw pattern tiles (svg-document.js)
+const PdfSvgDocument = typeof SvgDocument !== 'undefined' ? SvgDocument : require('./svg-document.js');
+
+// Bezier handle length for quarter circles
+const KAPPA = 0.5522847498;
+
+// Attributes children inherit from their ancestors
+const INHERITED = [
+  'fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
+  'fill-opacity', 'stroke-opacity', 'fill-rule', 'font-size', 'font-weight', 'font-style',
+  'text-anchor', 'visibility'
+];
+
+// Elements that only define resources or have no PDF equivalent
+const SKIPPED = [
+  'defs', 'pattern', 'marker', 'filter', 'clipPath', 'mask', 'symbol', 'linearGradient',
+  'radialGradient', 'title', 'desc', 'style', 'script', 'metadata', 'foreignObject'
+];
+
+/**
+ * Writes PDF objects and assembles the file. Objects are numbered in the
+ * order they are added; reserve() hands out a number to fill in later.
+ */
+class PdfDocument {
+  constructor() {
+    this.objects = [];
+    this.fonts = {};
+    this.patterns = {};
+    this.states = {};
+    this.images = {};
+  }
+
+  reserve() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  add(dictionary, stream = null) {
+    const number = this.reserve();
+    this.set(number, dictionary, stream);
+    return number;
+  }
+
+  // stream is a latin1 string or a Uint8Array; its /Length is added here
+  set(number, dictionary, stream = null) {
+    if (stream === null) {
+      this.objects[number - 1] = [PdfExport.serialize(dictionary)];
+      return;
+    }
+    const length = typeof stream === 'string' ? stream.length : stream.byteLength;
+    this.objects[number - 1] = [
+      PdfExport.serialize({ ...dictionary, Length: length }) + '\nstream\n',
+      stream,
+      '\nendstream'
+    ];
+  }
+
+  // Standard Type 1 font object, shared by all pages
+  font(name) {
+    if (!this.fonts[name]) {
+      this.fonts[name] = this.add({
+        Type: '/Font',
+        Subtype: '/Type1',
+        BaseFont: `/${name}`,
+        Encoding: '/WinAnsiEncoding'
+      });
+    }
+    return this.fonts[name];
+  }
+
+  toBytes(root, info) {
+    const chunks = ['%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'];
+    const offsets = [];
+    let length = chunks[0].length;
+    const push = chunk => {
+      chunks.push(chunk);
+      length += typeof chunk === 'string' ? chunk.length : chunk.byteLength;
+    };
+
+    this.objects.forEach((parts, i) => {
+      offsets.push(length);
+      push(`${i + 1} 0 obj\n`);
+      (parts || ['null']).forEach(push);
+      push('\nendobj\n');
+    });
+
+    const xref = length;
+    push(`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    push('trailer\n' + PdfExport.serialize({ Size: this.objects.length + 1, Root: `${root} 0 R`, Info: `${info} 0 R` }));
+    push(`\nstartxref\n${xref}\n%%EOF\n`);
+
+    const bytes = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+      if (typeof chunk === 'string') {
+        for (let i = 0; i < chunk.length; i++) bytes[position++] = chunk.charCodeAt(i) & 0xff;
+      } else {
+        bytes.set(chunk, position);
+        position += chunk.byteLength;
+      }
+    });
+    return bytes;
+  }
+}
+
+/**
+ * Draws an SVG element tree into one PDF content stream, collecting the
+ * fonts, patterns, images and opacity states it uses as page resources.
+ */
+class PdfCanvas {
+  constructor(pdf, ids) {
+    this.pdf = pdf;
+    this.ids = ids;
+    this.ops = [];
+    this.resources = { Font: {}, Pattern: {}, ExtGState: {}, XObject: {} };
+  }
+
+  // Register a resource object under a short name (F1, P1, ...) for this stream
+  resource(type, prefix, number) {
+    const entries = this.resources[type];
+    const existing = Object.keys(entries).find(name => entries[name] === `${number} 0 R`);
+    if (existing) return existing;
+    const name = `${prefix}${Object.keys(entries).length + 1}`;
+    entries[name] = `${number} 0 R`;
+    return name;
+  }
+
+  getResources() {
+    const resources = {};
+    for (const [type, entries] of Object.entries(this.resources)) {
+      if (Object.keys(entries).length > 0) resources[type] = entries;
+    }
+    return resources;
+  }
+
+  drawChildren(node, style, matrix) {
+    PdfExport.children(node).forEach(child => this.draw(child, style, matrix));
+  }
+
+  draw(node, parentStyle, parentMatrix) {
+    const tag = PdfExport.tagName(node);
+    if (!tag || SKIPPED.includes(tag)) return;
+
+    const attrs = PdfExport.attributes(node);
+    if (attrs.display === 'none') return;
+
+    const style = { ...parentStyle, opacity: parentStyle.opacity * PdfExport.number(attrs.opacity, 1) };
+    INHERITED.forEach(name => {
+      if (attrs[name] !== undefined && attrs[name] !== 'inherit') style[name] = attrs[name];
+    });
+
+    const transform = attrs.transform ? PdfExport.parseTransform(attrs.transform) : null;
+    const matrix = transform ? PdfExport.multiply(transform, parentMatrix) : parentMatrix;
+
+    this.ops.push('q');
+    if (transform) this.ops.push(`${transform.map(PdfExport.format).join(' ')} cm`);
+
+    if (tag === 'g' || tag === 'svg' || tag === 'a') {
+      this.drawChildren(node, style, matrix);
+    } else if (style.visibility !== 'hidden') {
+      if (tag === 'text') {
+        this.drawText(node, attrs, style);
+      } else if (tag === 'image') {
+        this.drawImage(attrs);
+      } else {
+        const path = PdfExport.shapePath(tag, attrs);
+        if (path) this.paint(path, style, matrix);
+      }
+    }
+
+    this.ops.push('Q');
+  }
+
+  // Fill and/or stroke a path built from absolute segments
+  paint(segments, style, matrix) {
+    const fill = this.setFill(style, matrix);
+    const stroke = this.setStroke(style);
+    if (!fill && !stroke) return;
+
+    this.ops.push(PdfExport.pathOps(segments));
+    const evenOdd = style['fill-rule'] === 'evenodd' ? '*' : '';
+    if (fill && stroke) this.ops.push(`B${evenOdd}`);
+    else if (fill) this.ops.push(`f${evenOdd}`);
+    else this.ops.push('S');
+  }
+
+  // Set the fill colour or pattern; false when nothing is filled
+  setFill(style, matrix) {
+    const fill = style.fill === undefined ? 'black' : style.fill;
+    const alpha = style.opacity * PdfExport.number(style['fill-opacity'], 1);
+    if (alpha <= 0) return false;
+
+    const reference = /^url\(\s*#([^)]+)\)\s*(.*)$/.exec(fill);
+    if (reference) {
+      const pattern = this.ids[reference[1]];
+      if (pattern && PdfExport.tagName(pattern) === 'pattern') {
+        this.setAlpha('ca', alpha);
+        this.ops.push(`/Pattern cs /${this.pattern(pattern, matrix)} scn`);
+        return true;
+      }
+      // Unsupported paint servers use their fallback colour, if any
+      return this.setColor(reference[2], 'rg', alpha);
+    }
+    return this.setColor(fill, 'rg', alpha);
+  }
+
+  setStroke(style) {
+    const alpha = style.opacity * PdfExport.number(style['stroke-opacity'], 1);
+    const width = PdfExport.number(style['stroke-width'], 1);
+    if (alpha <= 0 || width <= 0 || !this.setColor(style.stroke, 'RG', alpha)) return false;
+
+    this.ops.push(`${PdfExport.format(width)} w`);
+    const dashes = String(style['stroke-dasharray'] || 'none').split(/[\s,]+/).map(Number).filter(n => n >= 0);
+    if (dashes.length > 0 && dashes.some(n => n > 0)) {
+      this.ops.push(`[${dashes.map(PdfExport.format).join(' ')}] 0 d`);
+    }
+    const caps = { butt: 0, round: 1, square: 2 };
+    const joins = { miter: 0, round: 1, bevel: 2 };
+    if (caps[style['stroke-linecap']]) this.ops.push(`${caps[style['stroke-linecap']]} J`);
+    if (joins[style['stroke-linejoin']]) this.ops.push(`${joins[style['stroke-linejoin']]} j`);
+    return true;
+  }
+
+  setColor(value, operator, alpha) {
+    const rgb = PdfExport.parseColor(value);
+    if (!rgb) return false;
+    this.setAlpha(operator === 'rg' ? 'ca' : 'CA', alpha);
+    this.ops.push(`${rgb.map(c => PdfExport.format(c / 255)).join(' ')} ${operator}`);
+    return true;
+  }
+
+  // Transparency through an ExtGState; opaque drawing needs none
+  setAlpha(key, alpha) {
+    if (alpha >= 1) return;
+    const value = Math.round(alpha * 100) / 100;
+    const cacheKey = `${key}-${value}`;
+    if (!this.pdf.states[cacheKey]) {
+      this.pdf.states[cacheKey] = this.pdf.add({ Type: '/ExtGState', [key]: value });
+    }
+    this.ops.push(`/${this.resource('ExtGState', 'GS', this.pdf.states[cacheKey])} gs`);
+  }
+
+  /**
+   * Tiling pattern for an SVG <pattern>. PDF pattern space is tied to the
+   * page, not the current transform, so each pattern is written once per
+   * transform it is used under.
+   */
+  pattern(element, matrix) {
+    const attrs = PdfExport.attributes(element);
+    const width = PdfExport.number(attrs.width, 0);
+    const height = PdfExport.number(attrs.height, 0);
+    const offset = [1, 0, 0, 1, PdfExport.number(attrs.x, 0), PdfExport.number(attrs.y, 0)];
+    const tileMatrix = attrs.patternTransform ? PdfExport.parseTransform(attrs.patternTransform) : [1, 0, 0, 1, 0, 0];
+    const patternMatrix = PdfExport.multiply(PdfExport.multiply(offset, tileMatrix), matrix);
+    const key = `${attrs.id}|${patternMatrix.map(PdfExport.format).join(' ')}`;
+
+    if (!this.pdf.patterns[key]) {
+      const tile = new PdfCanvas(this.pdf, this.ids);
+      tile.drawChildren(element, { opacity: 1 }, patternMatrix);
+      this.pdf.patterns[key] = this.pdf.add({
+        Type: '/Pattern',
+        PatternType: 1,
+        PaintType: 1,
+        TilingType: 1,
+        BBox: [0, 0, width, height],
+        XStep: width,
+        YStep: height,
+        Matrix: patternMatrix,
+        Resources: tile.getResources()
+      }, tile.ops.join('\n'));
+    }
+    return this.resource('Pattern', 'P', this.pdf.patterns[key]);
+  }
+
+  drawText(node, attrs, style) {
+    const text = String(node.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    const alpha = style.opacity * PdfExport.number(style['fill-opacity'], 1);
+    if (!this.setColor(style.fill === undefined ? 'black' : style.fill, 'rg', alpha)) return;
+
+    const fontSize = PdfExport.number(style['font-size'], 16);
+    const bold = /^(bold|bolder|[6-9]00)$/.test(String(style['font-weight'] || ''));
+    const italic = /^(italic|oblique)$/.test(String(style['font-style'] || ''));
+    const fontName = PdfExport.fontName(bold, italic);
+    const font = this.resource('Font', 'F', this.pdf.font(fontName));
+
+    let x = PdfExport.number(attrs.x, 0) + PdfExport.number(attrs.dx, 0);
+    const y = PdfExport.number(attrs.y, 0) + PdfExport.number(attrs.dy, 0);
+    const width = PdfExport.measureText(text, fontSize, bold);
+    if (style['text-anchor'] === 'middle') x -= width / 2;
+    if (style['text-anchor'] === 'end') x -= width;
+
+    // The page is flipped to SVG's y-down space; flip glyphs back upright
+    this.ops.push(`BT /${font} ${PdfExport.format(fontSize)} Tf 1 0 0 -1 ${PdfExport.format(x)} ${PdfExport.format(y)} Tm ${PdfExport.encodeText(text)} Tj ET`);
+  }
+
+  drawImage(attrs) {
+    const href = attrs.href || attrs['xlink:href'];
+    const image = href && this.pdf.images[href] !== undefined ? this.pdf.images[href] : PdfExport.embedImage(this.pdf, href);
+    this.pdf.images[href] = image;
+    if (!image) return;
+
+    const box = {
+      x: PdfExport.number(attrs.x, 0),
+      y: PdfExport.number(attrs.y, 0),
+      width: PdfExport.number(attrs.width, image.width),
+      height: PdfExport.number(attrs.height, image.height)
+    };
+    const place = PdfExport.fitImage(image, box, attrs.preserveAspectRatio);
+    const name = this.resource('XObject', 'Im', image.number);
+    const values = [place.width, 0, 0, -place.height, place.x, place.y + place.height].map(PdfExport.format);
+    this.ops.push(`q ${values.join(' ')} cm /${name} Do Q`);
+  }
+}
+
+const PdfExport = {
+  // Paper sizes in points (1/72 in), portrait
+  paperSizes: {
+    letter: { label: 'Letter', width: 612, height: 792 },
+    legal: { label: 'Legal', width: 612, height: 1008 },
+    tabloid: { label: 'Tabloid', width: 792, height: 1224 },
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+    a3: { label: 'A3', width: 841.89, height: 1190.55 }
+  },
+
+  // Page orientations; auto turns each page to match its sheet's shape
+  orientations: {
+    auto: { label: 'Auto orientation' },
+    portrait: { label: 'Portrait' },
+    landscape: { label: 'Landscape' }
+  },
+
+  /**
+   * Options for create():
+   *   paper       - key of paperSizes (default letter)
+   *   orientation - key of orientations (default auto)
+   *   margin      - page margin in points (default 36, i.e. 0.5 in)
+   *   title       - document title
+   */
+  defaults: {
+    paper: 'letter',
+    orientation: 'auto',
+    margin: 36,
+    title: 'Boring Log'
+  },
+
+  // Named colours the renderer and common tiles use (others need hex or rgb())
+  namedColors: {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    red: [255, 0, 0],
+    green: [0, 128, 0],
+    blue: [0, 0, 255],
+    yellow: [255, 255, 0],
+    orange: [255, 165, 0],
+    brown: [165, 42, 42],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128],
+    silver: [192, 192, 192],
+    darkgray: [169, 169, 169],
+    lightgray: [211, 211, 211],
+    navy: [0, 0, 128],
+    tan: [210, 180, 140]
+  },
+
+  // Helvetica advance widths (1/1000 em) for ASCII 32-126, regular and bold
+  fontWidths: {
+    regular: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+      278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+  },
+
+  // WinAnsiEncoding codes for characters outside Latin-1
+  winAnsi: {
+    '€': 128, '‚': 130, 'ƒ': 131, '„': 132, '…': 133, '†': 134, '‡': 135, 'ˆ': 136,
+    '‰': 137, 'Š': 138, '‹': 139, 'Œ': 140, 'Ž': 142, '‘': 145, '’': 146, '“': 147,
+    '”': 148, '•': 149, '–': 150, '—': 151, '˜': 152, '™': 153, 'š': 154, '›': 155,
+    'œ': 156, 'ž': 158, 'Ÿ': 159
+  },
+
+  /**
+   * Build a PDF with one page per sheet. Each sheet is scaled to fit the
+   * paper inside the margins and centred horizontally. Returns the file as
+   * a Uint8Array.
+   */
+  create(sheets, options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const paper = this.paperSizes[String(settings.paper).toLowerCase()];
+    if (!paper) {
+      throw new Error(`Unknown paper size "${settings.paper}" (use ${Object.keys(this.paperSizes).join(', ')})`);
+    }
+    const list = [].concat(sheets || []);
+    if (list.length === 0) {
+      throw new Error('Nothing to export: the log has no sheets');
+    }
+
+    const pdf = new PdfDocument();
+    const catalog = pdf.reserve();
+    const pages = pdf.reserve();
+    const kids = list.map(sheet => this.addPage(pdf, sheet, paper, settings, pages));
+
+    pdf.set(catalog, { Type: '/Catalog', Pages: `${pages} 0 R` });
+    pdf.set(pages, { Type: '/Pages', Kids: kids.map(number => `${number} 0 R`), Count: kids.length });
+    const info = pdf.add({
+      Title: this.encodeText(settings.title),
+      Producer: this.encodeText('Soil Boring Log Generator'),
+      CreationDate: this.encodeText(this.pdfDate(new Date()))
+    });
+    return pdf.toBytes(catalog, info);
+  },
+
+  // PDF as a Blob for download (browser)
+  createBlob(sheets, options = {}) {
+    return new Blob([this.create(sheets, options)], { type: 'application/pdf' });
+  },
+
+  addPage(pdf, sheet, paper, settings, parent) {
+    const size = this.sheetSize(sheet);
+    const landscape = settings.orientation === 'landscape' ||
+      (settings.orientation === 'auto' && size.width > size.height);
+    const pageWidth = landscape ? paper.height : paper.width;
+    const pageHeight = landscape ? paper.width : paper.height;
+
+    // Fit inside the margins, top-aligned and centred across the page
+    const margin = Math.max(0, Number(settings.margin) || 0);
+    const scale = Math.min((pageWidth - 2 * margin) / size.width, (pageHeight - 2 * margin) / size.height);
+    const offsetX = (pageWidth - size.width * scale) / 2;
+    const matrix = [scale, 0, 0, -scale, offsetX - size.x * scale, pageHeight - margin + size.y * scale];
+
+    const ids = {};
+    this.collectIds(sheet, ids);
+    const canvas = new PdfCanvas(pdf, ids);
+    canvas.ops.push(`${matrix.map(this.format).join(' ')} cm`);
+    canvas.drawChildren(sheet, { opacity: 1, ...this.inheritedAttributes(sheet) }, matrix);
+
+    const contents = pdf.add({}, canvas.ops.join('\n'));
+    return pdf.add({
+      Type: '/Page',
+      Parent: `${parent} 0 R`,
+      MediaBox: [0, 0, pageWidth, pageHeight],
+      Resources: canvas.getResources(),
+      Contents: `${contents} 0 R`
+    });
+  },
+
+  // Drawing area of a sheet from its viewBox, or its width and height
+  sheetSize(sheet) {
+    const viewBox = String(sheet.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+      return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+    }
+    const width = this.number(sheet.getAttribute('width'), 0);
+    const height = this.number(sheet.getAttribute('height'), 0);
+    if (!(width > 0 && height > 0)) {
+      throw new Error('Sheet has no size (set viewBox or width and height)');
+    }
+    return { x: 0, y: 0, width, height };
+  },
+
+  inheritedAttributes(node) {
+    const attrs = this.attributes(node);
+    return Object.fromEntries(INHERITED.filter(name => attrs[name] !== undefined).map(name => [name, attrs[name]]));
+  },
+
+  collectIds(node, ids) {
+    this.children(node).forEach(child => {
+      const id = child.getAttribute('id');
+      if (id) ids[id] = child;
+      this.collectIds(child, ids);
+    });
+  },
+
+  // Element children of a DOM or headless node; raw markup is parsed
+  children(node) {
+    return [...(node.childNodes || [])].flatMap(child => {
+      if (child.raw !== undefined) return PdfSvgDocument.parse(child.raw);
+      return child.nodeType === undefined || child.nodeType === 1 ? [child] : [];
+    });
+  },
+
+  tagName(node) {
+    return node.localName || node.tagName || null;
+  },
+
+  // Presentation attributes, with inline style declarations taking precedence
+  attributes(node) {
+    const attrs = {};
+    const names = node.attributes instanceof Map
+      ? [...node.attributes.keys()]
+      : [...(node.attributes || [])].map(attribute => attribute.name);
+    names.forEach(name => { attrs[name] = node.getAttribute(name); });
+    String(attrs.style || '').split(';').forEach(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon > 0) attrs[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+    });
+    return attrs;
+  },
+
+  number(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  },
+
+  // Compact number formatting for content streams (no exponents, no -0)
+  format(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+  },
+
+  // Write a value as a PDF object: numbers, arrays, dictionaries; strings are written as is
+  serialize(value) {
+    if (Array.isArray(value)) return `[${value.map(item => this.serialize(item)).join(' ')}]`;
+    if (typeof value === 'number') return this.format(value);
+    if (value && typeof value === 'object') {
+      return `<< ${Object.entries(value).map(([key, item]) => `/${key} ${this.serialize(item)}`).join(' ')} >>`;
+    }
+    return String(value);
+  },
+
+  pdfDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+      `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+  },
+
+  // PDF literal string in WinAnsi bytes; unsupported characters become "?"
+  encodeText(text) {
+    let encoded = '(';
+    for (const char of String(text)) {
+      let code = char.charCodeAt(0);
+      if (this.winAnsi[char]) code = this.winAnsi[char];
+      else if (char.length > 1 || code > 255 || (code >= 128 && code < 160)) code = 63;
+
+      if (char === '(' || char === ')' || char === '\\') encoded += '\\' + char;
+      else if (code < 32 || code > 126) encoded += '\\' + code.toString(8).padStart(3, '0');
+      else encoded += char;
+    }
+    return encoded + ')';
+  },
+
+  fontName(bold, italic) {
+    if (bold && italic) return 'Helvetica-BoldOblique';
+    if (bold) return 'Helvetica-Bold';
+    if (italic) return 'Helvetica-Oblique';
+    return 'Helvetica';
+  },
+
+  // Width of Helvetica text, for text-anchor alignment
+  measureText(text, fontSize, bold = false) {
+    const widths = bold ? this.fontWidths.bold : this.fontWidths.regular;
+    let total = 0;
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return total * fontSize / 1000;
+  },
+
+  parseColor(value) {
+    const color = String(value || 'none').trim().toLowerCase();
+    if (color === 'none' || color === 'transparent') return null;
+
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(color);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+      return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    }
+    const rgb = /^rgba?\(([^)]+)\)$/.exec(color);
+    if (rgb) {
+      return rgb[1].split(',').slice(0, 3).map(part => {
+        const channel = parseFloat(part);
+        return Math.max(0, Math.min(255, part.includes('%') ? channel * 2.55 : channel));
+      });
+    }
+    return this.namedColors[color] || [0, 0, 0];
+  },
+
+  // Multiply affine matrices [a b c d e f]: apply m, then n
+  multiply(m, n) {
+    return [
+      m[0] * n[0] + m[1] * n[2],
+      m[0] * n[1] + m[1] * n[3],
+      m[2] * n[0] + m[3] * n[2],
+      m[2] * n[1] + m[3] * n[3],
+      m[4] * n[0] + m[5] * n[2] + n[4],
+      m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+  },
+
+  // SVG transform list as a single matrix
+  parseTransform(value) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const functions = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = functions.exec(value))) {
+      const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+      let step;
+      switch (match[1]) {
+        case 'matrix':
+          step = args.slice(0, 6);
+          break;
+        case 'translate':
+          step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+          break;
+        case 'scale':
+          step = [args[0], 0, 0, args[1] === undefined ? args[0] : args[1], 0, 0];
+          break;
+        case 'rotate': {
+          const angle = (args[0] || 0) * Math.PI / 180;
+          const [cx = 0, cy = 0] = args.slice(1);
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+          break;
+        }
+        case 'skewX':
+          step = [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          step = [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+          break;
+      }
+      // Later functions apply first, nearest the element
+      matrix = this.multiply(step, matrix);
+    }
+    return matrix;
+  },
+
+  /**
+   * Outline of a basic shape as absolute segments:
+   * ['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y] and ['Z'].
+   */
+  shapePath(tag, attrs) {
+    const n = name => this.number(attrs[name], 0);
+    switch (tag) {
+      case 'rect': {
+        const width = n('width');
+        const height = n('height');
+        if (width <= 0 || height <= 0) return null;
+        let rx = attrs.rx !== undefined ? n('rx') : n('ry');
+        let ry = attrs.ry !== undefined ? n('ry') : rx;
+        rx = Math.min(rx, width / 2);
+        ry = Math.min(ry, height / 2);
+        const x = n('x');
+        const y = n('y');
+        if (rx <= 0 || ry <= 0) {
+          return [['M', x, y], ['L', x + width, y], ['L', x + width, y + height], ['L', x, y + height], ['Z']];
+        }
+        const kx = rx * KAPPA;
+        const ky = ry * KAPPA;
+        return [
+          ['M', x + rx, y],
+          ['L', x + width - rx, y],
+          ['C', x + width - rx + kx, y, x + width, y + ry - ky, x + width, y + ry],
+          ['L', x + width, y + height - ry],
+          ['C', x + width, y + height - ry + ky, x + width - rx + kx, y + height, x + width - rx, y + height],
+          ['L', x + rx, y + height],
+          ['C', x + rx - kx, y + height, x, y + height - ry + ky, x, y + height - ry],
+          ['L', x, y + ry],
+          ['C', x, y + ry - ky, x + rx - kx, y, x + rx, y],
+          ['Z']
+        ];
+      }
+      case 'circle':
+        return n('r') > 0 ? this.ellipsePath(n('cx'), n('cy'), n('r'), n('r')) : null;
+      case 'ellipse':
+        return n('rx') > 0 && n('ry') > 0 ? this.ellipsePath(n('cx'), n('cy'), n('rx'), n('ry')) : null;
+      case 'line':
+        return [['M', n('x1'), n('y1')], ['L', n('x2'), n('y2')]];
+      case 'polyline':
+      case 'polygon': {
+        const values = String(attrs.points || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+        if (values.length < 4) return null;
+        const segments = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          segments.push([i === 0 ? 'M' : 'L', values[i], values[i + 1]]);
+        }
+        if (tag === 'polygon') segments.push(['Z']);
+        return segments;
+      }
+      case 'path':
+        return this.parsePath(attrs.d);
+      default:
+        return null;
+    }
+  },
+
+  ellipsePath(cx, cy, rx, ry) {
+    const kx = rx * KAPPA;
+    const ky = ry * KAPPA;
+    return [
+      ['M', cx + rx, cy],
+      ['C', cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+      ['C', cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+      ['C', cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+      ['C', cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+      ['Z']
+    ];
+  },
+
+  // SVG path data as absolute move/line/cubic segments (quadratics and arcs become cubics)
+  parsePath(d) {
+    const tokens = String(d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const segments = [];
+    let i = 0;
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let control = null; // last cubic or quadratic control point, for S and T
+    let lastType = null;
+    const next = () => parseFloat(tokens[i++]);
+    const hasNumber = () => i < tokens.length && !/^[A-Za-z]$/.test(tokens[i]);
+
+    while (i < tokens.length) {
+      if (/^[A-Za-z]$/.test(tokens[i])) {
+        command = tokens[i++];
+      } else if (!command) {
+        break;
+      }
+      const relative = command === command.toLowerCase();
+      const type = command.toUpperCase();
+      const dx = relative ? x : 0;
+      const dy = relative ? y : 0;
+
+      if (type === 'Z') {
+        segments.push(['Z']);
+        x = startX;
+        y = startY;
+        control = null;
+        lastType = 'Z';
+        command = null;
+        continue;
+      }
+      if (!hasNumber()) break;
+
+      switch (type) {
+        case 'M':
+          x = next() + dx;
+          y = next() + dy;
+          startX = x;
+          startY = y;
+          segments.push(['M', x, y]);
+          // Further coordinate pairs are implicit line-tos
+          command = relative ? 'l' : 'L';
+          control = null;
+          break;
+        case 'L':
+          x = next() + dx;
+          y = next() + dy;
+          segments.push(['L', x, y]);
+          control = null;
+          break;
+        case 'H':
+          x = next() + dx;
+          segments.push(['L', x, y]);
+          control = null;
+          break;
+        case 'V':
+          y = next() + dy;
+          segments.push(['L', x, y]);
+          control = null;
+          break;
+        case 'C':
+        case 'S': {
+          let x1;
+          let y1;
+          if (type === 'C') {
+            x1 = next() + dx;
+            y1 = next() + dy;
+          } else if (control && (lastType === 'C' || lastType === 'S')) {
+            x1 = 2 * x - control[0];
+            y1 = 2 * y - control[1];
+          } else {
+            x1 = x;
+            y1 = y;
+          }
+          const x2 = next() + dx;
+          const y2 = next() + dy;
+          const ex = next() + dx;
+          const ey = next() + dy;
+          segments.push(['C', x1, y1, x2, y2, ex, ey]);
+          control = [x2, y2];
+          x = ex;
+          y = ey;
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          let qx;
+          let qy;
+          if (type === 'Q') {
+            qx = next() + dx;
+            qy = next() + dy;
+          } else if (control && (lastType === 'Q' || lastType === 'T')) {
+            qx = 2 * x - control[0];
+            qy = 2 * y - control[1];
+          } else {
+            qx = x;
+            qy = y;
+          }
+          const ex = next() + dx;
+          const ey = next() + dy;
+          segments.push(['C',
+            x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y),
+            ex + 2 / 3 * (qx - ex), ey + 2 / 3 * (qy - ey),
+            ex, ey]);
+          control = [qx, qy];
+          x = ex;
+          y = ey;
+          break;
+        }
+        case 'A': {
+          const rx = next();
+          const ry = next();
+          const rotation = next();
+          const largeArc = next() !== 0;
+          const sweep = next() !== 0;
+          const ex = next() + dx;
+          const ey = next() + dy;
+          this.arcToCurves(x, y, rx, ry, rotation, largeArc, sweep, ex, ey).forEach(segment => segments.push(segment));
+          control = null;
+          x = ex;
+          y = ey;
+          break;
+        }
+        default:
+          i = tokens.length;
+      }
+      lastType = type;
+    }
+    return segments.length > 0 ? segments : null;
+  },
+
+  // Elliptical arc (SVG endpoint form) as cubic segments of at most 90 degrees
+  arcToCurves(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [['L', x2, y2]];
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const hx = (x1 - x2) / 2;
+    const hy = (y1 - y2) / 2;
+    const px = cos * hx + sin * hy;
+    const py = -sin * hx + cos * hy;
+
+    // Scale up radii too small to reach the end point
+    const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+    const denominator = rx * rx * py * py + ry * ry * px * px;
+    const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cpx = coefficient * rx * py / ry;
+    const cpy = -coefficient * ry * px / rx;
+    const cx = cos * cpx - sin * cpy + (x1 + x2) / 2;
+    const cy = sin * cpx + cos * cpy + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (px - cpx) / rx, (py - cpy) / ry);
+    let delta = angle((px - cpx) / rx, (py - cpy) / ry, (-px - cpx) / rx, (-py - cpy) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const count = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / count;
+    const handle = 4 / 3 * Math.tan(step / 4);
+    const point = a => [
+      cx + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+      cy + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos
+    ];
+    const tangent = a => [
+      -rx * Math.sin(a) * cos - ry * Math.cos(a) * sin,
+      -rx * Math.sin(a) * sin + ry * Math.cos(a) * cos
+    ];
+
+    const segments = [];
+    for (let k = 0; k < count; k++) {
+      const a1 = theta + k * step;
+      const a2 = a1 + step;
+      const [sx, sy] = point(a1);
+      const [ex, ey] = k === count - 1 ? [x2, y2] : point(a2);
+      const [t1x, t1y] = tangent(a1);
+      const [t2x, t2y] = tangent(a2);
+      segments.push(['C', sx + handle * t1x, sy + handle * t1y, ex - handle * t2x, ey - handle * t2y, ex, ey]);
+    }
+    return segments;
+  },
+
+  pathOps(segments) {
+    const f = this.format;
+    return segments.map(([type, ...values]) => {
+      switch (type) {
+        case 'M': return `${f(values[0])} ${f(values[1])} m`;
+        case 'L': return `${f(values[0])} ${f(values[1])} l`;
+        case 'C': return `${values.map(f).join(' ')} c`;
+        default: return 'h';
+      }
+    }).join(' ');
+  },
+
+  // Position of an image in its box per preserveAspectRatio (default xMidYMid meet)
+  fitImage(image, box, preserveAspectRatio) {
+    const [align = 'xMidYMid', mode = 'meet'] = String(preserveAspectRatio || 'xMidYMid meet').trim().split(/\s+/);
+    if (align === 'none') return box;
+
+    const scale = mode === 'slice'
+      ? Math.max(box.width / image.width, box.height / image.height)
+      : Math.min(box.width / image.width, box.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    // align is e.g. xMinYMid: "x" and "Y" prefix the horizontal and vertical alignment
+    const offset = (axis, size, available) => {
+      if (align.includes(`${axis}Mid`)) return (available - size) / 2;
+      if (align.includes(`${axis}Max`)) return available - size;
+      return 0;
+    };
+    return {
+      x: box.x + offset('x', width, box.width),
+      y: box.y + offset('Y', height, box.height),
+      width,
+      height
+    };
+  },
+
+  // Whether create() can embed an image href as is (JPEG, or PNG without alpha)
+  canEmbedImage(href) {
+    return this.decodeImage(href) !== null;
+  },
+
+  decodeDataUrl(href) {
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(String(href || ''));
+    if (!match || !match[2]) return null;
+    const binary = atob(match[3].replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  },
+
+  // Image dictionary and data for a data URL; null for formats PDF cannot take directly
+  decodeImage(href) {
+    const bytes = this.decodeDataUrl(href);
+    if (!bytes) return null;
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return this.decodeJpeg(bytes);
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return this.decodePng(bytes);
+    return null;
+  },
+
+  decodeJpeg(bytes) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) return null;
+      const marker = bytes[offset + 1];
+      const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+      // Start-of-frame markers hold the size and component count
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        const height = (bytes[offset + 5] << 8) | bytes[offset + 6];
+        const width = (bytes[offset + 7] << 8) | bytes[offset + 8];
+        const components = bytes[offset + 9];
+        const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[components];
+        if (!colorSpace) return null;
+        return {
+          width,
+          height,
+          dictionary: {
+            Type: '/XObject', Subtype: '/Image', Width: width, Height: height,
+            ColorSpace: colorSpace, BitsPerComponent: 8, Filter: '/DCTDecode',
+            ...(components === 4 ? { Decode: [1, 0, 1, 0, 1, 0, 1, 0] } : {})
+          },
+          data: bytes
+        };
+      }
+      offset += 2 + length;
+    }
+    return null;
+  },
+
+  // PNG image data is zlib data with per-row filters, which PDF's FlateDecode predictors accept as is
+  decodePng(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    const data = [];
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+      if (type === 'IHDR') {
+        header = {
+          width: view.getUint32(offset + 8),
+          height: view.getUint32(offset + 12),
+          bitDepth: chunk[8],
+          colorType: chunk[9],
+          interlace: chunk[12]
+        };
+      } else if (type === 'PLTE') {
+        palette = chunk;
+      } else if (type === 'IDAT') {
+        data.push(chunk);
+      } else if (type === 'IEND') {
+        break;
+      }
+      offset += 12 + length;
+    }
+
+    // Alpha channels and interlacing need decoding, which is left to the browser (rasterizeImages)
+    if (!header || header.interlace !== 0 || ![0, 2, 3].includes(header.colorType)) return null;
+    if (header.colorType === 3 && !palette) return null;
+
+    const colors = header.colorType === 2 ? 3 : 1;
+    let colorSpace = header.colorType === 2 ? '/DeviceRGB' : '/DeviceGray';
+    if (header.colorType === 3) {
+      const hex = [...palette].map(value => value.toString(16).padStart(2, '0')).join('');
+      colorSpace = `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${hex}>]`;
+    }
+
+    const total = data.reduce((sum, chunk) => sum + chunk.length, 0);
+    const joined = new Uint8Array(total);
+    let position = 0;
+    data.forEach(chunk => {
+      joined.set(chunk, position);
+      position += chunk.length;
+    });
+
+    return {
+      width: header.width,
+      height: header.height,
+      dictionary: {
+        Type: '/XObject', Subtype: '/Image', Width: header.width, Height: header.height,
+        ColorSpace: colorSpace, BitsPerComponent: header.bitDepth, Filter: '/FlateDecode',
+        DecodeParms: { Predictor: 15, Colors: colors, BitsPerComponent: header.bitDepth, Columns: header.width }
+      },
+      data: joined
+    };
+  },
+
+  embedImage(pdf, href) {
+    const image = this.decodeImage(href);
+    if (!image) return null;
+    return { width: image.width, height: image.height, number: pdf.add(image.dictionary, image.data) };
+  },
+
+  /**
+   * Browser helper: copies of the sheets with every image PDF cannot embed
+   * directly (SVG, PNG with transparency, remote URLs) redrawn to a JPEG data
+   * URL on white. Resolves to the copies, ready for create().
+   */
+  rasterizeImages(sheets, scale = 4) {
+    const copies = [].concat(sheets || []).map(sheet => sheet.cloneNode(true));
+    const jobs = [];
+    copies.forEach(sheet => {
+      sheet.querySelectorAll('image').forEach(element => {
+        const href = element.getAttribute('href') || element.getAttribute('xlink:href');
+        if (!href || this.canEmbedImage(href)) return;
+        jobs.push(this.rasterizeImage(href, element, scale).then(jpeg => {
+          if (jpeg) element.setAttribute('href', jpeg);
+          else element.remove();
+        }));
+      });
+    });
+    return Promise.all(jobs).then(() => copies);
+  },
+
+  rasterizeImage(href, element, scale) {
+    return new Promise(resolve => {
+      const img = new Image();
+      img.onload = () => {
+        const boxWidth = this.number(element.getAttribute('width'), img.naturalWidth) * scale;
+        const boxHeight = this.number(element.getAttribute('height'), img.naturalHeight) * scale;
+        const naturalWidth = img.naturalWidth || boxWidth;
+        const naturalHeight = img.naturalHeight || boxHeight;
+        const ratio = Math.min(boxWidth / naturalWidth, boxHeight / naturalHeight);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(naturalWidth * ratio));
+        canvas.height = Math.max(1, Math.round(naturalHeight * ratio));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        try {
+          resolve(canvas.toDataURL('image/jpeg', 0.92));
+        } catch (err) {
+          // Cross-origin images taint the canvas and cannot be read back
+          resolve(null);
+        }
+      };
+      img.onerror = () => resolve(null);
+      img.crossOrigin = 'anonymous';
+      img.src = href;
+    });
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PdfExport;
+}
@@ -0,0 +1,170 @@
+/**
+ * Soil Descriptor Analysis
+ * Relative density and consistency descriptors from SPT N-values, matched to layers by depth
+ */
+
+const SoilAnalysis = {
+  // Correlation tables by soil group, loosest/softest class first. `max` is the highest
+  // N in each class (Terzaghi & Peck); drives that stopped short fall in the last class.
+  groups: {
+    coarse: {
+      label: 'Relative density',
+      classes: [
+        { term: 'very loose', max: 4 },
+        { term: 'loose', max: 10 },
+        { term: 'medium dense', max: 30 },
+        { term: 'dense', max: 50 },
+        { term: 'very dense', max: Infinity }
+      ]
+    },
+    fine: {
+      label: 'Consistency',
+      classes: [
+        { term: 'very soft', max: 1 },
+        { term: 'soft', max: 4 },
+        { term: 'medium stiff', max: 8, aliases: ['firm'] },
+        { term: 'stiff', max: 15 },
+        { term: 'very stiff', max: 30 },
+        { term: 'hard', max: Infinity }
+      ]
+    }
+  },
+
+  // Lithology codes in each group; dual classifications (SP-SM, CL-ML) use the first code.
+  // Peat, fill, topsoil and rock get no descriptor.
+  codes: {
+    coarse: ['GW', 'GP', 'GM', 'GC', 'SW', 'SP', 'SM', 'SC'],
+    fine: ['ML', 'CL', 'MH', 'CH', 'OL', 'OH', 'MK']
+  },
+
+  // Soil group ('coarse' or 'fine') for a lithology code, or null
+  getGroup(uscs) {
+    const code = String(uscs || '').toUpperCase().trim().split('-')[0];
+    return Object.keys(this.codes).find(group => this.codes[group].includes(code)) || null;
+  },
+
+  // Class index for an SPT result (see BoringLog#getSpt). N60 is used when the
+  // hammer energy is known; partial drives and bare refusals take the last class.
+  classify(group, spt) {
+    const { classes } = this.groups[group];
+    const n = spt.n60 ?? spt.n;
+    if (n === null) return classes.length - 1;
+    return classes.findIndex(cls => n <= cls.max);
+  },
+
+  // Index of the layer holding a depth; a depth on a contact belongs to the layer below
+  findLayer(layers, depth) {
+    const index = layers.findIndex(layer => depth >= layer.depthTop && depth < layer.depthBottom);
+    return index !== -1 ? index : layers.findIndex(layer => depth === layer.depthBottom);
+  },
+
+  /**
+   * Descriptor analysis for each layer of a rendered BoringLog.
+   * Returns one entry per layer:
+   *   { ref, group, samples, descriptor, low, high, described, status }
+   *   samples   - [{ ref, id, depth, value, index }] SPT samples centred in the layer
+   *   descriptor - suggested term, or a range such as "loose to medium dense"
+   *   described - descriptor terms found in the layer description
+   *   status    - null (nothing to suggest), 'missing', 'consistent' or 'conflict'
+   */
+  analyze(log) {
+    const layers = log.data.layers || [];
+    const results = layers.map((layer, index) => ({
+      ref: `layers[${index}]`,
+      group: this.getGroup(layer.uscs),
+      samples: [],
+      descriptor: null,
+      low: null,
+      high: null,
+      described: [],
+      status: null
+    }));
+
+    (log.data.samples || []).forEach((sample, index) => {
+      const spt = log.getSpt(sample);
+      const depth = log.getSampleDepth(sample);
+      if (!spt || !Number.isFinite(depth)) return;
+      const result = results[this.findLayer(layers, depth)];
+      if (!result?.group) return;
+      result.samples.push({
+        ref: `samples[${index}]`,
+        id: sample.id,
+        depth,
+        value: spt.n60 !== null ? `N60=${spt.n60}` : (spt.n !== null ? `N=${spt.n}` : spt.text),
+        index: this.classify(result.group, spt)
+      });
+    });
+
+    results.forEach((result, index) => {
+      if (result.samples.length === 0) return;
+      const { classes } = this.groups[result.group];
+      const indices = result.samples.map(sample => sample.index);
+      result.low = Math.min(...indices);
+      result.high = Math.max(...indices);
+      result.descriptor = result.low === result.high
+        ? classes[result.low].term
+        : `${classes[result.low].term} to ${classes[result.high].term}`;
+
+      result.described = this.findTerms(result.group, layers[index].description);
+      if (result.described.length === 0) {
+        result.status = 'missing';
+      } else {
+        // A described range only has to overlap the blow-count range
+        const described = result.described.map(found => found.index);
+        const consistent = Math.max(...described) >= result.low && Math.min(...described) <= result.high;
+        result.status = consistent ? 'consistent' : 'conflict';
+      }
+    });
+
+    return results;
+  },
+
+  // Descriptor terms of a group in free text: [{ term, index, start, end }], in text order
+  findTerms(group, text) {
+    const terms = this.groups[group].classes
+      .flatMap((cls, index) => [cls.term, ...(cls.aliases || [])].map(term => ({ term, index })))
+      // Longest first, so "medium dense" is not read as "dense"
+      .sort((a, b) => b.term.length - a.term.length);
+    const pattern = new RegExp(`\\b(?:${terms.map(({ term }) => term.replace(/ /g, '[\\s-]+')).join('|')})\\b`, 'gi');
+
+    return [...String(text || '').matchAll(pattern)].map(match => {
+      const term = match[0].toLowerCase().replace(/[\s-]+/g, ' ');
+      return {
+        term,
+        index: terms.find(entry => entry.term === term).index,
+        start: match.index,
+        end: match.index + match[0].length
+      };
+    });
+  },
+
+  /**
+   * Description with a descriptor written in: the first descriptor already present
+   * (with a following "to <term>") is replaced, otherwise it is put in front.
+   */
+  applyDescriptor(description, descriptor, group) {
+    const text = String(description || '').trim();
+    const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+    const found = this.findTerms(group, text);
+
+    if (found.length > 0) {
+      const [first, next] = found;
+      const end = next && /^\s*(?:to|-|–)\s*$/i.test(text.slice(first.end, next.start)) ? next.end : first.end;
+      const replacement = /[A-Z]/.test(text.charAt(first.start)) ? capitalize(descriptor) : descriptor;
+      return text.slice(0, first.start) + replacement + text.slice(end);
+    }
+
+    if (!text) return capitalize(descriptor);
+    // Keep upper-case group names ("SAND, fine") as written
+    const firstWord = text.split(/[\s,]/)[0];
+    const rest = firstWord.length > 1 && firstWord === firstWord.toUpperCase()
+      ? text
+      : text.charAt(0).toLowerCase() + text.slice(1);
+    return `${capitalize(descriptor)}, ${rest}`;
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SoilAnalysis;
+}
@@ -0,0 +1,168 @@
+/**
+ * Headless SVG Document
+ * Minimal element tree with XML serialization, so boring logs can be
+ * rendered to SVG strings without a browser DOM (Node scripts, servers)
+ */
+
+class SvgElement {
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.parentNode = null;
+    this.text = '';
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  appendChild(child) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  insertBefore(child, reference) {
+    if (!reference) return this.appendChild(child);
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    this.childNodes.splice(this.childNodes.indexOf(reference), 0, child);
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      child.parentNode = null;
+    }
+    return child;
+  }
+
+  // Detached copy, with its children when deep (as in the DOM)
+  cloneNode(deep = false) {
+    const clone = new SvgElement(this.tagName);
+    this.attributes.forEach((value, name) => clone.attributes.set(name, value));
+    clone.text = this.text;
+    if (this.raw !== undefined) clone.raw = this.raw;
+    if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+    return clone;
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get textContent() {
+    return this.text + this.childNodes.map(child => child.textContent).join('');
+  }
+
+  // Setting text replaces any children, as in the DOM
+  set textContent(value) {
+    this.childNodes = [];
+    this.text = value === null || value === undefined ? '' : String(value);
+  }
+
+  get outerHTML() {
+    return SvgDocument.serialize(this);
+  }
+}
+
+const SvgDocument = {
+  namespace: 'http://www.w3.org/2000/svg',
+  Element: SvgElement,
+
+  // Same signature as document.createElementNS; the namespace is implied
+  createElementNS(namespace, tagName) {
+    return new SvgElement(tagName);
+  },
+
+  // Node holding pre-built markup (e.g. a registered pattern tile), serialized as is
+  createRaw(markup) {
+    const node = new SvgElement(null);
+    node.raw = String(markup);
+    return node;
+  },
+
+  /**
+   * Parse simple SVG markup (elements, attributes and text, as in pattern
+   * tiles) into a list of elements. Comments and processing instructions
+   * are dropped; entities are limited to the ones escape() writes.
+   */
+  parse(markup) {
+    const root = new SvgElement(null);
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<[?!][^>]*>|<\/\s*([\w:-]+)\s*>|<([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const attributes = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = tokens.exec(String(markup)))) {
+      const [, closeTag, openTag, attrText, selfClosing, text] = match;
+      const parent = stack[stack.length - 1];
+      if (closeTag) {
+        if (stack.length > 1) stack.pop();
+      } else if (openTag) {
+        const element = new SvgElement(openTag);
+        for (const [, name, double, single] of (attrText || '').matchAll(attributes)) {
+          element.setAttribute(name, this.unescape(double !== undefined ? double : single));
+        }
+        parent.appendChild(element);
+        if (!selfClosing) stack.push(element);
+      } else if (text && text.trim()) {
+        parent.text += this.unescape(text);
+      }
+    }
+    return root.childNodes.map(child => {
+      child.parentNode = null;
+      return child;
+    });
+  },
+
+  unescape(value) {
+    return String(value)
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  },
+
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Serialize an element tree to XML. The root <svg> gets its namespace
+   * declaration so the output is a standalone SVG file.
+   */
+  serialize(element) {
+    if (element.raw !== undefined) return element.raw;
+    const attributes = [...element.attributes];
+    if (element.tagName === 'svg' && !element.parentNode && !element.attributes.has('xmlns')) {
+      attributes.unshift(['xmlns', this.namespace]);
+    }
+    const attrText = attributes.map(([name, value]) => ` ${name}="${this.escape(value)}"`).join('');
+    const content = this.escape(element.text) + element.childNodes.map(child => this.serialize(child)).join('');
+    return content
+      ? `<${element.tagName}${attrText}>${content}</${element.tagName}>`
+      : `<${element.tagName}${attrText}/>`;
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgDocument;
+}
@@ -0,0 +1,212 @@
+/**
+ * Log Themes
+ * Palettes, lithology fill treatment and hatch densities for boring logs,
+ * including print-safe themes that survive black-and-white copying
+ */
+
+const Themes = {
+  /**
+   * Registered themes:
+   *   colors       - palette for borders, text, annotations and symbols
+   *   fill         - maps a lithology code's fill colour; omitted keeps registry colours
+   *   ink          - colour of pattern hatching; null keeps each pattern's own shades
+   *   hatchDensity - pattern density multiplier (above 1 packs hatching tighter)
+   *   codeDensity  - vary density by code (Patterns `density`), so codes sharing a
+   *                  hatch, like SW and SP, still differ when fills are not shown
+   */
+  themes: {
+    color: {
+      label: 'Colour',
+      ink: null,
+      hatchDensity: 1,
+      codeDensity: false,
+      colors: {
+        border: '#333',
+        headerBg: '#f5f5f5',
+        columnHeaderBg: '#e8e8e8',
+        panelBg: '#fafafa',
+        background: 'white',
+        gridLine: '#ccc',
+        text: '#333',
+        mutedText: '#555',
+        annotation: '#666',
+        indicator: '#999',
+        alert: '#c00',
+        groundwater: '#0066cc',
+        sampleSpt: '#fff3cd',
+        sample: '#d4edda',
+        coreRun: '#e8eef4',
+        rqdBar: '#9aa5b1',
+        borehole: '#f0f0f0',
+        wellCasing: '#666',
+        wellScreen: '#999',
+        wellSeal: '#8B4513',
+        wellFilter: '#F4A460',
+        wellCement: '#bfbfbf',
+        wellBackfill: '#d9c7a3'
+      }
+    },
+
+    grayscale: {
+      label: 'Grayscale',
+      fill(color) {
+        return Themes.toGray(color, 0.45);
+      },
+      ink: '#222',
+      hatchDensity: 1,
+      codeDensity: true,
+      colors: {
+        border: '#222',
+        headerBg: '#f2f2f2',
+        columnHeaderBg: '#e6e6e6',
+        panelBg: '#fafafa',
+        background: 'white',
+        gridLine: '#bbb',
+        text: '#222',
+        mutedText: '#444',
+        annotation: '#555',
+        indicator: '#888',
+        alert: '#000',
+        groundwater: '#444',
+        sampleSpt: '#f2f2f2',
+        sample: '#c8c8c8',
+        coreRun: '#ececec',
+        rqdBar: '#a3a3a3',
+        borehole: '#eee',
+        wellCasing: '#555',
+        wellScreen: '#888',
+        wellSeal: '#545454',
+        wellFilter: '#b4b4b4',
+        wellCement: '#bdbdbd',
+        wellBackfill: '#d6d6d6'
+      }
+    },
+
+    // Black hatching on white: nothing depends on colour or shade
+    monochrome: {
+      label: 'Monochrome (hatch only)',
+      fill() {
+        return 'white';
+      },
+      ink: '#000',
+      hatchDensity: 1.2,
+      codeDensity: true,
+      colors: {
+        border: '#000',
+        headerBg: 'white',
+        columnHeaderBg: 'white',
+        panelBg: 'white',
+        background: 'white',
+        gridLine: '#999',
+        text: '#000',
+        mutedText: '#000',
+        annotation: '#000',
+        indicator: '#666',
+        alert: '#000',
+        groundwater: '#000',
+        sampleSpt: 'white',
+        sample: '#ccc',
+        coreRun: 'white',
+        rqdBar: '#666',
+        borehole: 'white',
+        wellCasing: '#000',
+        wellScreen: '#666',
+        wellSeal: '#444',
+        wellFilter: '#ccc',
+        wellCement: 'white',
+        wellBackfill: 'white'
+      }
+    },
+
+    // Black text and linework with strong symbol colours, for screens and projectors
+    'high-contrast': {
+      label: 'High contrast',
+      ink: '#000',
+      hatchDensity: 0.8,
+      codeDensity: false,
+      colors: {
+        border: '#000',
+        headerBg: 'white',
+        columnHeaderBg: '#ddd',
+        panelBg: 'white',
+        background: 'white',
+        gridLine: '#666',
+        text: '#000',
+        mutedText: '#000',
+        annotation: '#000',
+        indicator: '#444',
+        alert: '#d00000',
+        groundwater: '#0000cc',
+        sampleSpt: '#ffe066',
+        sample: '#7fd18b',
+        coreRun: '#cfe0f3',
+        rqdBar: '#003f7f',
+        borehole: '#e0e0e0',
+        wellCasing: '#000',
+        wellScreen: '#444',
+        wellSeal: '#5a2800',
+        wellFilter: '#ffb000',
+        wellCement: '#9e9e9e',
+        wellBackfill: '#c8a165'
+      }
+    }
+  },
+
+  /**
+   * Register (or replace) a theme. Colours missing from the palette come
+   * from the colour theme.
+   */
+  register(name, theme = {}) {
+    const key = String(name || '').trim();
+    if (!key) {
+      throw new Error('Themes need a name');
+    }
+    if (theme.fill !== undefined && typeof theme.fill !== 'function') {
+      throw new Error(`Theme "${key}": fill must be a function of the code's colour`);
+    }
+    this.themes[key] = {
+      label: key,
+      ink: null,
+      hatchDensity: 1,
+      codeDensity: false,
+      ...theme,
+      colors: { ...this.themes.color.colors, ...theme.colors }
+    };
+    return this.themes[key];
+  },
+
+  unregister(name) {
+    if (name === 'color') return;
+    delete this.themes[name];
+  },
+
+  // Theme by name, or the theme itself when given one; unknown names get the colour theme
+  get(theme) {
+    if (theme && typeof theme === 'object') return theme;
+    return this.themes[theme] || this.themes.color;
+  },
+
+  // Themes offered in the toolbar, in registration order
+  list() {
+    return Object.entries(this.themes).map(([name, theme]) => ({ name, label: theme.label || name }));
+  },
+
+  /**
+   * Gray of the same luminance as a hex colour. `lift` (0-1) raises dark
+   * values toward white so hatching stays legible over them.
+   */
+  toGray(color, lift = 0) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+    if (!hex) return color;
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+    const value = Math.round(255 * lift + luminance * (1 - lift));
+    return `#${value.toString(16).padStart(2, '0').repeat(3)}`;
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Themes;
+}
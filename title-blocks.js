@@ -0,0 +1,268 @@
+/**
+ * Title Block Templates
+ * Declarative header and footer layouts for boring log sheets
+ */
+
+const TitleBlocks = {
+  // Text styles for template items
+  styles: {
+    title: { fontSize: 13, fontWeight: 'bold', lineHeight: 15 },
+    heading: { fontSize: 10, fontWeight: 'bold', lineHeight: 13 },
+    text: { fontSize: 10, lineHeight: 13 },
+    small: { fontSize: 9, lineHeight: 13 },
+    fine: { fontSize: 7, lineHeight: 9 }
+  },
+
+  // Computed values for {placeholders}; other names are paths into the data
+  fields: {
+    location(data) {
+      const location = data.boring.location;
+      if (!location?.coords?.length) return null;
+      return location.system ? `${location.coords.join(', ')} (${location.system})` : location.coords.join(', ');
+    },
+    drillerName(data) {
+      const { driller } = data.boring;
+      return typeof driller === 'object' ? driller?.name : driller;
+    },
+    dateTime(data) {
+      return [data.boring.date, data.boring.time].filter(Boolean).join(' ');
+    }
+  },
+
+  /**
+   * Built-in templates. A template has a `header` and optional `footer`:
+   *   height  - block height in pixels (header default: config.headerHeight - 30)
+   *   corner  - text at the top-right of the header
+   *   columns - [{ x, inset, items }], x as a fraction of the sheet width
+   *   disclaimer - footer text wrapped across the sheet (boring.disclaimer overrides)
+   * Column items are one of:
+   *   { text, style, color, if, unless, blank } - text with {placeholders}; skipped when a
+   *     placeholder is empty (or filled with `blank`, e.g. a signature line), when an
+   *     `if` path is empty or when all `unless` paths are set
+   *   { image, width, height } - image URL or {placeholder}, e.g. a data URL logo
+   *   { gap } - vertical space
+   */
+  templates: {
+    standard: {
+      label: 'Standard',
+      header: {
+        corner: 'Sheet {sheet} of {sheets}',
+        columns: [
+          {
+            x: 0,
+            inset: 10,
+            items: [
+              { text: 'BORING LOG: {boring.id}', style: 'title' },
+              { text: 'Project: {boring.project}' },
+              { text: 'Client: {boring.client}' },
+              { text: 'Location: {location}', style: 'small' },
+              { text: 'Surface Elev: {boring.elevation} {units}' },
+              { text: 'Total Depth: {boring.totalDepth} {units}' },
+              { text: 'GW Depth: {groundwater}', color: 'groundwater' }
+            ]
+          },
+          {
+            x: 1 / 3,
+            items: [
+              { text: 'CONSULTANT', style: 'heading', if: 'boring.consultant' },
+              { text: '{boring.consultant.company}' },
+              { text: '{boring.consultant.contact}' },
+              { text: '{boring.consultant.phone}' },
+              { gap: 4 },
+              { text: 'Method: {boring.drillingMethod}', style: 'small' },
+              { text: 'Equipment: {boring.equipment}', style: 'small' },
+              { text: 'Hammer: {hammer}', style: 'small' },
+              { text: 'Logged By: {boring.loggedBy}', style: 'small' }
+            ]
+          },
+          {
+            x: 2 / 3,
+            items: [
+              { text: 'DRILLER', style: 'heading' },
+              { text: '{boring.driller.company}' },
+              { text: '{drillerName}' },
+              { text: 'License: {boring.driller.license}', style: 'small' },
+              { gap: 4 },
+              { text: 'Start: {boring.dateStart}', if: 'boring.dateComplete' },
+              { text: 'Complete: {boring.dateComplete}', if: 'boring.dateStart' },
+              { text: 'Date: {dateTime}', unless: ['boring.dateStart', 'boring.dateComplete'] },
+              { text: 'Weather: {boring.weather}' }
+            ]
+          }
+        ]
+      }
+    },
+
+    // Consulting firm layout: logo and address, station/offset, project number and sign-off footer
+    firm: {
+      label: 'Firm (logo, station, sign-off)',
+      header: {
+        height: 150,
+        corner: 'Sheet {sheet} of {sheets}',
+        columns: [
+          {
+            x: 0,
+            inset: 10,
+            items: [
+              { image: '{boring.consultant.logo}', width: 150, height: 45 },
+              { gap: 4 },
+              { text: '{boring.consultant.company}', style: 'heading' },
+              { text: '{boring.consultant.address}', style: 'small' },
+              { text: '{boring.consultant.phone}', style: 'small' }
+            ]
+          },
+          {
+            x: 0.34,
+            items: [
+              { text: 'BORING {boring.id}', style: 'title' },
+              { text: 'Project: {boring.project}' },
+              { text: 'Project No.: {boring.projectNumber}' },
+              { text: 'Client: {boring.client}' },
+              { text: 'Station: {boring.station}' },
+              { text: 'Offset: {boring.offset}' },
+              { text: 'Location: {location}', style: 'small' },
+              { text: 'Surface Elev: {boring.elevation} {units}' },
+              { text: 'Total Depth: {boring.totalDepth} {units}' }
+            ]
+          },
+          {
+            x: 0.68,
+            items: [
+              { gap: 15 },
+              { text: 'Driller: {boring.driller.company}' },
+              { text: 'Operator: {drillerName}' },
+              { text: 'Method: {boring.drillingMethod}', style: 'small' },
+              { text: 'Equipment: {boring.equipment}', style: 'small' },
+              { text: 'Hammer: {hammer}', style: 'small' },
+              { text: 'Started: {boring.dateStart}' },
+              { text: 'Completed: {boring.dateComplete}' },
+              { text: 'Date: {dateTime}', unless: ['boring.dateStart'] },
+              { text: 'GW Depth: {groundwater}', color: 'groundwater' }
+            ]
+          }
+        ]
+      },
+      footer: {
+        height: 50,
+        columns: [
+          { x: 0, inset: 10, items: [{ text: 'Logged By: {boring.loggedBy}', style: 'small', blank: '__________' }] },
+          { x: 1 / 3, items: [{ text: 'Checked By: {boring.checkedBy}', style: 'small', blank: '__________' }] },
+          { x: 2 / 3, items: [{ text: 'Approved By: {boring.approvedBy}', style: 'small', blank: '__________' }] }
+        ],
+        disclaimer: 'This log is a summary of subsurface conditions at the boring location at the time of drilling. ' +
+          'Conditions may differ at other locations and times. Stratification lines are approximate; ' +
+          'transitions between materials may be gradual. This log should not be used apart from the report it accompanies.'
+      }
+    },
+
+    // Short header for logs with many sheets
+    compact: {
+      label: 'Compact',
+      header: {
+        height: 62,
+        corner: 'Sheet {sheet} of {sheets}',
+        columns: [
+          {
+            x: 0,
+            inset: 10,
+            items: [
+              { text: 'BORING LOG: {boring.id}', style: 'title' },
+              { text: '{boring.project}', style: 'small' },
+              { text: 'Project No.: {boring.projectNumber}', style: 'small' },
+              { text: 'Station: {boring.station}', style: 'small' }
+            ]
+          },
+          {
+            x: 0.45,
+            items: [
+              { text: 'Total Depth: {boring.totalDepth} {units}', style: 'small' },
+              { text: 'Surface Elev: {boring.elevation} {units}', style: 'small' },
+              { text: 'Location: {location}', style: 'small' },
+              { text: 'GW Depth: {groundwater}', style: 'small', color: 'groundwater' }
+            ]
+          },
+          {
+            x: 0.75,
+            items: [
+              { text: 'Date: {boring.dateStart}', style: 'small' },
+              { text: 'Date: {dateTime}', style: 'small', unless: ['boring.dateStart'] },
+              { text: 'Logged By: {boring.loggedBy}', style: 'small' }
+            ]
+          }
+        ]
+      }
+    }
+  },
+
+  /**
+   * Register (or replace) a template by name
+   */
+  register(name, template = {}) {
+    const key = String(name || '').trim();
+    if (!key) {
+      throw new Error('Title block templates need a name');
+    }
+    if (!Array.isArray(template.header?.columns)) {
+      throw new Error(`Title block "${key}" needs header.columns`);
+    }
+    this.templates[key] = { label: key, ...template };
+    return this.templates[key];
+  },
+
+  unregister(name) {
+    delete this.templates[name];
+  },
+
+  // Template by name, or the template itself when given one; unknown names get the standard block
+  get(template) {
+    if (template && typeof template === 'object') return template;
+    return this.templates[template] || this.templates.standard;
+  },
+
+  // Templates offered in the toolbar, in registration order
+  list() {
+    return Object.entries(this.templates).map(([name, template]) => ({ name, label: template.label || name }));
+  },
+
+  // Value of a placeholder name: context values, computed fields, then data paths
+  resolve(name, data, context = {}) {
+    if (context[name] !== undefined) return context[name];
+    if (this.fields[name]) return this.fields[name](data, context);
+    return name.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), data);
+  },
+
+  /**
+   * Fill {placeholders} in a template string. Returns null when any
+   * placeholder is empty, so the item is left out, unless a `blank`
+   * string is given to stand in for empty values.
+   */
+  interpolate(text, data, context = {}, blank = null) {
+    let missing = false;
+    const result = String(text).replace(/\{([\w.]+)\}/g, (match, name) => {
+      const value = this.resolve(name, data, context);
+      if (value === undefined || value === null || value === '' || typeof value === 'object') {
+        if (blank !== null) return blank;
+        missing = true;
+        return '';
+      }
+      return String(value);
+    });
+    return missing ? null : result;
+  },
+
+  // Whether an item's `if` / `unless` paths allow it to be drawn
+  isShown(item, data, context = {}) {
+    const isSet = path => {
+      const value = this.resolve(path, data, context);
+      return value !== undefined && value !== null && value !== '';
+    };
+    if (item.if && ![].concat(item.if).every(isSet)) return false;
+    if (item.unless && [].concat(item.unless).every(isSet)) return false;
+    return true;
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TitleBlocks;
+}
@@ -0,0 +1,165 @@
+/**
+ * Unit Systems for Boring Log Data
+ * Labels, scale defaults and length conversions for imperial and metric logs
+ */
+
+const Units = {
+  // Unit labels per quantity, plus rendering defaults for each system
+  systems: {
+    imperial: {
+      name: 'imperial',
+      depth: 'ft',        // depths, elevations and intervals
+      diameter: 'in',     // casing diameter, slot size
+      recovery: 'in',     // sample recovery, SPT penetration
+      diameterSuffix: '"',
+      sptIncrement: 6,    // SPT drive increment, in the recovery unit
+      hammerWeight: 'lb',
+      hammerDrop: 'in',
+      unitWeight: 'pcf',  // layer unit weights, for overburden stress
+      stress: 'psf',
+      atmosphericPressure: 2116, // in the stress unit
+      waterUnitWeight: 62.4,
+      depthScale: 20,     // default pixels per foot
+      contactSnap: 0.5,   // depth increment for contacts dragged on the preview
+      sheetDepths: [20, 30, 50], // depth per sheet choices offered in the app
+      // Depth-scale tick interval by total depth
+      tickIntervals: [
+        { maxDepth: 20, interval: 2 },
+        { maxDepth: Infinity, interval: 5 }
+      ]
+    },
+    metric: {
+      name: 'metric',
+      depth: 'm',
+      diameter: 'mm',
+      recovery: 'mm',
+      diameterSuffix: ' mm',
+      sptIncrement: 150,
+      hammerWeight: 'kg',
+      hammerDrop: 'mm',
+      unitWeight: 'kN/m³',
+      stress: 'kPa',
+      atmosphericPressure: 101.3,
+      waterUnitWeight: 9.81,
+      depthScale: 60,     // default pixels per metre
+      contactSnap: 0.1,
+      sheetDepths: [6, 10, 15],
+      tickIntervals: [
+        { maxDepth: 6, interval: 0.5 },
+        { maxDepth: 30, interval: 1 },
+        { maxDepth: Infinity, interval: 2 }
+      ]
+    }
+  },
+
+  // Length units in metres
+  lengths: {
+    ft: 0.3048,
+    in: 0.0254,
+    m: 1,
+    cm: 0.01,
+    mm: 0.001
+  },
+
+  // Unit weights in kN/m³
+  unitWeights: {
+    pcf: 0.1570875,
+    'kN/m³': 1
+  },
+
+  // Hammer weights in kg (a 140 lb hammer is a 63.5 kg hammer)
+  weights: {
+    lb: 0.45359237,
+    kg: 1
+  },
+
+  // Spellings accepted for units
+  aliases: {
+    ft: 'ft', foot: 'ft', feet: 'ft',
+    in: 'in', inch: 'in', inches: 'in',
+    m: 'm', metre: 'm', metres: 'm', meter: 'm', meters: 'm',
+    cm: 'cm', centimetre: 'cm', centimetres: 'cm', centimeter: 'cm', centimeters: 'cm',
+    mm: 'mm', millimetre: 'mm', millimetres: 'mm', millimeter: 'mm', millimeters: 'mm',
+    pcf: 'pcf', 'lb/ft³': 'pcf', 'lb/ft3': 'pcf', lb_ft3: 'pcf', lb_ft: 'pcf',
+    'kn/m³': 'kN/m³', 'kn/m3': 'kN/m³', kn_m3: 'kN/m³', kn_m: 'kN/m³',
+    lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+    kg: 'kg', kilogram: 'kg', kilograms: 'kg'
+  },
+
+  /**
+   * Resolve a unit system by name. Accepts "imperial"/"metric" or a depth
+   * unit ("ft", "m"); anything else falls back to imperial.
+   */
+  getSystem(name) {
+    return this.findSystem(name) || this.systems.imperial;
+  },
+
+  /**
+   * Unit system for a name getSystem() recognises, or null for anything else
+   */
+  findSystem(name) {
+    const key = String(name || '').toLowerCase().trim();
+    if (this.systems[key]) return this.systems[key];
+    if (key === 'si' || this.normalizeLength(key) === 'm') return this.systems.metric;
+    if (this.normalizeLength(key) === 'ft') return this.systems.imperial;
+    return null;
+  },
+
+  /**
+   * Normalize a length unit spelling to its short form, or null if unknown
+   */
+  normalizeLength(unit) {
+    const key = this.normalizeUnit(unit);
+    return key in this.lengths ? key : null;
+  },
+
+  /**
+   * Normalize any known unit spelling (length, unit weight or weight), or null
+   */
+  normalizeUnit(unit) {
+    return this.aliases[String(unit || '').toLowerCase().trim()] || null;
+  },
+
+  /**
+   * Convert a length between units, rounded to 3 decimals (or `decimals`)
+   */
+  convertLength(value, fromUnit, toUnit, decimals = 3) {
+    const from = this.normalizeLength(fromUnit);
+    const to = this.normalizeLength(toUnit);
+    if (value === null || value === undefined || !from || !to || from === to) return value;
+    const converted = value * this.lengths[from] / this.lengths[to];
+    return this.round(converted, decimals);
+  },
+
+  /**
+   * Convert a length, unit weight or hammer weight between units, rounded to
+   * 3 decimals (or `decimals`). Values are returned as they are when the units
+   * do not convert.
+   */
+  convert(value, fromUnit, toUnit, decimals = 3) {
+    const from = this.normalizeUnit(fromUnit);
+    const to = this.normalizeUnit(toUnit);
+    if (value === null || value === undefined || !from || !to || from === to) return value;
+    const table = [this.lengths, this.unitWeights, this.weights].find(units => from in units && to in units);
+    if (!table) return value;
+    return this.round(value * table[from] / table[to], decimals);
+  },
+
+  round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  },
+
+  /**
+   * Depth-scale tick interval for a boring of the given total depth
+   */
+  getTickInterval(totalDepth, system) {
+    const { tickIntervals } = this.getSystem(system?.name || system);
+    return tickIntervals.find(t => totalDepth <= t.maxDepth).interval;
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Units;
+}
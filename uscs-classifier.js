@@ -0,0 +1,179 @@
+/**
+ * USCS Classifier
+ * Group symbol and group name from gradation and Atterberg limits (ASTM D2487)
+ */
+
+const UscsClassifier = {
+  // Lab values read from layers and samples: percent gravel, sand and fines (passing
+  // the No. 200 sieve), coefficients of uniformity and curvature, liquid and plastic limits
+  fields: ['gravel', 'sand', 'fines', 'cu', 'cc', 'll', 'pl'],
+
+  // Group names by symbol, before "with sand" / "sandy" modifiers
+  names: {
+    GW: 'Well-graded gravel',
+    GP: 'Poorly graded gravel',
+    GM: 'Silty gravel',
+    GC: 'Clayey gravel',
+    'GC-GM': 'Silty, clayey gravel',
+    SW: 'Well-graded sand',
+    SP: 'Poorly graded sand',
+    SM: 'Silty sand',
+    SC: 'Clayey sand',
+    'SC-SM': 'Silty, clayey sand',
+    CL: 'Lean clay',
+    CH: 'Fat clay',
+    'CL-ML': 'Silty clay',
+    ML: 'Silt',
+    MH: 'Elastic silt'
+  },
+
+  // Plasticity chart lines: PI on the A-line and U-line for a liquid limit
+  aLine(ll) {
+    return 0.73 * (ll - 20);
+  },
+
+  uLine(ll) {
+    return 0.9 * (ll - 8);
+  },
+
+  // Plastic limit reported as nonplastic ("NP"): PI is 0 and the fines are silt
+  isNonplastic(pl) {
+    return /^\s*NP\s*$/i.test(pl ?? '');
+  },
+
+  // Fine-grained symbol from the plasticity chart: CL, CH, CL-ML (the hatched
+  // zone, PI 4-7 on or above the A-line), ML or MH
+  classifyFines(ll, pl) {
+    const pi = ll - pl;
+    const aboveA = pi >= this.aLine(ll);
+    if (ll >= 50) return aboveA ? 'CH' : 'MH';
+    if (aboveA && pi > 7) return 'CL';
+    if (aboveA && pi >= 4) return 'CL-ML';
+    return 'ML';
+  },
+
+  /**
+   * Classify lab values ({ gravel, sand, fines, cu, cc, ll, pl }; any two of the
+   * three fractions give the third, and pl may be "NP" for nonplastic fines,
+   * which need no liquid limit). Returns
+   *   { symbol, name, group, pi, missing }
+   * where group is 'coarse' or 'fine', and symbol and name are null while
+   * `missing` lists the values the classification still needs.
+   */
+  classify(values = {}) {
+    const value = key => (Number.isFinite(values[key]) ? values[key] : null);
+    let gravel = value('gravel');
+    let sand = value('sand');
+    let fines = value('fines');
+    const ll = value('ll');
+    const pl = value('pl');
+    const nonplastic = this.isNonplastic(values.pl);
+
+    const fractions = [gravel, sand, fines].filter(fraction => fraction !== null);
+    if (fractions.length === 2) {
+      const rest = 100 - fractions[0] - fractions[1];
+      if (gravel === null) gravel = rest;
+      else if (sand === null) sand = rest;
+      else fines = rest;
+    }
+
+    const pi = nonplastic ? 0 : (ll !== null && pl !== null ? ll - pl : null);
+    const result = { symbol: null, name: null, group: null, pi, missing: [] };
+    if (fines === null) {
+      result.missing = ['fines'];
+      return result;
+    }
+    result.group = fines >= 50 ? 'fine' : 'coarse';
+
+    const needsSplit = result.group === 'coarse' || 100 - fines >= 15;
+    if (needsSplit && (gravel === null || sand === null)) result.missing.push('gravel', 'sand');
+    if (result.group === 'coarse' && fines <= 12) {
+      if (value('cu') === null) result.missing.push('cu');
+      if (value('cc') === null) result.missing.push('cc');
+    }
+    // Fines plasticity decides every group with 5% fines or more
+    if (fines >= 5 && !nonplastic) {
+      if (ll === null) result.missing.push('ll');
+      if (pl === null) result.missing.push('pl');
+    }
+    if (result.missing.length > 0) return result;
+
+    let finesSymbol = null;
+    if (fines >= 5) finesSymbol = nonplastic ? 'ML' : this.classifyFines(ll, pl);
+    if (result.group === 'fine') {
+      result.symbol = finesSymbol;
+      result.name = this.fineName(finesSymbol, gravel, sand, fines);
+    } else {
+      Object.assign(result, this.classifyCoarse(gravel, sand, fines, value('cu'), value('cc'), finesSymbol));
+    }
+    return result;
+  },
+
+  // Gravels and sands: graded symbol below 12% fines (dual from 5%), fines symbol above
+  classifyCoarse(gravel, sand, fines, cu, cc, finesSymbol) {
+    const prefix = gravel > sand ? 'G' : 'S';
+    const [other, otherName] = prefix === 'G' ? [sand, 'sand'] : [gravel, 'gravel'];
+    const withOther = other >= 15;
+
+    if (fines <= 12) {
+      const wellGraded = cu >= (prefix === 'G' ? 4 : 6) && cc >= 1 && cc <= 3;
+      const graded = `${prefix}${wellGraded ? 'W' : 'P'}`;
+      if (fines < 5) {
+        return { symbol: graded, name: this.names[graded] + (withOther ? ` with ${otherName}` : '') };
+      }
+      const silty = finesSymbol === 'ML' || finesSymbol === 'MH';
+      return {
+        symbol: `${graded}-${prefix}${silty ? 'M' : 'C'}`,
+        name: `${this.names[graded]} with ${silty ? 'silt' : 'clay'}${withOther ? ` and ${otherName}` : ''}`
+      };
+    }
+
+    const finesLetter = { ML: 'M', MH: 'M', CL: 'C', CH: 'C' }[finesSymbol];
+    const symbol = finesLetter ? `${prefix}${finesLetter}` : `${prefix}C-${prefix}M`;
+    return { symbol, name: this.names[symbol] + (withOther ? ` with ${otherName}` : '') };
+  },
+
+  // Silts and clays: "with sand" from 15% coarse, "sandy"/"gravelly" from 30%
+  fineName(symbol, gravel, sand, fines) {
+    const base = this.names[symbol];
+    const coarse = 100 - fines;
+    if (coarse < 15) return base;
+    if (coarse < 30) return `${base} with ${sand >= gravel ? 'sand' : 'gravel'}`;
+    const lower = base.charAt(0).toLowerCase() + base.slice(1);
+    return sand >= gravel
+      ? `Sandy ${lower}${gravel >= 15 ? ' with gravel' : ''}`
+      : `Gravelly ${lower}${sand >= 15 ? ' with sand' : ''}`;
+  },
+
+  /**
+   * Lab values for a layer: its own, with any it lacks taken from the samples
+   * centred in it (first sample in list order holding the value)
+   */
+  getLayerValues(data, index) {
+    const layer = data.layers[index];
+    const samples = (data.samples || []).filter(sample => {
+      const depth = sample.depthTop !== undefined && sample.depthBottom !== undefined
+        ? (sample.depthTop + sample.depthBottom) / 2
+        : sample.depth;
+      return depth >= layer.depthTop && depth < layer.depthBottom;
+    });
+
+    const values = {};
+    this.fields.forEach(key => {
+      const source = [layer, ...samples].find(item => Number.isFinite(item[key]) || (key === 'pl' && this.isNonplastic(item[key])));
+      if (source) values[key] = source[key];
+    });
+    return values;
+  },
+
+  // Classification of a layer, or null when it has no lab values at all
+  classifyLayer(data, index) {
+    const values = this.getLayerValues(data, index);
+    return Object.keys(values).length > 0 ? this.classify(values) : null;
+  }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UscsClassifier;
+}